@@ -0,0 +1,229 @@
+/**
+ * Generic activity watcher for non-X sites in the site registry
+ * Injected at runtime via chrome.scripting, so it has to be safe to run twice
+ */
+
+;(() => {
+  const DISABLE_CONSOLE_LOGS = true
+  if (DISABLE_CONSOLE_LOGS && typeof console !== 'undefined') {
+    const noop = function () {}
+    console.log = noop
+    console.info = noop
+    console.debug = noop
+    console.trace = noop
+  }
+})()
+
+if (typeof window.SiteWatcher === 'undefined') {
+  window.SiteWatcher = class SiteWatcher {
+    constructor() {
+      this.overlay = null
+      this.lastActivity = Date.now()
+      this.lastHeartbeat = Date.now()
+      this.heartbeatFrequency = 10000
+      this.idleThreshold = 60000
+      this.heartbeatInterval = null
+      this.messageListener = null
+
+      this.init()
+    }
+
+    init() {
+      this.messageListener = (message, sender, sendResponse) => {
+        this.handleMessage(message, sendResponse)
+        return true
+      }
+      chrome.runtime.onMessage.addListener(this.messageListener)
+
+      const activityEvents = [
+        'mousedown',
+        'keypress',
+        'scroll',
+        'touchstart',
+        'click',
+      ]
+      activityEvents.forEach((event) => {
+        document.addEventListener(
+          event,
+          () => {
+            this.lastActivity = Date.now()
+          },
+          { passive: true }
+        )
+      })
+
+      document.addEventListener('visibilitychange', () => {
+        if (!document.hidden) {
+          this.lastActivity = Date.now()
+          this.checkStatus()
+        }
+      })
+
+      this.heartbeatInterval = setInterval(() => {
+        this.sendHeartbeat()
+      }, this.heartbeatFrequency)
+
+      this.checkStatus()
+    }
+
+    isExtensionContextValid() {
+      try {
+        return chrome.runtime && chrome.runtime.id
+      } catch (error) {
+        return false
+      }
+    }
+
+    handleMessage(message, sendResponse) {
+      switch (message.type) {
+        case 'SHOW_SITE_LOCK':
+          this.showLock(message)
+          sendResponse({ success: true })
+          break
+
+        case 'HIDE_OVERLAY':
+          this.hideLock()
+          sendResponse({ success: true })
+          break
+
+        case 'SITE_WATCH_PING':
+          sendResponse({ success: true })
+          break
+
+        default:
+          sendResponse({ error: 'Unknown message type' })
+      }
+    }
+
+    sendHeartbeat() {
+      if (!this.isExtensionContextValid()) {
+        this.cleanup()
+        return
+      }
+
+      const now = Date.now()
+      const elapsed = now - this.lastHeartbeat
+      this.lastHeartbeat = now
+
+      if (
+        document.hidden ||
+        !document.hasFocus() ||
+        now - this.lastActivity > this.idleThreshold ||
+        this.overlay
+      ) {
+        return
+      }
+
+      chrome.runtime
+        .sendMessage({ type: 'SITE_HEARTBEAT', elapsed })
+        .then((response) => {
+          if (response && response.locked) {
+            this.showLock(response)
+          }
+        })
+        .catch(() => {})
+    }
+
+    checkStatus() {
+      if (!this.isExtensionContextValid()) return
+
+      chrome.runtime
+        .sendMessage({ type: 'SITE_STATUS' })
+        .then((response) => {
+          if (!response) return
+          if (response.locked) {
+            this.showLock(response)
+          } else {
+            this.hideLock()
+          }
+        })
+        .catch(() => {})
+    }
+
+    showLock({ message, siteName, nextReset }) {
+      if (this.overlay && document.body.contains(this.overlay)) return
+
+      const overlay = document.createElement('div')
+      overlay.className = 'boundr-site-overlay'
+      overlay.innerHTML = `
+        <div class="overlay-content">
+          <div class="overlay-emoji">🚫</div>
+          <h1 class="overlay-title"></h1>
+          <p class="overlay-subtitle"></p>
+        </div>
+      `
+      overlay.querySelector('.overlay-title').textContent = message
+      overlay.querySelector('.overlay-subtitle').textContent =
+        `${siteName} is done for today. Back at ${nextReset}`
+
+      this.styleOverlay(overlay)
+      document.documentElement.appendChild(overlay)
+      this.overlay = overlay
+    }
+
+    hideLock() {
+      document
+        .querySelectorAll('.boundr-site-overlay')
+        .forEach((el) => el.remove())
+      this.overlay = null
+    }
+
+    styleOverlay(overlay) {
+      Object.assign(overlay.style, {
+        position: 'fixed',
+        top: '0',
+        left: '0',
+        width: '100%',
+        height: '100%',
+        background: 'rgba(0, 0, 0, 0.8)',
+        backdropFilter: 'blur(8px)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: '2147483647',
+        fontFamily: 'system-ui, -apple-system, sans-serif',
+      })
+
+      Object.assign(overlay.querySelector('.overlay-content').style, {
+        background: '#ffffff',
+        border: '1px solid #e2e8f0',
+        borderRadius: '24px',
+        padding: '50px',
+        textAlign: 'center',
+        maxWidth: '520px',
+        boxShadow: '0 25px 50px -12px rgba(0, 0, 0, 0.25)',
+      })
+
+      Object.assign(overlay.querySelector('.overlay-emoji').style, {
+        fontSize: '64px',
+        marginBottom: '20px',
+      })
+
+      Object.assign(overlay.querySelector('.overlay-title').style, {
+        fontSize: '28px',
+        fontWeight: 'bold',
+        marginBottom: '12px',
+        color: '#0f172a',
+      })
+
+      Object.assign(overlay.querySelector('.overlay-subtitle').style, {
+        fontSize: '18px',
+        color: '#64748b',
+      })
+    }
+
+    cleanup() {
+      if (this.heartbeatInterval) {
+        clearInterval(this.heartbeatInterval)
+        this.heartbeatInterval = null
+      }
+      try {
+        chrome.runtime.onMessage.removeListener(this.messageListener)
+      } catch (_) {}
+    }
+  }
+}
+
+if (!window.__boundrSiteWatcher) {
+  window.__boundrSiteWatcher = new window.SiteWatcher()
+}
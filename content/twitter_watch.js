@@ -19,15 +19,29 @@ if (typeof window.TwitterWatcher === 'undefined') {
     constructor() {
       this.isActive = false
       this.overlay = null
+      this.overlaySection = null
       this.activityTimeout = null
       this.idleCheckInterval = null
       this.lastActivity = Date.now()
       this.hasReportedIdle = false
       this.lastActivityReport = 0
+      this.lastReportedUrl = window.location.href
       this.customImage = null
       this.lastImageCheck = 0
       this.imageCacheTimeout = 10000
       this.creatingOverlay = false
+      this.intentionPrompt = null
+      this.frictionGate = null
+      this.frictionInterval = null
+      this.frictionPassed = false
+      this.intentionTimer = null
+      this.intentionTimerInterval = null
+      this.intentionChoices = [
+        { kind: 'dms', label: 'Check DMs' },
+        { kind: 'post', label: 'Post something' },
+        { kind: 'reply', label: 'Reply to a thread' },
+        { kind: 'browse', label: 'Just browsing' },
+      ]
       
       
       this.blockTwitterPushNotifications()
@@ -134,6 +148,9 @@ if (typeof window.TwitterWatcher === 'undefined') {
       }
 
       this.hideOverlay()
+      this.hideIntentionPrompt()
+      this.hideIntentionTimer()
+      this.hideFrictionGate()
     }
 
     isExtensionContextValid() {
@@ -159,6 +176,18 @@ if (typeof window.TwitterWatcher === 'undefined') {
         ) {
           await this.setActive(true)
         }
+        if (
+          response &&
+          response.friction &&
+          response.settings.enabled &&
+          !response.blocked &&
+          !this.frictionPassed
+        ) {
+          this.showFrictionGate(response.friction.seconds)
+        }
+        if (response && !response.blocked) {
+          this.applyIntentionState(response.intention, response.settings)
+        }
       } catch (error) {
         console.warn('Failed to get initial state:', error)
       }
@@ -178,6 +207,13 @@ if (typeof window.TwitterWatcher === 'undefined') {
       try {
         switch (message.type) {
           case 'SHOW_NUDGE':
+            if (message.sound) {
+              this.playNudgeSound()
+            }
+            if (message.toast === false) {
+              sendResponse({ success: true })
+              break
+            }
             chrome.runtime
               .sendMessage({ type: 'GET_STATUS' })
               .then((response) => {
@@ -189,15 +225,12 @@ if (typeof window.TwitterWatcher === 'undefined') {
                   response.settings.enabled &&
                   !overlayExists &&
                   !response.flags.locked &&
-                  !response.flags.snoozed &&
-                  !response.flags.snoozeUsedToday
+                  !response.flags.snoozed
 
                 if (canShowNudge) {
                   this.showNudge(message.settings, message.timeLeft)
                 } else {
-                  console.log(
-                    '🔕 Nudge suppressed (overlay/locked/snoozed/snooze used)'
-                  )
+                  console.log('🔕 Nudge suppressed (overlay/locked/snoozed)')
                 }
               })
               .catch(() => {})
@@ -208,10 +241,18 @@ if (typeof window.TwitterWatcher === 'undefined') {
             chrome.runtime
               .sendMessage({ type: 'GET_STATUS' })
               .then((response) => {
-                if (response && response.settings.enabled) {
+                if (
+                  response &&
+                  response.settings.enabled &&
+                  response.blocked !== false
+                ) {
                   this.lastKnownState.locked = true
                   this.lastKnownState.hasOverlay = true
-                  this.showSoftLock(message.settings)
+                  this.showSoftLock(
+                    message.settings,
+                    message.section,
+                    message.blackout
+                  )
                 }
               })
               .catch(() => {})
@@ -245,9 +286,34 @@ if (typeof window.TwitterWatcher === 'undefined') {
             sendResponse({ success: true })
             break
 
+          case 'SHOW_INTENTION_PROMPT':
+            chrome.runtime
+              .sendMessage({ type: 'GET_STATUS' })
+              .then((response) => {
+                if (
+                  response &&
+                  !response.blocked &&
+                  response.intention &&
+                  response.intention.required
+                ) {
+                  this.hideIntentionTimer()
+                  this.showIntentionPrompt(response.settings, message.previous)
+                }
+              })
+              .catch(() => {})
+            sendResponse({ success: true })
+            break
+
+          case 'INTENTION_STARTED':
+            this.hideIntentionPrompt()
+            this.showIntentionTimer(message.intention)
+            sendResponse({ success: true })
+            break
+
           case 'SETTINGS_UPDATED':
             console.log('🔄 Settings updated - invalidating image cache')
             this.invalidateImageCache()
+            this.reportRoute()
             sendResponse({ success: true })
             break
 
@@ -285,6 +351,10 @@ if (typeof window.TwitterWatcher === 'undefined') {
           return
         }
 
+        if (window.location.href !== this.lastReportedUrl) {
+          this.reportRoute()
+        }
+
         const now = Date.now()
         if (now - this.lastActivity > 30000) {
           if (!this.hasReportedIdle) {
@@ -360,7 +430,64 @@ if (typeof window.TwitterWatcher === 'undefined') {
       this.lastActivityReport = now
 
       try {
-        chrome.runtime.sendMessage({ type: 'USER_ACTIVITY' }).catch(() => {})
+        chrome.runtime
+          .sendMessage({ type: 'USER_ACTIVITY', url: window.location.href })
+          .catch(() => {})
+      } catch (error) {
+        if (
+          error.message &&
+          error.message.includes('Extension context invalidated')
+        ) {
+          this.cleanup()
+        }
+      }
+    }
+
+    reportRoute() {
+      this.lastReportedUrl = window.location.href
+      if (!this.isExtensionContextValid()) {
+        return
+      }
+      try {
+        chrome.runtime
+          .sendMessage({ type: 'ROUTE_CHANGED', url: window.location.href })
+          .then((response) => {
+            if (!response || !response.success) return
+
+            const hasOverlay = !!(
+              this.overlay ||
+              document.querySelector('.twitter-time-limit-overlay')
+            )
+
+            if (response.blocked) {
+              const shownSection = this.overlaySection
+                ? this.overlaySection.id
+                : null
+              const wantedSection = response.section
+                ? response.section.id
+                : null
+              if (
+                (!hasOverlay || shownSection !== wantedSection) &&
+                !this.creatingOverlay
+              ) {
+                this.lastKnownState.locked = true
+                this.lastKnownState.hasOverlay = true
+                this.showSoftLock(
+                  response.settings,
+                  response.section,
+                  response.blackout
+                )
+              }
+            } else {
+              if (hasOverlay) {
+                this.lastKnownState.locked = false
+                this.lastKnownState.hasOverlay = false
+                this.hideOverlay()
+              }
+              this.applyIntentionState(response.intention, response.settings)
+            }
+          })
+          .catch(() => {})
       } catch (error) {
         if (
           error.message &&
@@ -409,7 +536,10 @@ if (typeof window.TwitterWatcher === 'undefined') {
 
       try {
         if (active) {
-          chrome.runtime.sendMessage({ type: 'TAB_ACTIVE' }).catch(() => {})
+          this.lastReportedUrl = window.location.href
+          chrome.runtime
+            .sendMessage({ type: 'TAB_ACTIVE', url: window.location.href })
+            .catch(() => {})
         } else {
           chrome.runtime.sendMessage({ type: 'TAB_INACTIVE' }).catch(() => {})
         }
@@ -437,6 +567,29 @@ if (typeof window.TwitterWatcher === 'undefined') {
       })
     }
 
+    // Two short tones, generated so the extension ships no audio files
+    playNudgeSound() {
+      try {
+        const context = new AudioContext()
+        ;[0, 0.25].forEach((offset) => {
+          const oscillator = context.createOscillator()
+          const gain = context.createGain()
+          oscillator.frequency.value = 880
+          gain.gain.setValueAtTime(0.15, context.currentTime + offset)
+          gain.gain.exponentialRampToValueAtTime(
+            0.001,
+            context.currentTime + offset + 0.2
+          )
+          oscillator.connect(gain).connect(context.destination)
+          oscillator.start(context.currentTime + offset)
+          oscillator.stop(context.currentTime + offset + 0.2)
+        })
+        setTimeout(() => context.close(), 1000)
+      } catch (error) {
+        console.warn('Failed to play nudge sound:', error)
+      }
+    }
+
     async getNudgeActions(settings) {
       if (!settings.allowSnooze) {
         return []
@@ -446,18 +599,18 @@ if (typeof window.TwitterWatcher === 'undefined') {
         const response = await chrome.runtime.sendMessage({
           type: 'GET_STATUS',
         })
-        if (
-          response &&
-          response.flags &&
-          (response.flags.snoozed || response.flags.snoozeUsedToday)
-        ) {
+        if (!this.hasSnoozeLeft(response)) {
           return [
             { text: 'Snooze used', action: 'dismiss' },
             { text: 'Dismiss', action: 'dismiss' },
           ]
         } else {
           return [
-            { text: `Snooze ${settings.cooldownMin}m`, action: 'snooze' },
+            ...response.snooze.durations.map((minutes) => ({
+              text: `Snooze ${minutes}m`,
+              action: 'snooze',
+              minutes,
+            })),
             { text: 'Dismiss', action: 'dismiss' },
           ]
         }
@@ -467,7 +620,7 @@ if (typeof window.TwitterWatcher === 'undefined') {
       }
     }
 
-    async showSoftLock(settings) {
+    async showSoftLock(settings, section = null, blackout = null) {
       console.log('🔄 showSoftLock called - creating new overlay')
       if (this.creatingOverlay) {
         console.log('⏳ Overlay creation already in progress - skipping')
@@ -476,7 +629,14 @@ if (typeof window.TwitterWatcher === 'undefined') {
       this.creatingOverlay = true
       try {
         this.removeAllOverlays()
-        this.overlay = await this.createSoftLockOverlay(settings)
+        this.hideIntentionPrompt()
+        this.hideFrictionGate()
+        this.overlay = await this.createSoftLockOverlay(
+          settings,
+          section,
+          blackout && blackout.active ? blackout : null
+        )
+        this.overlaySection = section
         document.body.appendChild(this.overlay)
         console.log('🔄 Soft lock overlay added to DOM')
 
@@ -485,12 +645,15 @@ if (typeof window.TwitterWatcher === 'undefined') {
             const response = await chrome.runtime.sendMessage({
               type: 'GET_STATUS',
             })
+            if (response && response.flags && !this.hasSnoozeLeft(response)) {
+              this.disableSnoozeButton()
+            }
             if (
               response &&
               response.flags &&
-              (response.flags.snoozed || response.flags.snoozeUsedToday)
+              response.flags.cooldownUntil > Date.now()
             ) {
-              this.disableSnoozeButton()
+              this.showCoolingOff(response.flags.cooldownUntil)
             }
           } catch (error) {
             console.warn('Failed to check snooze status:', error)
@@ -517,7 +680,7 @@ if (typeof window.TwitterWatcher === 'undefined') {
             const response = await chrome.runtime.sendMessage({
               type: 'GET_STATUS',
             })
-            if (response && response.flags && response.flags.snoozed) {
+            if (response && response.flags && !this.hasSnoozeLeft(response)) {
               this.disableSnoozeButton()
             }
           } catch (error) {
@@ -529,6 +692,302 @@ if (typeof window.TwitterWatcher === 'undefined') {
       }
     }
 
+    // Resolves once the wait is over; hiding the tab starts it again
+    showFrictionGate(seconds) {
+      if (seconds <= 0) {
+        this.frictionPassed = true
+        return Promise.resolve()
+      }
+
+      return new Promise((resolve) => {
+        const gate = document.createElement('div')
+        gate.className = 'twitter-time-limit-friction'
+        gate.innerHTML = `
+        <div class="overlay-content">
+          <div class="overlay-emoji">⏳</div>
+          <h1 class="overlay-title">Take a breath</h1>
+          <p class="overlay-subtitle"></p>
+        </div>
+      `
+        this.styleOverlay(gate)
+        Object.assign(gate.style, {
+          background: 'rgba(0, 0, 0, 0.35)',
+          backdropFilter: 'blur(12px)',
+        })
+
+        const subtitle = gate.querySelector('.overlay-subtitle')
+        let remaining = seconds
+        const render = () => {
+          subtitle.textContent = `X will be ready in ${remaining}s`
+        }
+
+        const blockKeys = (event) => {
+          event.stopPropagation()
+          event.preventDefault()
+        }
+        const onVisibilityChange = () => {
+          if (document.hidden) {
+            remaining = seconds
+            render()
+          }
+        }
+        const previousOverflow = document.documentElement.style.overflow
+
+        const finish = () => {
+          clearInterval(this.frictionInterval)
+          this.frictionInterval = null
+          window.removeEventListener('keydown', blockKeys, true)
+          document.removeEventListener('visibilitychange', onVisibilityChange)
+          document.documentElement.style.overflow = previousOverflow
+          gate.remove()
+          this.frictionGate = null
+          this.frictionPassed = true
+          resolve()
+        }
+
+        window.addEventListener('keydown', blockKeys, true)
+        document.addEventListener('visibilitychange', onVisibilityChange)
+        document.documentElement.style.overflow = 'hidden'
+
+        render()
+        document.documentElement.appendChild(gate)
+        this.frictionGate = { element: gate, finish }
+
+        this.frictionInterval = setInterval(() => {
+          if (document.hidden) return
+          remaining -= 1
+          if (remaining <= 0) {
+            finish()
+          } else {
+            render()
+          }
+        }, 1000)
+      })
+    }
+
+    hideFrictionGate() {
+      if (this.frictionGate) {
+        this.frictionGate.finish()
+      }
+    }
+
+    applyIntentionState(intention, settings) {
+      if (!intention) return
+
+      if (intention.required) {
+        this.hideIntentionTimer()
+        this.showIntentionPrompt(settings)
+      } else {
+        this.hideIntentionPrompt()
+        if (intention.active) {
+          this.showIntentionTimer(intention.active)
+        } else {
+          this.hideIntentionTimer()
+        }
+      }
+    }
+
+    showIntentionPrompt(settings, previous = null) {
+      if (this.intentionPrompt && document.body.contains(this.intentionPrompt)) {
+        return
+      }
+
+      const defaultMinutes =
+        (settings && settings.intention && settings.intention.defaultMinutes) ||
+        10
+      const minuteOptions = [2, 5, 10, 15, 30, 60]
+      if (!minuteOptions.includes(defaultMinutes)) {
+        minuteOptions.push(defaultMinutes)
+        minuteOptions.sort((a, b) => a - b)
+      }
+
+      const prompt = document.createElement('div')
+      prompt.className = 'twitter-time-limit-intention'
+      prompt.innerHTML = `
+      <div class="overlay-content">
+        <div class="overlay-emoji">🎯</div>
+        <h1 class="overlay-title">Why are you here?</h1>
+        <p class="overlay-subtitle"></p>
+        <div class="overlay-actions">
+          ${this.intentionChoices
+            .map(
+              ({ kind, label }) => `
+            <button class="overlay-button overlay-button-secondary" data-kind="${kind}">
+              ${label}
+            </button>
+          `
+            )
+            .join('')}
+        </div>
+        <div class="intention-custom">
+          <input type="text" class="intention-label" maxlength="80" placeholder="Something else..." />
+          <select class="intention-minutes">
+            ${minuteOptions
+              .map(
+                (minutes) =>
+                  `<option value="${minutes}" ${
+                    minutes === defaultMinutes ? 'selected' : ''
+                  }>${minutes} min</option>`
+              )
+              .join('')}
+          </select>
+          <button class="overlay-button overlay-button-primary" data-kind="custom">
+            Start
+          </button>
+        </div>
+      </div>
+    `
+
+      prompt.querySelector('.overlay-subtitle').textContent = previous
+        ? `Your ${previous.minutes} minutes for "${previous.label}" are up. Pick what's next`
+        : 'Pick what you came for. X stays open for that long'
+
+      this.styleOverlay(prompt)
+      Object.assign(prompt.querySelector('.intention-custom').style, {
+        display: 'flex',
+        gap: '8px',
+        marginTop: '20px',
+        justifyContent: 'center',
+      })
+      prompt
+        .querySelectorAll('.intention-label, .intention-minutes')
+        .forEach((field) => {
+          Object.assign(field.style, {
+            padding: '12px',
+            borderRadius: '12px',
+            border: '1px solid var(--border, #e2e8f0)',
+            fontSize: '16px',
+          })
+        })
+
+      prompt.querySelectorAll('[data-kind]').forEach((button) => {
+        button.addEventListener('click', () => {
+          const kind = button.dataset.kind
+          const choice = this.intentionChoices.find(
+            (entry) => entry.kind === kind
+          )
+          const label = choice
+            ? choice.label
+            : prompt.querySelector('.intention-label').value.trim()
+          if (!label) {
+            prompt.querySelector('.intention-label').focus()
+            return
+          }
+          this.startIntention(
+            kind,
+            label,
+            parseInt(prompt.querySelector('.intention-minutes').value)
+          )
+        })
+      })
+
+      document.body.appendChild(prompt)
+      this.intentionPrompt = prompt
+    }
+
+    hideIntentionPrompt() {
+      document
+        .querySelectorAll('.twitter-time-limit-intention')
+        .forEach((el) => el.remove())
+      this.intentionPrompt = null
+    }
+
+    startIntention(kind, label, minutes) {
+      if (!this.isExtensionContextValid()) return
+
+      chrome.runtime
+        .sendMessage({ type: 'START_INTENTION', kind, label, minutes })
+        .then((response) => {
+          if (response && response.success) {
+            this.hideIntentionPrompt()
+            this.showIntentionTimer(response.intention)
+          }
+        })
+        .catch(() => {})
+    }
+
+    showIntentionTimer(intention) {
+      if (
+        this.intentionTimer &&
+        this.intentionTimer.dataset.intentionId === intention.id &&
+        document.body.contains(this.intentionTimer)
+      ) {
+        return
+      }
+      this.hideIntentionTimer()
+
+      const timer = document.createElement('div')
+      timer.className = 'twitter-time-limit-intention-timer'
+      timer.dataset.intentionId = intention.id
+      timer.innerHTML = `
+        <span class="intention-timer-text"></span>
+        <button class="intention-timer-done">Done</button>
+      `
+      Object.assign(timer.style, {
+        position: 'fixed',
+        bottom: '20px',
+        right: '20px',
+        display: 'flex',
+        alignItems: 'center',
+        gap: '10px',
+        padding: '10px 14px',
+        borderRadius: '999px',
+        background: '#0f172a',
+        color: '#ffffff',
+        fontSize: '14px',
+        fontFamily: 'system-ui, -apple-system, sans-serif',
+        zIndex: '999998',
+        boxShadow: '0 10px 25px -5px rgba(0, 0, 0, 0.3)',
+      })
+      Object.assign(timer.querySelector('.intention-timer-done').style, {
+        background: 'transparent',
+        border: '1px solid rgba(255, 255, 255, 0.4)',
+        borderRadius: '999px',
+        color: '#ffffff',
+        padding: '2px 10px',
+        cursor: 'pointer',
+      })
+
+      timer
+        .querySelector('.intention-timer-done')
+        .addEventListener('click', () => {
+          this.hideIntentionTimer()
+          chrome.runtime
+            .sendMessage({ type: 'END_INTENTION' })
+            .catch(() => {})
+        })
+
+      const text = timer.querySelector('.intention-timer-text')
+      const update = () => {
+        const left = Math.max(0, intention.endsAt - Date.now())
+        const minutes = Math.floor(left / 60000)
+        const seconds = Math.floor((left % 60000) / 1000)
+        text.textContent = `🎯 ${intention.label} · ${minutes}:${String(
+          seconds
+        ).padStart(2, '0')}`
+        if (left === 0) {
+          this.hideIntentionTimer()
+          this.reportRoute()
+        }
+      }
+
+      document.body.appendChild(timer)
+      this.intentionTimer = timer
+      update()
+      this.intentionTimerInterval = setInterval(update, 1000)
+    }
+
+    hideIntentionTimer() {
+      if (this.intentionTimerInterval) {
+        clearInterval(this.intentionTimerInterval)
+        this.intentionTimerInterval = null
+      }
+      document
+        .querySelectorAll('.twitter-time-limit-intention-timer')
+        .forEach((el) => el.remove())
+      this.intentionTimer = null
+    }
+
     hideOverlay() {
       console.log('hideOverlay called, overlay exists:', !!this.overlay)
       this.removeAllOverlays()
@@ -545,6 +1004,7 @@ if (typeof window.TwitterWatcher === 'undefined') {
         }
       } catch (e) {}
       this.overlay = null
+      this.overlaySection = null
       console.log('Overlay removed successfully')
     }
 
@@ -579,7 +1039,10 @@ if (typeof window.TwitterWatcher === 'undefined') {
           try {
             if (response && response.settings.enabled) {
               const currentState = {
-                locked: response.flags.locked,
+                locked:
+                  response.blocked !== undefined
+                    ? response.blocked
+                    : response.flags.locked,
                 paused: response.flags.pausedToday,
                 snoozed: response.flags.snoozed,
                 hasOverlay: !!(
@@ -598,7 +1061,11 @@ if (typeof window.TwitterWatcher === 'undefined') {
                 
                 if (currentState.locked && !currentState.hasOverlay && !this.creatingOverlay) {
                   console.log('🔄 checkOverlayState - first run, showing overlay (locked)')
-                  await this.showSoftLock(response.settings)
+                  await this.showSoftLock(
+                    response.settings,
+                    response.section,
+                    response.blackout
+                  )
                 }
                 return
               }
@@ -628,7 +1095,11 @@ if (typeof window.TwitterWatcher === 'undefined') {
               if (currentState.locked) {
                 if (!currentState.hasOverlay && !this.creatingOverlay) {
                   console.log('🔄 checkOverlayState - showing overlay (locked)')
-                  await this.showSoftLock(response.settings)
+                  await this.showSoftLock(
+                    response.settings,
+                    response.section,
+                    response.blackout
+                  )
                 }
               } else if (currentState.paused || currentState.snoozed) {
                 if (currentState.hasOverlay) {
@@ -696,14 +1167,11 @@ if (typeof window.TwitterWatcher === 'undefined') {
         color: 'var(--fg, #0f172a)',
       })
 
-      actions.forEach((action) => {
-        const button = toast.querySelector(`[data-action="${action.action}"]`)
-        if (button) {
-          button.addEventListener('click', () => {
-            this.handleToastAction(action.action)
-            toast.remove()
-          })
-        }
+      toast.querySelectorAll('.toast-action').forEach((button, index) => {
+        button.addEventListener('click', () => {
+          this.handleToastAction(actions[index])
+          toast.remove()
+        })
       })
 
       document.body.appendChild(toast)
@@ -718,16 +1186,19 @@ if (typeof window.TwitterWatcher === 'undefined') {
     }
 
     handleToastAction(action) {
-      switch (action) {
+      switch (action.action) {
         case 'snooze':
-          chrome.runtime.sendMessage({ type: 'SNOOZE_REQUEST' })
+          chrome.runtime.sendMessage({
+            type: 'SNOOZE_REQUEST',
+            minutes: action.minutes,
+          })
           break
         case 'dismiss':
           break
       }
     }
 
-    async createSoftLockOverlay(settings) {
+    async createSoftLockOverlay(settings, section = null, blackout = null) {
       const overlay = document.createElement('div')
       overlay.className = 'twitter-time-limit-overlay'
 
@@ -740,7 +1211,7 @@ if (typeof window.TwitterWatcher === 'undefined') {
       const nextReset = this.getNextResetTime(settings.resetHourLocal)
 
       console.log('Creating soft lock overlay with settings:', settings)
-      console.log('Cooldown minutes setting:', settings.cooldownMin)
+      const snoozeButtons = await this.getSnoozeButtons(settings)
 
       let visualElement = '<div class="overlay-emoji">🚫</div>'
 
@@ -783,24 +1254,45 @@ if (typeof window.TwitterWatcher === 'undefined') {
         console.log('🎭 Custom overlay not enabled, using default emoji')
       }
 
+      let subtitle = `Back at ${nextReset} or use cooldown`
+      let actions = `
+            ${snoozeButtons}
+            ${
+              settings.passcodeHash
+                ? `
+            <button class="overlay-button overlay-button-primary" data-action="bypass">
+              I insist (enter passcode)
+            </button>
+          `
+                : ''
+            }
+          `
+
+      if (blackout) {
+        const until = new Date(blackout.until).toLocaleTimeString([], {
+          hour: '2-digit',
+          minute: '2-digit',
+        })
+        subtitle = `X is off until ${until}`
+        actions = ''
+      } else if (section) {
+        subtitle = section.rule
+          ? 'This page is blocked by one of your page rules'
+          : `${section.label} is done for today. Other sections stay open until ${nextReset}`
+        actions = `
+            <button class="overlay-button overlay-button-secondary" data-action="back">
+              Go back
+            </button>
+          `
+      }
+
       overlay.innerHTML = `
       <div class="overlay-content">
         ${visualElement}
         <h1 class="overlay-title">${message}</h1>
-        <p class="overlay-subtitle">Back at ${nextReset} or use cooldown</p>
+        <p class="overlay-subtitle">${subtitle}</p>
         <div class="overlay-actions">
-          <button class="overlay-button overlay-button-secondary" data-action="cooldown">
-            Start cooldown ${settings.cooldownMin}m
-          </button>
-          ${
-            settings.passcodeHash
-              ? `
-            <button class="overlay-button overlay-button-primary" data-action="bypass">
-              I insist (enter passcode)
-            </button>
-          `
-              : ''
-          }
+          ${actions}
         </div>
       </div>
     `
@@ -823,6 +1315,8 @@ if (typeof window.TwitterWatcher === 'undefined') {
         settings.overlayCustomization
       )
 
+      const snoozeButtons = await this.getSnoozeButtons(settings)
+
       let visualElement = '<div class="overlay-emoji">⏰</div>'
       if (
         settings.overlayCustomization &&
@@ -840,9 +1334,7 @@ if (typeof window.TwitterWatcher === 'undefined') {
         <h1 class="overlay-title">${message}</h1>
         <p class="overlay-subtitle">Closing tab in <span class="countdown-number">10</span> seconds</p>
         <div class="overlay-actions">
-          <button class="overlay-button overlay-button-secondary" data-action="cooldown">
-            Start cooldown ${settings.cooldownMin}m
-          </button>
+          ${snoozeButtons}
           ${
             settings.passcodeHash
               ? `
@@ -978,12 +1470,12 @@ if (typeof window.TwitterWatcher === 'undefined') {
       buttons.forEach((button) => {
         button.addEventListener('click', () => {
           const action = button.dataset.action
-          this.handleOverlayAction(action, settings)
+          this.handleOverlayAction(action, settings, button.dataset.minutes)
         })
       })
     }
 
-    handleOverlayAction(action, settings) {
+    handleOverlayAction(action, settings, minutes) {
       console.log('Overlay action clicked:', action)
 
       if (!this.isExtensionContextValid()) {
@@ -1000,6 +1492,7 @@ if (typeof window.TwitterWatcher === 'undefined') {
           chrome.runtime
             .sendMessage({
               type: 'SNOOZE_REQUEST',
+              minutes: Number(minutes),
             })
             .then((response) => {
               console.log('Snooze response:', response)
@@ -1020,6 +1513,10 @@ if (typeof window.TwitterWatcher === 'undefined') {
         case 'bypass':
           this.promptForPasscode()
           break
+
+        case 'back':
+          window.history.back()
+          break
       }
     }
 
@@ -1036,6 +1533,11 @@ if (typeof window.TwitterWatcher === 'undefined') {
             type: 'BYPASS_REQUEST',
             passcode,
           })
+          .then((response) => {
+            if (response && !response.success) {
+              this.showOverlayError(response.error || 'Bypass not available')
+            }
+          })
           .catch((error) => {
             console.error('Bypass request error:', error)
           })
@@ -1043,12 +1545,17 @@ if (typeof window.TwitterWatcher === 'undefined') {
     }
 
     showSnoozeError(error) {
+      this.showOverlayError(
+        error === 'Snooze already used today' || error.startsWith('Cooling off')
+          ? error
+          : 'Snooze not available'
+      )
+    }
+
+    showOverlayError(text) {
       const errorDiv = document.createElement('div')
       errorDiv.className = 'snooze-error'
-      errorDiv.textContent =
-        error === 'Snooze already used today'
-          ? 'Snooze already used today'
-          : 'Snooze not available'
+      errorDiv.textContent = text
       errorDiv.style.cssText = `
       position: absolute;
       top: 10px;
@@ -1075,11 +1582,67 @@ if (typeof window.TwitterWatcher === 'undefined') {
       }
     }
 
+    showCoolingOff(cooldownUntil) {
+      if (!this.overlay) return
+
+      const bypassButton = this.overlay.querySelector('[data-action="bypass"]')
+      if (bypassButton) {
+        bypassButton.remove()
+      }
+
+      const subtitle = this.overlay.querySelector('.overlay-subtitle')
+      if (subtitle) {
+        const until = new Date(cooldownUntil).toLocaleTimeString([], {
+          hour: '2-digit',
+          minute: '2-digit',
+        })
+        subtitle.textContent = `Second time today - cooling off until ${until}`
+      }
+    }
+
+    // True while today's snooze policy still offers a snooze
+    hasSnoozeLeft(status) {
+      return Boolean(
+        status &&
+          status.snooze &&
+          !status.flags.snoozed &&
+          status.snooze.remaining > 0
+      )
+    }
+
+    // One cooldown button per snooze length the policy currently offers
+    async getSnoozeButtons(settings) {
+      let durations = [settings.cooldownMin || 5]
+      if (this.isExtensionContextValid()) {
+        try {
+          const response = await chrome.runtime.sendMessage({
+            type: 'GET_STATUS',
+          })
+          if (this.hasSnoozeLeft(response)) {
+            durations = response.snooze.durations
+          }
+        } catch (error) {
+          console.warn('Failed to load snooze options:', error)
+        }
+      }
+
+      return durations
+        .map(
+          (minutes) => `
+            <button class="overlay-button overlay-button-secondary" data-action="cooldown" data-minutes="${minutes}">
+              Start cooldown ${minutes}m
+            </button>
+          `
+        )
+        .join('')
+    }
+
     disableSnoozeButton() {
       if (this.overlay) {
-        const snoozeButton = this.overlay.querySelector(
+        const [snoozeButton, ...otherButtons] = this.overlay.querySelectorAll(
           '[data-action="cooldown"]'
         )
+        otherButtons.forEach((button) => button.remove())
         if (snoozeButton) {
           snoozeButton.disabled = true
           snoozeButton.textContent = 'Snooze used'
@@ -1107,9 +1670,7 @@ if (typeof window.TwitterWatcher === 'undefined') {
         }
       }
 
-      const timeLeftText = timeLeft
-        ? this.formatTimeLeft(timeLeft)
-        : '5 minutes'
+      const timeLeftText = timeLeft ? this.formatTimeLeft(timeLeft) : 'time'
 
       const messages = {
         gentle: {
@@ -1118,7 +1679,7 @@ if (typeof window.TwitterWatcher === 'undefined') {
         },
         classic: {
           limit: "That's enough Twitter for today, mate.",
-          nudge: `${timeLeftText} left • snooze once?`,
+          nudge: `${timeLeftText} left • snooze?`,
         },
         drill: {
           limit: 'Session terminated. Go touch grass.',
@@ -28,6 +28,23 @@ class RulesEngine {
       'www.x.com',
     ]
     this.mobileDomains = ['m.twitter.com', 'mobile.twitter.com', 'm.x.com']
+    this.reservedRoutes = [
+      'home',
+      'explore',
+      'search',
+      'notifications',
+      'messages',
+      'i',
+      'settings',
+      'compose',
+      'login',
+      'logout',
+      'signup',
+      'hashtag',
+      'tos',
+      'privacy',
+      'jobs',
+    ]
   }
 
   getMessage(
@@ -59,7 +76,7 @@ class RulesEngine {
       },
       classic: {
         limit: "That's enough Twitter for today, mate.",
-        nudge: `${timeLeftText} left • snooze once?`,
+        nudge: `${timeLeftText} left • snooze?`,
         cooldown: 'Back in a few minutes',
       },
       drill: {
@@ -96,6 +113,66 @@ class RulesEngine {
     }
   }
 
+  getAlternativeDomains(settings) {
+    const alternatives = settings.alternatives
+    if (!alternatives || !alternatives.enabled) return []
+    return alternatives.domains || []
+  }
+
+  // Front-ends and mirrors that serve X content from another host
+  isTwitterAlternative(url, settings) {
+    let hostname
+    try {
+      hostname = new URL(url).hostname.toLowerCase()
+    } catch {
+      return false
+    }
+
+    return this.getAlternativeDomains(settings).some(
+      (domain) => hostname === domain || hostname.endsWith('.' + domain)
+    )
+  }
+
+  getBlockedDomains(settings) {
+    return ['x.com', 'twitter.com', ...this.getAlternativeDomains(settings)]
+  }
+
+  getRouteCategory(url) {
+    let path
+    try {
+      path = new URL(url).pathname
+    } catch {
+      return 'other'
+    }
+
+    const segments = path.split('/').filter(Boolean)
+    const [first = '', second = '', third = ''] = segments.map((segment) =>
+      segment.toLowerCase()
+    )
+
+    if (!first || first === 'home') return 'home'
+    if (first === 'explore' || first === 'search' || first === 'hashtag')
+      return 'explore'
+    if (first === 'notifications') return 'notifications'
+    if (first === 'messages') return 'messages'
+    if (first === 'compose') return 'compose'
+
+    if (first === 'i') {
+      if (second === 'spaces') return 'spaces'
+      if (second === 'lists') return 'lists'
+      if (second === 'chat') return 'messages'
+      if (second === 'trends') return 'explore'
+      if (second === 'web' && third === 'status') return 'thread'
+      return 'other'
+    }
+
+    if (this.reservedRoutes.includes(first)) return 'other'
+
+    if (second === 'status') return 'thread'
+    if (second === 'lists') return 'lists'
+    return 'profile'
+  }
+
   async shouldBlockTab(tabId, url) {
     if (!this.isTwitterUrl(url)) return false
 
@@ -104,7 +181,58 @@ class RulesEngine {
 
     if (!settings.enabled) return false
 
-    return flags.locked
+    return this.isRouteBlocked(url, settings, flags)
+  }
+
+  isRouteBlocked(url, settings, flags) {
+    const urlRule = matchUrlRule(settings.urlRules, url)
+    if (urlRule) return urlRule.rule.action === 'block'
+
+    if (getBlackoutState(settings).active) return true
+
+    const sectionLimits = settings.sectionLimits
+    if (!sectionLimits || !sectionLimits.enabled) return Boolean(flags.locked)
+
+    const route = this.getRouteCategory(url)
+    if (flags.locked && !(sectionLimits.exempt || []).includes(route)) {
+      return true
+    }
+    return (flags.lockedSections || []).includes(route)
+  }
+
+  getLockedSection(url, settings, flags) {
+    const urlRule = matchUrlRule(settings.urlRules, url)
+    if (urlRule) {
+      return urlRule.rule.action === 'block'
+        ? { id: `rule:${urlRule.index}`, label: urlRule.rule.pattern, rule: true }
+        : null
+    }
+
+    const sectionLimits = settings.sectionLimits
+    if (!sectionLimits || !sectionLimits.enabled) return null
+    if (getBlackoutState(settings).active) return null
+
+    const route = this.getRouteCategory(url)
+    if (flags.locked && !(sectionLimits.exempt || []).includes(route)) {
+      return null
+    }
+    if (!(flags.lockedSections || []).includes(route)) return null
+
+    return { id: route, label: SECTION_LABELS[route] || route }
+  }
+
+  async getTabsToBlock() {
+    const tabs = await chrome.tabs.query({
+      url: TWITTER_URL_PATTERNS,
+    })
+
+    const blocked = []
+    for (const tab of tabs) {
+      if (await this.shouldBlockTab(tab.id, tab.url)) {
+        blocked.push(tab)
+      }
+    }
+    return blocked
   }
 
   async shouldStartTracking(tabId, url) {
@@ -124,37 +252,123 @@ class RulesEngine {
 
     const shouldBlock = await this.shouldBlockTab(tabId, tab.url)
     if (shouldBlock) {
-      await this.blockTab(tabId)
+      await this.blockTab(tabId, tab.url)
     } else {
       await this.allowTab(tabId)
     }
   }
 
+  getRedirectUrl(settings) {
+    const redirect = settings.redirect || DEFAULT_SETTINGS.redirect
+    if (
+      redirect.target === 'url' &&
+      /^https?:\/\//i.test(redirect.url || '') &&
+      !this.isTwitterUrl(redirect.url)
+    ) {
+      return redirect.url
+    }
+    return chrome.runtime.getURL('ui/done.html')
+  }
+
   async handleTabUpdated(tabId, changeInfo, tab) {
+    // Redirect mode catches the navigation itself rather than the loaded page
+    if (changeInfo.url && this.isTwitterUrl(changeInfo.url)) {
+      const settings = await storage.getSettings()
+      if (
+        (await storage.getEffectiveMode(settings)) === 'redirect' &&
+        (await this.shouldBlockTab(tabId, changeInfo.url))
+      ) {
+        await this.blockTab(tabId, changeInfo.url)
+        return
+      }
+    }
+
     if (changeInfo.status !== 'complete') return
     if (!this.isTwitterUrl(tab.url)) return
 
     const shouldBlock = await this.shouldBlockTab(tabId, tab.url)
     if (shouldBlock) {
-      await this.blockTab(tabId)
+      await this.blockTab(tabId, tab.url)
     }
   }
 
-  async blockTab(tabId) {
+  async blockTab(tabId, url) {
     const settings = await storage.getSettings()
+    const flags = await storage.getFlags()
+    const section = url ? this.getLockedSection(url, settings, flags) : null
+    const mode = await storage.getEffectiveMode(settings)
 
-    if (settings.mode === 'close') {
+    if (mode === 'close' && !section) {
       chrome.tabs.remove(tabId)
+    } else if (mode === 'redirect' && !section) {
+      chrome.tabs
+        .update(tabId, { url: this.getRedirectUrl(settings) })
+        .catch(() => {})
     } else {
       chrome.tabs
         .sendMessage(tabId, {
           type: 'SHOW_SOFT_LOCK',
           settings,
+          section,
         })
         .catch(() => {})
     }
   }
 
+  // The overlay lives in the page and can be removed with DevTools, so a lock
+  // is also enforced with a dynamic rule that redirects X page loads away
+  async setNetworkBlock(settings) {
+    const target = this.getRedirectUrl(settings)
+    const extensionRoot = chrome.runtime.getURL('')
+    const redirect = target.startsWith(extensionRoot)
+      ? { extensionPath: `/${target.slice(extensionRoot.length)}` }
+      : { url: target }
+
+    await chrome.declarativeNetRequest.updateDynamicRules({
+      removeRuleIds: [NETWORK_BLOCK_RULE_ID],
+      addRules: [
+        {
+          id: NETWORK_BLOCK_RULE_ID,
+          priority: 1,
+          action: { type: 'redirect', redirect },
+          condition: {
+            requestDomains: this.getBlockedDomains(settings),
+            resourceTypes: ['main_frame'],
+          },
+        },
+      ],
+    })
+  }
+
+  async clearNetworkBlock() {
+    await chrome.declarativeNetRequest.updateDynamicRules({
+      removeRuleIds: [NETWORK_BLOCK_RULE_ID],
+    })
+  }
+
+  // A blanket redirect can't express allow rules or exempt sections, so those
+  // setups stay on the overlay alone
+  needsNetworkBlock(settings, flags) {
+    if (!settings.enabled || !flags.locked) return false
+    if (flags.snoozed || flags.pausedToday) return false
+
+    const urlRules = settings.urlRules
+    if (
+      urlRules &&
+      urlRules.enabled &&
+      (urlRules.rules || []).some((rule) => rule.action === 'allow')
+    ) {
+      return false
+    }
+
+    const sectionLimits = settings.sectionLimits
+    return !(
+      sectionLimits &&
+      sectionLimits.enabled &&
+      (sectionLimits.exempt || []).length > 0
+    )
+  }
+
   async allowTab(tabId) {
     chrome.tabs
       .sendMessage(tabId, {
@@ -165,7 +379,7 @@ class RulesEngine {
 
   async closeAllTwitterTabs() {
     const tabs = await chrome.tabs.query({
-      url: ['*://twitter.com/*', '*://x.com/*', '*://pro.x.com/*'],
+      url: TWITTER_URL_PATTERNS,
     })
 
     const tabIds = tabs.map((tab) => tab.id)
@@ -177,7 +391,7 @@ class RulesEngine {
   async blockAllTwitterTabs() {
     console.log('🚫 blockAllTwitterTabs called')
     const tabs = await chrome.tabs.query({
-      url: ['*://twitter.com/*', '*://x.com/*', '*://pro.x.com/*'],
+      url: TWITTER_URL_PATTERNS,
     })
 
     console.log('🚫 Found', tabs.length, 'X.com tabs to block')
@@ -225,26 +439,134 @@ class RulesEngine {
     return resetTime.toISOString()
   }
 
-  async validatePasscode(inputPasscode) {
+  async hashPasscode(passcode) {
+    const salt = crypto.getRandomValues(new Uint8Array(16))
+    const hash = await derivePasscodeHash(passcode, salt, PASSCODE_ITERATIONS)
+    return {
+      algorithm: 'PBKDF2-SHA256',
+      iterations: PASSCODE_ITERATIONS,
+      salt: bytesToBase64(salt),
+      hash: bytesToBase64(hash),
+    }
+  }
+
+  async matchesPasscode(stored, inputPasscode) {
+    // Records migrated from a bare SHA-256 hex digest wrap that digest
+    const input =
+      stored.prehash === 'sha256'
+        ? await sha256Hex(inputPasscode)
+        : inputPasscode
+    const expected = base64ToBytes(stored.hash)
+    const actual = await derivePasscodeHash(
+      input,
+      base64ToBytes(stored.salt),
+      stored.iterations
+    )
+
+    let diff = expected.length ^ actual.length
+    for (let i = 0; i < expected.length && i < actual.length; i++) {
+      diff |= expected[i] ^ actual[i]
+    }
+    return diff === 0
+  }
+
+  // Older builds kept the passcode as plain text or a SHA-256 hex digest
+  async migratePasscode() {
+    const settings = await storage.getSettings()
+    const stored = settings.passcodeHash
+    if (!stored || typeof stored !== 'string') return
+
+    const passcodeHash = /^[0-9a-f]{64}$/.test(stored)
+      ? { ...(await this.hashPasscode(stored)), prehash: 'sha256' }
+      : await this.hashPasscode(stored)
+
+    await storage.updateSettings({ passcodeHash })
+    console.log('🔑 Migrated stored passcode to PBKDF2')
+  }
+
+  async verifyPasscode(inputPasscode) {
+    await this.migratePasscode()
+
     const settings = await storage.getSettings()
-    if (!settings.passcodeHash) return false
+    if (!settings.passcodeHash) return { valid: false, reason: 'no_passcode' }
+
+    const guard = await storage.getPasscodeGuard()
+    if (guard.lockedUntil && guard.lockedUntil > Date.now()) {
+      return { valid: false, reason: 'locked_out', lockedUntil: guard.lockedUntil }
+    }
+
+    const valid = await this.matchesPasscode(
+      settings.passcodeHash,
+      inputPasscode || ''
+    )
+
+    if (valid) {
+      await storage.set(STORAGE_KEYS.PASSCODE_GUARD, DEFAULT_PASSCODE_GUARD)
+      if (settings.passcodeHash.prehash) {
+        await this.setPasscode(inputPasscode)
+      }
+      return { valid: true }
+    }
+
+    const failedAttempts = (guard.failedAttempts || 0) + 1
+    const lockoutMs = getPasscodeLockoutMs(failedAttempts)
+    const lockedUntil = lockoutMs > 0 ? Date.now() + lockoutMs : null
+    await storage.set(STORAGE_KEYS.PASSCODE_GUARD, {
+      failedAttempts,
+      lockedUntil,
+    })
+    console.log('🔑 Wrong passcode:', { failedAttempts, lockedUntil })
+    return { valid: false, reason: 'invalid', lockedUntil }
+  }
 
-    return settings.passcodeHash === inputPasscode
+  async validatePasscode(inputPasscode) {
+    return (await this.verifyPasscode(inputPasscode)).valid
   }
 
+  // Replacing the passcode leaves the wrong-attempt count and any lockout as
+  // they are, so a new passcode is no way around them
   async setPasscode(passcode) {
-    await storage.updateSettings({ passcodeHash: passcode })
+    await storage.updateSettings({
+      passcodeHash: await this.hashPasscode(passcode),
+    })
   }
 
   async clearPasscode() {
     await storage.updateSettings({ passcodeHash: null })
   }
 }
+const TWITTER_URL_PATTERNS = [
+  '*://twitter.com/*',
+  '*://x.com/*',
+  '*://pro.x.com/*',
+]
+
+const NETWORK_BLOCK_RULE_ID = 1
+const ALTERNATIVES_SITE_ID = 'x-alternatives'
+
+const DEFAULT_ALTERNATIVE_DOMAINS = [
+  'nitter.net',
+  'nitter.poast.org',
+  'nitter.privacydev.net',
+  'xcancel.com',
+  'twitonomy.com',
+  'tweetdeck.twitter.com',
+]
+
 const STORAGE_KEYS = {
   SETTINGS: 'settings',
   USAGE_TODAY: 'usageToday',
   FLAGS: 'flags',
   NOTIFICATIONS: 'notifications',
+  USAGE_HISTORY: 'usageHistory',
+  WEEKLY_BUDGET: 'weeklyBudget',
+  SITE_USAGE: 'siteUsage',
+  INTENTION_LOG: 'intentionLog',
+  ESCALATION: 'escalation',
+  DONE_NOTE: 'doneNote',
+  PASSCODE_GUARD: 'passcodeGuard',
+  PASSCODE_AUDIT: 'passcodeAudit',
+  PENDING_SETTINGS: 'pendingSettings',
 }
 
 const DEFAULT_SETTINGS = {
@@ -256,6 +578,7 @@ const DEFAULT_SETTINGS = {
   tone: 'classic',
   passcodeHash: null,
   cooldownMin: 5,
+  pauseAllowanceMin: 30,
   enabled: false,
   overlayCustomization: {
     enabled: false,
@@ -263,10 +586,83 @@ const DEFAULT_SETTINGS = {
     customImage: null,
     template: 'default',
   },
+  sectionLimits: {
+    enabled: false,
+    limits: {},
+    exempt: ['messages', 'compose'],
+  },
+  schedule: {
+    enabled: false,
+    days: [null, null, null, null, null, null, null],
+  },
+  blackout: {
+    enabled: false,
+    windows: [],
+  },
+  budget: {
+    mode: 'daily',
+    weeklyMin: 300,
+    maxPerDayMin: null,
+    weekStartDay: 1,
+  },
+  sites: [],
+  groups: [],
+  alternatives: {
+    enabled: false,
+    domains: DEFAULT_ALTERNATIVE_DOMAINS,
+  },
+  settingsGuard: {
+    enabled: false,
+    method: 'passcode',
+    delayMin: 15,
+  },
+  urlRules: {
+    enabled: false,
+    rules: [],
+  },
+  intention: {
+    enabled: false,
+    defaultMinutes: 10,
+  },
+  friction: {
+    startSeconds: 5,
+    fullSeconds: 30,
+  },
+  escalation: {
+    enabled: false,
+    cooldownMin: 30,
+    streakDays: 3,
+    closeModeDays: 7,
+  },
+  redirect: {
+    target: 'done',
+    url: '',
+  },
+  badge: {
+    enabled: true,
+  },
+  nudges: {
+    stages: [{ unit: 'percent', value: 80, channels: ['toast'] }],
+  },
+  snoozePolicy: {
+    perDay: 1,
+    durations: [5],
+    shrinkPercent: 0,
+    earn: {
+      enabled: false,
+      days: 3,
+    },
+  },
 }
 
 const DEFAULT_USAGE = {
   millisActive: 0,
+  totalMillis: 0,
+  sessions: 0,
+  slots: {},
+  routes: {},
+  sections: {},
+  groups: {},
   lastTickAt: Date.now(),
   dateKey: getDateKey(),
 }
@@ -276,6 +672,22 @@ const DEFAULT_FLAGS = {
   locked: false,
   pausedToday: false,
   snoozed: false,
+  lockedToday: false,
+  bypassUsedToday: false,
+  bypassGranted: false,
+  pauseUsedToday: false,
+  snoozeUntil: null,
+  snoozeCount: 0,
+  snoozeMillis: null,
+  nudgeStages: [],
+  nudgeBadge: false,
+  pausedUntil: null,
+  pauseStartedAt: null,
+  pauseMillisToday: 0,
+  lockedSections: [],
+  lockedGroups: [],
+  intention: null,
+  cooldownUntil: null,
 }
 
 const DEFAULT_NOTIFICATIONS = {
@@ -286,2083 +698,4611 @@ const DEFAULT_NOTIFICATIONS = {
   processedTweetIds: [],
 }
 
-const BEARER_TOKEN =
-  'Bearer AAAAAAAAAAAAAAAAAAAAANRILgAAAAAAnNwIzUejRCOuH5E6I8xnZz4puTs%3D1Zv7ttfk8LF81IUq16cHjhLTvJu4FA33AGWWjCpTnA'
+const DEFAULT_USAGE_HISTORY = {
+  days: [],
+}
 
-function getDateKey() {
-  return new Date().toISOString().split('T')[0]
+const DEFAULT_WEEKLY_BUDGET = {
+  weekKey: null,
+  usedMillis: 0,
 }
 
-class StorageManager {
-  constructor() {
-    this.cache = new Map()
-    this.pendingWrites = new Map()
-    this.writeTimeout = null
-  }
+const DEFAULT_SITE_USAGE = {
+  dateKey: null,
+  sites: {},
+  locked: [],
+}
 
-  async get(key) {
-    if (this.cache.has(key)) {
-      return this.cache.get(key)
-    }
+const DEFAULT_ESCALATION = {
+  streak: 0,
+  lastDateKey: null,
+  closeModeUntil: null,
+}
 
-    const result = await chrome.storage.local.get(key)
-    const value = result[key]
+const DEFAULT_DONE_NOTE = {
+  text: '',
+}
 
-    if (value === undefined) {
-      let defaultValue
-      switch (key) {
-        case STORAGE_KEYS.SETTINGS:
-          defaultValue = DEFAULT_SETTINGS
-          break
-        case STORAGE_KEYS.USAGE_TODAY:
-          defaultValue = DEFAULT_USAGE
-          break
-        case STORAGE_KEYS.FLAGS:
-          defaultValue = DEFAULT_FLAGS
-          break
-        case STORAGE_KEYS.NOTIFICATIONS:
-          defaultValue = DEFAULT_NOTIFICATIONS
-          break
-        default:
-          defaultValue = null
-      }
+const DEFAULT_INTENTION_LOG = {
+  entries: [],
+}
 
-      await this.set(key, defaultValue)
-      this.cache.set(key, defaultValue)
-      return defaultValue
-    }
+const DEFAULT_PASSCODE_GUARD = {
+  failedAttempts: 0,
+  lockedUntil: null,
+}
 
-    this.cache.set(key, value)
-    return value
-  }
+const DEFAULT_PASSCODE_AUDIT = {
+  entries: [],
+}
 
-  async set(key, value) {
-    await chrome.storage.local.set({ [key]: value })
-    this.cache.set(key, value)
-  }
+const DEFAULT_PENDING_SETTINGS = {
+  changes: [],
+}
 
-  setBatched(key, value) {
-    this.cache.set(key, value)
-    this.pendingWrites.set(key, value)
+const HISTORY_MAX_DAYS = 400
+const INTENTION_LOG_MAX = 1000
+const FRICTION_MAX_SECONDS = 300
+const PASSCODE_AUDIT_MAX = 200
+const PAUSE_DURATIONS_MIN = [15, 30, 60]
+const BADGE_LABELS = {
+  locked: 'LOCK',
+  paused: 'II',
+  snoozed: 'Z',
+}
+const BADGE_COLORS = {
+  plenty: '#16a34a',
+  low: '#f59e0b',
+  locked: '#dc2626',
+  paused: '#64748b',
+  snoozed: '#6366f1',
+}
+const PASSCODE_ITERATIONS = 210000
+const PASSCODE_FREE_ATTEMPTS = 3
+const PASSCODE_LOCKOUT_BASE_MS = 30 * 1000
+const PASSCODE_LOCKOUT_MAX_MS = 24 * 60 * 60 * 1000
+
+const SECTION_LABELS = {
+  home: 'Home timeline',
+  explore: 'Search & Explore',
+  notifications: 'Notifications',
+  messages: 'Messages',
+  compose: 'Compose',
+  profile: 'Profiles',
+  thread: 'Threads',
+  spaces: 'Spaces',
+  lists: 'Lists',
+  other: 'Other pages',
+}
 
-    if (this.writeTimeout) {
-      clearTimeout(this.writeTimeout)
-    }
+const BEARER_TOKEN =
+  'Bearer AAAAAAAAAAAAAAAAAAAAANRILgAAAAAAnNwIzUejRCOuH5E6I8xnZz4puTs%3D1Zv7ttfk8LF81IUq16cHjhLTvJu4FA33AGWWjCpTnA'
 
-    this.writeTimeout = setTimeout(async () => {
-      if (this.pendingWrites.size > 0) {
-        const writes = Object.fromEntries(this.pendingWrites)
-        this.pendingWrites.clear()
+function getDateKey() {
+  return new Date().toISOString().split('T')[0]
+}
 
-        try {
-          await chrome.storage.local.set(writes)
-          console.log('💾 Batched write completed:', Object.keys(writes))
-        } catch (error) {
-          console.error('❌ Batched write failed:', error)
-        }
-      }
-    }, 5000)
+function getPreviousDateKey(dateKey) {
+  const date = new Date(`${dateKey}T00:00:00Z`)
+  date.setUTCDate(date.getUTCDate() - 1)
+  return date.toISOString().split('T')[0]
+}
+
+function getLimitDate(settings, timestamp = Date.now()) {
+  const date = new Date(timestamp)
+  if (date.getHours() < settings.resetHourLocal) {
+    date.setDate(date.getDate() - 1)
   }
+  date.setHours(0, 0, 0, 0)
+  return date
+}
 
-  async update(key, updates) {
-    const current = await this.get(key)
-    const updated = { ...current, ...updates }
-    await this.set(key, updated)
-    return updated
+function getLimitDay(settings, timestamp = Date.now()) {
+  return getLimitDate(settings, timestamp).getDay()
+}
+
+function getBudgetWeek(settings, timestamp = Date.now()) {
+  const budget = settings.budget || DEFAULT_SETTINGS.budget
+  const weekStart = new Date(getLimitDate(settings, timestamp))
+  const dayIndex = (weekStart.getDay() - budget.weekStartDay + 7) % 7
+  weekStart.setDate(weekStart.getDate() - dayIndex)
+
+  const month = String(weekStart.getMonth() + 1).padStart(2, '0')
+  const day = String(weekStart.getDate()).padStart(2, '0')
+  return {
+    key: `${weekStart.getFullYear()}-${month}-${day}`,
+    dayIndex,
   }
+}
 
-  async clear() {
-    await chrome.storage.local.clear()
-    this.cache.clear()
+function getDailyLimitMin(
+  settings,
+  timestamp = Date.now(),
+  weekUsedMillis = 0
+) {
+  const budget = settings.budget
+  if (budget && budget.mode === 'weekly') {
+    const { dayIndex } = getBudgetWeek(settings, timestamp)
+    const earnedMin =
+      (budget.weeklyMin / 7) * (dayIndex + 1) - weekUsedMillis / 60000
+    const todayMin = budget.maxPerDayMin
+      ? Math.min(budget.maxPerDayMin, earnedMin)
+      : earnedMin
+    return Math.max(0, Math.floor(todayMin))
   }
 
-  async getSettings() {
-    return this.get(STORAGE_KEYS.SETTINGS)
+  const schedule = settings.schedule
+  if (schedule && schedule.enabled) {
+    const scheduled = (schedule.days || [])[getLimitDay(settings, timestamp)]
+    if (typeof scheduled === 'number') return scheduled
   }
+  return settings.dailyLimitMin
+}
 
-  async updateSettings(updates) {
-    const oldSettings = await this.get(STORAGE_KEYS.SETTINGS)
-    const newSettings = await this.update(STORAGE_KEYS.SETTINGS, updates)
+function parseTimeOfDay(value) {
+  const [hours = 0, minutes = 0] = String(value || '')
+    .split(':')
+    .map(Number)
+  return { hours, minutes }
+}
 
-    await this.handleSettingsChange(oldSettings, newSettings)
+function getBlackoutState(settings, timestamp = Date.now()) {
+  const state = { active: false, until: null, next: null }
+  const blackout = settings.blackout
+  if (!blackout || !blackout.enabled) return state
+
+  const intervals = []
+  for (let offset = -1; offset <= 7; offset++) {
+    const day = new Date(timestamp)
+    day.setHours(0, 0, 0, 0)
+    day.setDate(day.getDate() + offset)
+
+    for (const entry of blackout.windows || []) {
+      if (!(entry.days || []).includes(day.getDay())) continue
+
+      const start = parseTimeOfDay(entry.start)
+      const end = parseTimeOfDay(entry.end)
+      const startAt = new Date(day)
+      startAt.setHours(start.hours, start.minutes, 0, 0)
+      const endAt = new Date(day)
+      endAt.setHours(end.hours, end.minutes, 0, 0)
+      if (endAt <= startAt) {
+        endAt.setDate(endAt.getDate() + 1)
+      }
 
-    return newSettings
+      intervals.push({ start: startAt.getTime(), end: endAt.getTime() })
+    }
   }
 
-  async getUsageToday() {
-    return this.get(STORAGE_KEYS.USAGE_TODAY)
-  }
+  intervals.sort((a, b) => a.start - b.start)
 
-  async updateUsageToday(updates) {
-    return this.update(STORAGE_KEYS.USAGE_TODAY, updates)
+  for (const interval of intervals) {
+    if (state.active) {
+      if (interval.start <= state.until) {
+        state.until = Math.max(state.until, interval.end)
+      }
+    } else if (interval.start <= timestamp && timestamp < interval.end) {
+      state.active = true
+      state.until = interval.end
+    }
   }
 
-  async getFlags() {
-    return this.get(STORAGE_KEYS.FLAGS)
-  }
+  const after = state.active ? state.until : timestamp
+  state.next = intervals.find((interval) => interval.start > after) || null
+  return state
+}
 
-  async updateFlags(updates) {
-    return this.update(STORAGE_KEYS.FLAGS, updates)
+// Rules match against "host/path", with twitter.com and its mobile and
+// www hosts folded into x.com so one pattern covers every alias
+function getUrlRuleTarget(url) {
+  let urlObj
+  try {
+    urlObj = new URL(url)
+  } catch {
+    return null
   }
 
-  async getNotifications() {
-    return this.get(STORAGE_KEYS.NOTIFICATIONS)
+  const host = urlObj.hostname
+    .toLowerCase()
+    .replace(/^(www|mobile|m)\./, '')
+    .replace(/^twitter\.com$/, 'x.com')
+  const path = urlObj.pathname.replace(/\/+$/, '')
+  return host + path
+}
+
+function urlRuleToRegExp(rule) {
+  if (rule.kind === 'regex') {
+    try {
+      return new RegExp(rule.pattern, 'i')
+    } catch {
+      return null
+    }
   }
 
-  async updateNotifications(updates) {
-    return this.update(STORAGE_KEYS.NOTIFICATIONS, updates)
-  }
+  const glob = (rule.pattern || '')
+    .trim()
+    .replace(/^[a-z]+:\/\//i, '')
+    .replace(/^www\./i, '')
+    .replace(/^twitter\.com/i, 'x.com')
+    .replace(/\/+$/, '')
+  const source = glob
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*')
+  return new RegExp(`^${source}$`, 'i')
+}
 
-  async getCustomImage() {
-    const result = await chrome.storage.local.get('customOverlayImage')
-    return result.customOverlayImage || null
-  }
+function matchUrlRule(urlRules, url) {
+  if (!urlRules || !urlRules.enabled) return null
 
-  async setCustomImage(imageData) {
-    await chrome.storage.local.set({ customOverlayImage: imageData })
-  }
+  const target = getUrlRuleTarget(url)
+  if (!target) return null
 
-  async clearCustomImage() {
-    await chrome.storage.local.remove('customOverlayImage')
+  const rules = urlRules.rules || []
+  for (let index = 0; index < rules.length; index++) {
+    const regex = urlRuleToRegExp(rules[index])
+    if (regex && regex.test(target)) {
+      return { index, rule: rules[index] }
+    }
   }
+  return null
+}
 
-  async checkDailyReset() {
-    const usage = await this.getUsageToday()
-    const currentDateKey = getDateKey()
+// Friction mode wait: startSeconds with nothing used, fullSeconds at 80% of
+// the limit, and still climbing on the same slope past it
+function getFrictionDelaySec(settings, usedMillis, limitMillis) {
+  const friction = settings.friction || DEFAULT_SETTINGS.friction
+  const ratio = limitMillis > 0 ? usedMillis / limitMillis : 1
+  const seconds =
+    friction.startSeconds +
+    ((friction.fullSeconds - friction.startSeconds) * ratio) / 0.8
+  return Math.round(Math.max(0, Math.min(FRICTION_MAX_SECONDS, seconds)))
+}
 
-    if (usage.dateKey !== currentDateKey) {
-      await this.set(STORAGE_KEYS.USAGE_TODAY, {
-        ...DEFAULT_USAGE,
-        dateKey: currentDateKey,
-      })
-      await this.set(STORAGE_KEYS.FLAGS, {
-        ...DEFAULT_FLAGS,
-      })
-      return true
-    }
-    return false
-  }
+// Hitting the limit again after a snooze or bypass earns a cooling-off
+// period with no way out
+function getEscalationCooldownUntil(settings, flags, timestamp = Date.now()) {
+  const escalation = settings.escalation
+  if (!escalation || !escalation.enabled) return null
+  if (!flags.snoozeUsedToday && !flags.bypassUsedToday) return null
+  return timestamp + (escalation.cooldownMin || 30) * 60 * 1000
+}
 
-  onChanged(callback) {
-    chrome.storage.onChanged.addListener((changes, namespace) => {
-      if (namespace === 'sync') {
-        Object.keys(changes).forEach((key) => {
-          this.cache.set(key, changes[key].newValue)
-        })
-        callback(changes, namespace)
-      }
-    })
-  }
+function getIntentionState(settings, flags, timestamp = Date.now()) {
+  const intention = flags.intention
+  const active = intention && intention.endsAt > timestamp ? intention : null
+  const enabled = Boolean(settings.intention && settings.intention.enabled)
+  return { required: enabled && !active, active }
+}
 
-  async handleSettingsChange(oldSettings, newSettings) {
-    if (
-      oldSettings &&
-      oldSettings.dailyLimitMin !== newSettings.dailyLimitMin
-    ) {
-      const usage = await this.getUsageToday()
-      const currentUsageMin = usage.millisActive / 1000 / 60
+// Groups list their members by site id, with 'x' standing in for X itself
+function getMemberGroups(settings, memberId) {
+  return (settings.groups || []).filter((group) =>
+    (group.members || []).includes(memberId)
+  )
+}
 
-      if (currentUsageMin > newSettings.dailyLimitMin) {
-        await this.set(STORAGE_KEYS.USAGE_TODAY, {
-          millisActive: 0,
-          lastTickAt: Date.now(),
-          dateKey: getDateKey(),
-        })
+function bytesToBase64(bytes) {
+  return btoa(String.fromCharCode(...bytes))
+}
 
-        await this.set(STORAGE_KEYS.FLAGS, {
-          nudged: false,
-          locked: false,
-          pausedToday: false,
-          snoozed: false,
-          frozenTimeUsed: undefined,
-        })
+function base64ToBytes(value) {
+  return Uint8Array.from(atob(value), (char) => char.charCodeAt(0))
+}
 
-        return true
-      }
-    }
-    return false
-  }
+async function sha256Hex(value) {
+  const digest = await crypto.subtle.digest(
+    'SHA-256',
+    new TextEncoder().encode(value)
+  )
+  return [...new Uint8Array(digest)]
+    .map((byte) => byte.toString(16).padStart(2, '0'))
+    .join('')
 }
-class TimeKeeper {
-  constructor() {
-    this.isActive = false
-    this.lastTickTime = null
-    this.tickInterval = null
-    this.idleThreshold = 60
-    this.tickFrequency = 1000
 
-    this.usageSaveInterval = 60000 + Math.floor(Math.random() * 30000)
-    this.lastUsageSave = 0
+async function derivePasscodeHash(passcode, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passcode),
+    'PBKDF2',
+    false,
+    ['deriveBits']
+  )
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    material,
+    256
+  )
+  return new Uint8Array(bits)
+}
 
-    this.popupConnections = new Set()
-    this.popupUpdateInterval = null
-    this.popupStartTimeout = null
+// The first few misses are free, then each one doubles the wait
+function getPasscodeLockoutMs(failedAttempts) {
+  if (failedAttempts < PASSCODE_FREE_ATTEMPTS) return 0
+  return Math.min(
+    PASSCODE_LOCKOUT_BASE_MS * 2 ** (failedAttempts - PASSCODE_FREE_ATTEMPTS),
+    PASSCODE_LOCKOUT_MAX_MS
+  )
+}
 
-    this.currentUsageMs = 0
-    this.isInitialized = false
-    this.isPaused = false
-    this.isLocked = false
-    this.lastActiveChange = 0
-    this.lastIdleTime = 0
+// Most to least strict; moving down this list loosens enforcement
+const MODE_STRICTNESS = ['close', 'redirect', 'softlock', 'friction']
 
-    this.startInProgress = false
-    this.stopInProgress = false
+function isLooserMode(oldMode, newMode) {
+  return (
+    MODE_STRICTNESS.indexOf(newMode || 'softlock') >
+    MODE_STRICTNESS.indexOf(oldMode || 'softlock')
+  )
+}
 
-    this.writeBackoffUntil = 0
-  }
+// Most X time a settings object allows on each weekday and across a week,
+// whether it comes from the daily limit, the schedule or a weekly budget
+function getLimitEnvelope(settings) {
+  const budget = settings.budget
+  const schedule = settings.schedule
+  const days = [0, 1, 2, 3, 4, 5, 6].map((day) => {
+    if (budget && budget.mode === 'weekly') {
+      return budget.maxPerDayMin
+        ? Math.min(budget.maxPerDayMin, budget.weeklyMin)
+        : budget.weeklyMin
+    }
+    const scheduled =
+      schedule && schedule.enabled && (schedule.days || [])[day]
+    return typeof scheduled === 'number' ? scheduled : settings.dailyLimitMin
+  })
+  const weekMin =
+    budget && budget.mode === 'weekly'
+      ? budget.weeklyMin
+      : days.reduce((total, minutes) => total + minutes, 0)
+  return { days, weekMin }
+}
 
-  async syncWithStorage() {
-    if (!this.isInitialized) {
-      const [usage, flags] = await Promise.all([
-        storage.getUsageToday(),
-        storage.getFlags(),
-      ])
+// A limit that is gone counts as unlimited
+function isRaisedLimit(oldMin, newMin) {
+  if (typeof oldMin !== 'number') return false
+  return typeof newMin !== 'number' || newMin > oldMin
+}
 
-      this.currentUsageMs = usage.millisActive
-      this.isPaused = flags.pausedToday
-      this.isLocked = flags.locked
-      this.isInitialized = true
+function loosensSectionLimits(oldLimits, newLimits) {
+  if (!oldLimits || !oldLimits.enabled) return false
+  if (!newLimits || !newLimits.enabled) return true
 
-      if (this.currentUsageMs === 0) {
-        this.lastTickTime = null
-      }
+  const oldExempt = oldLimits.exempt || []
+  return (
+    (newLimits.exempt || []).some((route) => !oldExempt.includes(route)) ||
+    Object.entries(oldLimits.limits || {}).some(([route, minutes]) =>
+      isRaisedLimit(minutes, (newLimits.limits || {})[route])
+    )
+  )
+}
 
-      console.log('🔄 TimeKeeper synced with storage:', {
-        usage: this.currentUsageMs + 'ms',
-        paused: this.isPaused,
-      })
-    }
-  }
+function loosensBlackout(oldBlackout, newBlackout) {
+  if (!oldBlackout || !oldBlackout.enabled) return false
+  if (!newBlackout || !newBlackout.enabled) return true
 
-  async getFreshData() {
-    const [settings, flags, usage] = await Promise.all([
-      storage.getSettings(),
-      storage.getFlags(),
-      storage.getUsageToday(),
-    ])
+  const newWindows = (newBlackout.windows || []).map((entry) =>
+    JSON.stringify(entry)
+  )
+  return (oldBlackout.windows || []).some(
+    (entry) => !newWindows.includes(JSON.stringify(entry))
+  )
+}
 
-    return { settings, flags, usage }
-  }
+// Rules apply first match first, so a new allow rule, a dropped block rule or
+// a reshuffle of the rules both lists share can all free up pages
+function loosensUrlRules(oldUrlRules, newUrlRules) {
+  const getRules = (urlRules) =>
+    urlRules && urlRules.enabled
+      ? (urlRules.rules || []).map((rule) => ({
+          rule,
+          key: JSON.stringify(rule),
+        }))
+      : []
+  const oldRules = getRules(oldUrlRules)
+  const newRules = getRules(newUrlRules)
+  const oldKeys = oldRules.map(({ key }) => key)
+  const newKeys = newRules.map(({ key }) => key)
+
+  const sharedOld = oldKeys.filter((key) => newKeys.includes(key))
+  const sharedNew = newKeys.filter((key) => oldKeys.includes(key))
+
+  return (
+    newRules.some(
+      ({ rule, key }) => rule.action === 'allow' && !oldKeys.includes(key)
+    ) ||
+    oldRules.some(
+      ({ rule, key }) => rule.action === 'block' && !newKeys.includes(key)
+    ) ||
+    sharedOld.join('\n') !== sharedNew.join('\n')
+  )
+}
 
-  async saveUsageDirectly(newUsage) {
-    const now = Date.now()
+function loosensAlternatives(oldAlternatives, newAlternatives) {
+  if (!oldAlternatives || !oldAlternatives.enabled) return false
+  if (!newAlternatives || !newAlternatives.enabled) return true
 
-    if (now - this.lastUsageSave >= 30000) {
-      storage.setBatched(STORAGE_KEYS.USAGE_TODAY, newUsage)
-      this.lastUsageSave = now
-      console.log(
-        '💾 Usage queued for batched save:',
-        newUsage.millisActive + 'ms'
-      )
-    }
-  }
+  const newDomains = newAlternatives.domains || []
+  return (oldAlternatives.domains || []).some(
+    (domain) => !newDomains.includes(domain)
+  )
+}
 
-  addPopupConnection(port) {
-    console.log('Popup connected for real-time updates')
-    this.popupConnections.add(port)
+function loosensEscalation(oldEscalation, newEscalation) {
+  if (!oldEscalation || !oldEscalation.enabled) return false
+  if (!newEscalation || !newEscalation.enabled) return true
 
-    if (this.popupConnections.size === 1) {
-      clearTimeout(this.popupStartTimeout)
-      this.popupStartTimeout = setTimeout(() => {
-        if (this.popupConnections.size > 0) {
-          this.startPopupUpdates()
-        }
-      }, 100)
-    }
+  return (
+    newEscalation.cooldownMin < oldEscalation.cooldownMin ||
+    newEscalation.streakDays > oldEscalation.streakDays ||
+    newEscalation.closeModeDays < oldEscalation.closeModeDays
+  )
+}
 
-    port.onDisconnect.addListener(() => {
-      console.log('Popup disconnected from real-time updates')
-      this.popupConnections.delete(port)
+function loosensSites(oldSites, newSites) {
+  return (oldSites || [])
+    .filter((site) => site.enabled)
+    .some((oldSite) => {
+      const newSite = (newSites || []).find((site) => site.id === oldSite.id)
+      if (!newSite || !newSite.enabled) return true
 
-      if (this.popupConnections.size === 0) {
-        this.stopPopupUpdates()
-      }
+      const newDomains = newSite.domains || []
+      return (
+        isRaisedLimit(oldSite.dailyLimitMin, newSite.dailyLimitMin) ||
+        isLooserMode(oldSite.mode, newSite.mode) ||
+        (oldSite.domains || []).some((domain) => !newDomains.includes(domain))
+      )
     })
-  }
-
-  startPopupUpdates() {
-    if (this.popupUpdateInterval) return
+}
 
-    console.log('Starting popup real-time updates')
+function loosensGroups(oldGroups, newGroups) {
+  return (oldGroups || []).some((oldGroup) => {
+    const newGroup = (newGroups || []).find(
+      (group) => group.id === oldGroup.id
+    )
+    if (!newGroup) return true
 
-    if (this.isLocked) {
-      this.broadcastRealTimeUpdate({
-        type: 'STATUS_CHANGED',
-        locked: true,
-        usage: this.currentUsageMs,
-        timestamp: Date.now(),
-      })
-    }
+    const newMembers = newGroup.members || []
+    return (
+      isRaisedLimit(oldGroup.dailyLimitMin, newGroup.dailyLimitMin) ||
+      (oldGroup.members || []).some((member) => !newMembers.includes(member))
+    )
+  })
+}
 
-    this.popupUpdateInterval = setInterval(() => {
-      if (this.isLocked) {
-        return
+// Picks out the parts of a settings change that would give time back or
+// weaken enforcement, so they can be held while the rest applies at once.
+// Each hold covers whole top-level keys, and only those that changed
+function getLooseningChanges(oldSettings, newSettings) {
+  const settings = {}
+  const labels = []
+  const hold = (keys, label) => {
+    keys.forEach((key) => {
+      const changed =
+        JSON.stringify(oldSettings[key]) !== JSON.stringify(newSettings[key])
+      if (changed) {
+        settings[key] = newSettings[key]
       }
-      const usage = this.getCurrentRealTimeUsage()
-      this.broadcastRealTimeUpdate({
-        type: 'REAL_TIME_UPDATE',
-        usage: usage,
-        timestamp: Date.now(),
-      })
-    }, 1000)
+    })
+    labels.push(label)
   }
 
-  stopPopupUpdates() {
-    if (this.popupUpdateInterval) {
-      console.log('Stopping popup real-time updates')
-      clearInterval(this.popupUpdateInterval)
-      this.popupUpdateInterval = null
+  const oldEnvelope = getLimitEnvelope(oldSettings)
+  const newEnvelope = getLimitEnvelope(newSettings)
+  if (
+    newEnvelope.weekMin > oldEnvelope.weekMin ||
+    newEnvelope.days.some((minutes, day) => minutes > oldEnvelope.days[day])
+  ) {
+    hold(
+      ['dailyLimitMin', 'schedule', 'budget'],
+      newSettings.dailyLimitMin > oldSettings.dailyLimitMin
+        ? `Raise the daily limit to ${newSettings.dailyLimitMin} min`
+        : 'Allow more time on X'
+    )
+  }
+  if (oldSettings.enabled !== false && newSettings.enabled === false) {
+    hold(['enabled'], 'Turn Boundr off')
+  }
+  // Depending on the time of day, any move can bring the next fresh day closer
+  if (
+    (newSettings.resetHourLocal ?? DEFAULT_SETTINGS.resetHourLocal) !==
+    (oldSettings.resetHourLocal ?? DEFAULT_SETTINGS.resetHourLocal)
+  ) {
+    hold(['resetHourLocal'], 'Move the daily reset')
+  }
+  if (isLooserMode(oldSettings.mode, newSettings.mode)) {
+    hold(['mode'], `Switch to ${newSettings.mode} mode`)
+  }
+  if (newSettings.mode === 'friction' && oldSettings.mode === 'friction') {
+    const oldFriction = oldSettings.friction || DEFAULT_SETTINGS.friction
+    const newFriction = newSettings.friction || DEFAULT_SETTINGS.friction
+    if (
+      newFriction.startSeconds < oldFriction.startSeconds ||
+      newFriction.fullSeconds < oldFriction.fullSeconds
+    ) {
+      hold(['friction'], 'Shorten the friction wait')
     }
   }
+  if (
+    loosensSectionLimits(oldSettings.sectionLimits, newSettings.sectionLimits)
+  ) {
+    hold(['sectionLimits'], 'Loosen section limits')
+  }
+  if (loosensBlackout(oldSettings.blackout, newSettings.blackout)) {
+    hold(['blackout'], 'Shrink the blocked times')
+  }
+  if (loosensUrlRules(oldSettings.urlRules, newSettings.urlRules)) {
+    hold(['urlRules'], 'Loosen the URL rules')
+  }
+  if (loosensAlternatives(oldSettings.alternatives, newSettings.alternatives)) {
+    hold(['alternatives'], 'Stop counting X alternatives')
+  }
+  if (
+    oldSettings.intention &&
+    oldSettings.intention.enabled &&
+    !(newSettings.intention && newSettings.intention.enabled)
+  ) {
+    hold(['intention'], 'Turn the intention prompt off')
+  }
+  if (loosensEscalation(oldSettings.escalation, newSettings.escalation)) {
+    hold(['escalation'], 'Weaken escalation')
+  }
+  if (loosensSites(oldSettings.sites, newSettings.sites)) {
+    hold(['sites'], 'Loosen limits on other sites')
+  }
+  if (loosensGroups(oldSettings.groups, newSettings.groups)) {
+    hold(['groups'], 'Loosen site group limits')
+  }
+  if (
+    (newSettings.pauseAllowanceMin ?? 30) >
+    (oldSettings.pauseAllowanceMin ?? 30)
+  ) {
+    hold(
+      ['pauseAllowanceMin'],
+      `Raise the pause allowance to ${newSettings.pauseAllowanceMin} min`
+    )
+  }
+  if (!oldSettings.allowSnooze && newSettings.allowSnooze) {
+    hold(['allowSnooze'], 'Allow snoozing')
+  }
+  if ((newSettings.cooldownMin || 5) > (oldSettings.cooldownMin || 5)) {
+    hold(['cooldownMin'], `Lengthen snoozes to ${newSettings.cooldownMin} min`)
+  }
+  const oldSnooze = getSnoozePolicy(oldSettings)
+  const newSnooze = getSnoozePolicy(newSettings)
+  if (
+    newSnooze.perDay > oldSnooze.perDay ||
+    Math.max(...newSnooze.durations) > Math.max(...oldSnooze.durations) ||
+    (newSnooze.shrinkPercent || 0) < (oldSnooze.shrinkPercent || 0) ||
+    (newSnooze.earn.enabled && !oldSnooze.earn.enabled)
+  ) {
+    hold(['snoozePolicy'], 'Loosen the snooze policy')
+  }
 
-  broadcastRealTimeUpdate(data) {
-    this.popupConnections.forEach((port) => {
-      try {
-        port.postMessage(data)
-      } catch (error) {
-        console.error('Failed to send real-time update:', error)
+  if (
+    oldSettings.passcodeHash &&
+    JSON.stringify(oldSettings.passcodeHash) !==
+      JSON.stringify(newSettings.passcodeHash)
+  ) {
+    hold(
+      ['passcodeHash'],
+      newSettings.passcodeHash ? 'Change the passcode' : 'Clear the passcode'
+    )
+  }
 
-        this.popupConnections.delete(port)
-      }
-    })
+  const oldGuard = oldSettings.settingsGuard || {}
+  const newGuard = newSettings.settingsGuard || {}
+  if (
+    oldGuard.enabled &&
+    (!newGuard.enabled ||
+      newGuard.method !== oldGuard.method ||
+      newGuard.delayMin < oldGuard.delayMin)
+  ) {
+    hold(
+      ['settingsGuard'],
+      newGuard.enabled ? 'Weaken the settings lock' : 'Turn the settings lock off'
+    )
   }
 
-  getCurrentRealTimeUsage() {
-    if (this.isPaused) {
-      return this.currentUsageMs
-    }
+  return { settings, labels }
+}
 
-    if (this.isActive && this.lastTickTime) {
-      const now = Date.now()
-      const deltaTime = now - this.lastTickTime
-      return this.currentUsageMs + deltaTime
-    }
+// Flags once today's usage is zeroed. Locks, warnings and a running snooze
+// or bypass start over; the day's markers and allowances, a running pause or
+// intention and an escalation cooling-off period carry on
+function getUsageResetFlags(flags) {
+  return {
+    ...DEFAULT_FLAGS,
+    ...flags,
+    nudged: false,
+    locked: false,
+    frozenTimeUsed: undefined,
+    snoozed: false,
+    snoozeUntil: null,
+    snoozeMillis: null,
+    bypassGranted: false,
+    nudgeStages: [],
+    nudgeBadge: false,
+    lockedSections: [],
+    lockedGroups: [],
+  }
+}
 
-    return this.currentUsageMs
+// Allowance left for pausing today, counting a pause that is still running
+function getPauseAllowance(settings, flags, timestamp = Date.now()) {
+  const allowanceMillis =
+    (settings.pauseAllowanceMin ?? DEFAULT_SETTINGS.pauseAllowanceMin) *
+    60 *
+    1000
+  const runningMillis =
+    flags.pausedToday && flags.pauseStartedAt
+      ? Math.max(0, timestamp - flags.pauseStartedAt)
+      : 0
+  const usedMillis = (flags.pauseMillisToday || 0) + runningMillis
+  return {
+    allowance: allowanceMillis,
+    used: usedMillis,
+    remaining: Math.max(0, allowanceMillis - usedMillis),
   }
+}
 
-  async start() {
-    if (this.tickInterval || this.startInProgress) return
-    if (this.isLocked) {
-      console.log('⏭️ Skipping start - timekeeper is locked')
-      return
+function getNudgeStages(settings) {
+  return (settings.nudges || DEFAULT_SETTINGS.nudges).stages || []
+}
+
+// Usage at which a warning stage fires: a share of the limit used, or a
+// number of minutes before it runs out (from the start when the limit is
+// shorter than that)
+function getNudgeThresholdMillis(stage, limitMillis) {
+  return stage.unit === 'minutes'
+    ? Math.max(0, limitMillis - stage.value * 60 * 1000)
+    : (limitMillis * stage.value) / 100
+}
+
+// Settings saved before snooze policies existed snoozed once for cooldownMin
+function getSnoozePolicy(settings) {
+  return (
+    settings.snoozePolicy || {
+      ...DEFAULT_SETTINGS.snoozePolicy,
+      durations: [settings.cooldownMin || 5],
     }
-    this.startInProgress = true
+  )
+}
 
-    await this.syncWithStorage()
-    if (this.isLocked) {
-      console.log('⏭️ Skipping start after sync - locked')
-      this.startInProgress = false
-      return
-    }
-
-    if (!this.tickInterval) {
-      this.lastTickTime = Date.now()
+// An extra snooze is earned by the last `days` archived days all staying
+// under their limit without snoozing or bypassing. Snoozes and resets zero
+// millisActive, so the day's whole total is what counts, as on the dashboard
+function hasEarnedSnooze(policy, history) {
+  const earn = policy.earn
+  if (!earn || !earn.enabled) return false
+
+  const days = (history && history.days) || []
+  const needed = Math.max(1, earn.days || 3)
+  if (days.length < needed) return false
+
+  return days
+    .slice(-needed)
+    .every(
+      (day) =>
+        !day.snoozeUsed &&
+        !day.bypassUsed &&
+        Math.max(day.totalMillis || 0, day.millisActive || 0) <
+          (day.limitMin || 0) * 60 * 1000
+    )
+}
 
-      chrome.alarms.clear('timekeeper_tick')
-      chrome.alarms.create('timekeeper_tick', {
-        delayInMinutes: this.tickFrequency / 60000,
-        periodInMinutes: this.tickFrequency / 60000,
-      })
+// Snoozes left today and the lengths on offer for the next one, each already
+// taken shrinking them by shrinkPercent down to a one-minute floor. None are
+// left while an escalation cooling-off period runs
+function getSnoozeOptions(settings, flags, history, timestamp = Date.now()) {
+  const policy = getSnoozePolicy(settings)
+  const earned = hasEarnedSnooze(policy, history)
+  const allowance = settings.allowSnooze
+    ? Math.max(0, policy.perDay ?? 1) + (earned ? 1 : 0)
+    : 0
+  const used = flags.snoozeCount || (flags.snoozeUsedToday ? 1 : 0)
+  const coolingOff = Boolean(
+    flags.cooldownUntil && flags.cooldownUntil > timestamp
+  )
+  const factor = Math.pow(1 - (policy.shrinkPercent || 0) / 100, used)
+  const durations = (
+    policy.durations && policy.durations.length ? policy.durations : [5]
+  ).map((minutes) => Math.max(1, Math.round(minutes * factor)))
+
+  return {
+    allowance,
+    used,
+    earned,
+    coolingOff,
+    remaining: coolingOff ? 0 : Math.max(0, allowance - used),
+    durations: [...new Set(durations)].sort((a, b) => a - b),
+  }
+}
 
-      this.tickInterval = 'alarm'
-    }
+function getSnoozeMillis(settings, flags) {
+  return flags.snoozeMillis || (settings.cooldownMin || 5) * 60 * 1000
+}
 
-    console.log(
-      '⏰ TimeKeeper started with current usage:',
-      this.currentUsageMs + 'ms'
-    )
-    this.startInProgress = false
+class StorageManager {
+  constructor() {
+    this.cache = new Map()
+    this.pendingWrites = new Map()
+    this.writeTimeout = null
   }
 
-  async stop() {
-    if (this.stopInProgress) return
-    this.stopInProgress = true
+  async get(key) {
+    if (this.cache.has(key)) {
+      return this.cache.get(key)
+    }
 
-    if (this.tickInterval) {
-      if (this.tickInterval === 'alarm') {
-        chrome.alarms.clear('timekeeper_tick')
-      } else {
-        clearInterval(this.tickInterval)
+    const result = await chrome.storage.local.get(key)
+    const value = result[key]
+
+    if (value === undefined) {
+      let defaultValue
+      switch (key) {
+        case STORAGE_KEYS.SETTINGS:
+          defaultValue = DEFAULT_SETTINGS
+          break
+        case STORAGE_KEYS.USAGE_TODAY:
+          defaultValue = DEFAULT_USAGE
+          break
+        case STORAGE_KEYS.FLAGS:
+          defaultValue = DEFAULT_FLAGS
+          break
+        case STORAGE_KEYS.NOTIFICATIONS:
+          defaultValue = DEFAULT_NOTIFICATIONS
+          break
+        case STORAGE_KEYS.USAGE_HISTORY:
+          defaultValue = DEFAULT_USAGE_HISTORY
+          break
+        case STORAGE_KEYS.WEEKLY_BUDGET:
+          defaultValue = DEFAULT_WEEKLY_BUDGET
+          break
+        case STORAGE_KEYS.SITE_USAGE:
+          defaultValue = DEFAULT_SITE_USAGE
+          break
+        case STORAGE_KEYS.INTENTION_LOG:
+          defaultValue = DEFAULT_INTENTION_LOG
+          break
+        case STORAGE_KEYS.ESCALATION:
+          defaultValue = DEFAULT_ESCALATION
+          break
+        case STORAGE_KEYS.DONE_NOTE:
+          defaultValue = DEFAULT_DONE_NOTE
+          break
+        case STORAGE_KEYS.PASSCODE_GUARD:
+          defaultValue = DEFAULT_PASSCODE_GUARD
+          break
+        case STORAGE_KEYS.PASSCODE_AUDIT:
+          defaultValue = DEFAULT_PASSCODE_AUDIT
+          break
+        case STORAGE_KEYS.PENDING_SETTINGS:
+          defaultValue = DEFAULT_PENDING_SETTINGS
+          break
+        default:
+          defaultValue = null
       }
-      this.tickInterval = null
-    }
 
-    if (this.currentUsageMs > 0) {
-      const usage = await storage.getUsageToday()
-      await storage.updateUsageToday({
-        ...usage,
-        millisActive: this.currentUsageMs,
-        lastTickAt: Date.now(),
-      })
-      console.log(
-        '💾 Saved current usage before stopping:',
-        this.currentUsageMs + 'ms'
-      )
+      await this.set(key, defaultValue)
+      this.cache.set(key, defaultValue)
+      return defaultValue
     }
 
-    this.isActive = false
-    this.lastTickTime = null
+    this.cache.set(key, value)
+    return value
+  }
 
-    console.log('⏰ TimeKeeper stopped')
-    this.stopInProgress = false
+  async set(key, value) {
+    await chrome.storage.local.set({ [key]: value })
+    this.cache.set(key, value)
   }
 
-  setActive(active) {
-    const now = Date.now()
+  setBatched(key, value) {
+    this.cache.set(key, value)
+    this.pendingWrites.set(key, value)
 
-    if (this.isActive === active) {
-      return
+    if (this.writeTimeout) {
+      clearTimeout(this.writeTimeout)
     }
 
-    if (now - this.lastActiveChange < 200) {
-      console.log('⏸️ setActive debounced - too rapid switching')
-      return
-    }
+    this.writeTimeout = setTimeout(async () => {
+      if (this.pendingWrites.size > 0) {
+        const writes = Object.fromEntries(this.pendingWrites)
+        this.pendingWrites.clear()
 
-    if (this.isLocked && active) {
-      console.log('🔒 Ignoring setActive(true) while locked')
-      return
-    }
+        try {
+          await chrome.storage.local.set(writes)
+          console.log('💾 Batched write completed:', Object.keys(writes))
+        } catch (error) {
+          console.error('❌ Batched write failed:', error)
+        }
+      }
+    }, 5000)
+  }
 
-    this.lastActiveChange = now
-    this.isActive = active
+  async update(key, updates) {
+    const current = await this.get(key)
+    const updated = { ...current, ...updates }
+    await this.set(key, updated)
+    return updated
+  }
 
-    if (active) {
-      this.lastTickTime = now
-      console.log('⚡ TimeKeeper set to active')
-    } else {
-      console.log('💤 TimeKeeper set to inactive')
-      console.trace('💤 STACK TRACE - What called setActive(false)?')
-    }
+  async clear() {
+    await chrome.storage.local.clear()
+    this.cache.clear()
   }
 
-  async tick() {
-    if (!this.isActive || !this.lastTickTime) return
+  async getSettings() {
+    return this.get(STORAGE_KEYS.SETTINGS)
+  }
 
-    const now = Date.now()
-    const deltaTime = now - this.lastTickTime
+  async updateSettings(updates) {
+    const oldSettings = await this.get(STORAGE_KEYS.SETTINGS)
+    const newSettings = await this.update(STORAGE_KEYS.SETTINGS, updates)
 
-    if (deltaTime < 100) {
-      console.log('⏩ Skipping tiny tick delta:', deltaTime + 'ms')
-      return
-    }
+    await this.handleSettingsChange(oldSettings, newSettings)
 
-    console.log('⏰ TICK:', {
-      isActive: this.isActive,
-      deltaTime,
-      timeSeconds: Math.round(deltaTime / 1000) + 's',
-    })
+    return newSettings
+  }
 
-    const { settings, flags, usage } = await this.getFreshData()
+  async getUsageToday() {
+    return this.get(STORAGE_KEYS.USAGE_TODAY)
+  }
 
-    if (
-      this.isLocked ||
-      !settings.enabled ||
-      flags.locked ||
-      flags.pausedToday
-    ) {
-      console.log('⏰ Tick skipped:', {
-        enabled: settings.enabled,
-        locked: flags.locked || this.isLocked,
-        paused: flags.pausedToday,
-        inMemoryLocked: this.isLocked,
-      })
-      this.lastTickTime = now
-      return
-    }
+  async updateUsageToday(updates) {
+    return this.update(STORAGE_KEYS.USAGE_TODAY, updates)
+  }
 
-    if (chrome.idle && chrome.idle.queryState) {
-      try {
-        const idleState = await new Promise((resolve) => {
-          chrome.idle.queryState(this.idleThreshold, resolve)
-        })
+  async getFlags() {
+    return this.get(STORAGE_KEYS.FLAGS)
+  }
 
-        if (idleState === 'idle' || idleState === 'locked') {
-          this.lastTickTime = now
-          return
-        }
-      } catch (error) {}
-    }
+  async updateFlags(updates) {
+    return this.update(STORAGE_KEYS.FLAGS, updates)
+  }
 
-    this.currentUsageMs += deltaTime
+  async getNotifications() {
+    return this.get(STORAGE_KEYS.NOTIFICATIONS)
+  }
 
-    const newUsage = {
-      ...usage,
-      millisActive: this.currentUsageMs,
-      lastTickAt: now,
-    }
+  async updateNotifications(updates) {
+    return this.update(STORAGE_KEYS.NOTIFICATIONS, updates)
+  }
 
-    console.log('⏰ Updating usage:', {
-      oldStored: usage.millisActive,
-      oldCurrent: this.currentUsageMs - deltaTime,
-      delta: deltaTime,
-      newCurrent: this.currentUsageMs,
-    })
+  async getUsageHistory() {
+    return this.get(STORAGE_KEYS.USAGE_HISTORY)
+  }
 
-    if (
-      now >= this.writeBackoffUntil &&
-      now - this.lastUsageSave >= this.usageSaveInterval
-    ) {
-      try {
-        this.lastUsageSave = now
-        await storage.updateUsageToday(newUsage)
-        this.writeBackoffUntil = 0
-        console.log('💾 Usage saved to storage:', this.currentUsageMs + 'ms')
-      } catch (error) {
-        console.error('💾 Failed to save usage:', error.message)
+  async getSiteUsage() {
+    const siteUsage = await this.get(STORAGE_KEYS.SITE_USAGE)
+    if (siteUsage.dateKey === getDateKey()) return siteUsage
 
-        this.writeBackoffUntil = now + 120000
-      }
-    }
+    const fresh = { ...DEFAULT_SITE_USAGE, dateKey: getDateKey() }
+    await this.set(STORAGE_KEYS.SITE_USAGE, fresh)
+    return fresh
+  }
 
-    this.lastTickTime = now
+  async getWeeklyBudget() {
+    return this.get(STORAGE_KEYS.WEEKLY_BUDGET)
+  }
 
-    this.broadcastRealTimeUpdate({
-      type: 'REAL_TIME_UPDATE',
-      usage: this.getCurrentRealTimeUsage(),
-      timestamp: now,
-    })
+  async getWeekUsedMillis(settings, timestamp = Date.now()) {
+    const weeklyBudget = await this.getWeeklyBudget()
+    const week = getBudgetWeek(settings, timestamp)
+    return weeklyBudget.weekKey === week.key ? weeklyBudget.usedMillis : 0
+  }
 
-    await this.checkLimits(newUsage)
+  async getEffectiveLimitMin(settings, timestamp = Date.now()) {
+    return getDailyLimitMin(
+      settings,
+      timestamp,
+      await this.getWeekUsedMillis(settings, timestamp)
+    )
   }
 
-  async checkLimits(usage) {
-    const { settings, flags } = await this.getFreshData()
+  async addToWeeklyBudget(millis, timestamp) {
+    const settings = await this.getSettings()
+    const week = getBudgetWeek(settings, timestamp)
+    const usedMillis = await this.getWeekUsedMillis(settings, timestamp)
 
-    if (!settings.enabled || flags.pausedToday || flags.locked) return
+    await this.set(STORAGE_KEYS.WEEKLY_BUDGET, {
+      weekKey: week.key,
+      usedMillis: usedMillis + millis,
+    })
+  }
 
-    let effectiveLimitMillis
-    if (flags.snoozed) {
-      console.log('⏸️ Skipping nudge check - currently in snooze mode')
-      effectiveLimitMillis = (settings.cooldownMin || 5) * 60 * 1000
-    } else {
-      effectiveLimitMillis = settings.dailyLimitMin * 60 * 1000
-
-      const nudgeThreshold = effectiveLimitMillis * 0.8
-
-      if (!flags.nudged && usage.millisActive >= nudgeThreshold) {
-        await this.triggerNudge()
-      }
+  buildHistoryRecord(
+    usage,
+    settings,
+    flags,
+    millisActive = usage.millisActive,
+    limitMin = getDailyLimitMin(settings, usage.lastTickAt)
+  ) {
+    return {
+      dateKey: usage.dateKey,
+      limitMin,
+      millisActive,
+      totalMillis: Math.max(usage.totalMillis || 0, millisActive),
+      sessions: usage.sessions || 0,
+      slots: usage.slots || {},
+      routes: usage.routes || {},
+      locked: Boolean(flags.lockedToday || flags.locked),
+      snoozeUsed: Boolean(flags.snoozeUsedToday),
+      bypassUsed: Boolean(flags.bypassUsedToday),
+      pauseUsed: Boolean(flags.pauseUsedToday || flags.pausedToday),
     }
+  }
 
-    const tickBuffer = 2000
-    if (usage.millisActive >= effectiveLimitMillis - tickBuffer) {
-      console.log(
-        '🔒 Approaching limit with 2s buffer - triggering lock early to prevent overlap'
-      )
-      await this.triggerLimit()
-    }
+  async getEscalation() {
+    return this.get(STORAGE_KEYS.ESCALATION)
   }
 
-  async triggerNudge() {
-    const settings = await storage.getSettings()
-    const flags = await storage.getFlags()
+  async getEffectiveMode(settings, timestamp = Date.now()) {
+    const escalation = settings.escalation
+    if (!escalation || !escalation.enabled) return settings.mode
 
-    if (
-      !settings.enabled ||
-      !settings.allowSnooze ||
-      flags.nudged ||
-      flags.pausedToday ||
-      flags.snoozed ||
-      flags.locked
-    )
-      return
+    const state = await this.getEscalation()
+    return state.closeModeUntil && state.closeModeUntil > timestamp
+      ? 'close'
+      : settings.mode
+  }
 
-    const usage = await storage.getUsageToday()
-    const limitMillis = settings.dailyLimitMin * 60 * 1000
-    const timeLeft = Math.max(0, limitMillis - usage.millisActive)
+  async recordEscalationDay(dateKey, flags) {
+    const settings = await this.getSettings()
+    const escalation = settings.escalation
+    if (!escalation || !escalation.enabled) return
 
-    await storage.updateFlags({ nudged: true })
+    const state = await this.getEscalation()
+    if (state.lastDateKey === dateKey) return
 
-    
-    
-    
-    
-    
-    
-    
-    
-    
-    
-    
-    
-    
-    
-    
-    
-    
-    
-    
+    // Only back-to-back days build a streak; a gap starts it over
+    const bypassed = Boolean(flags.snoozeUsedToday || flags.bypassUsedToday)
+    const consecutive = state.lastDateKey === getPreviousDateKey(dateKey)
+    const streak = bypassed ? (consecutive ? state.streak || 0 : 0) + 1 : 0
+    const escalate = streak >= (escalation.streakDays || 3)
 
-    const tabs = await chrome.tabs.query({
-      url: ['*://twitter.com/*', '*://x.com/*', '*://pro.x.com/*'],
+    if (escalate) {
+      console.log('📈 Bypass streak reached - switching to close mode')
+    }
+
+    await this.set(STORAGE_KEYS.ESCALATION, {
+      streak: escalate ? 0 : streak,
+      lastDateKey: dateKey,
+      closeModeUntil: escalate
+        ? Date.now() + (escalation.closeModeDays || 7) * 24 * 60 * 60 * 1000
+        : state.closeModeUntil,
     })
+  }
 
-    const currentUsageMs = this.currentUsageMs
-    const currentFlags = await storage.getFlags()
+  async getIntentionLog() {
+    return this.get(STORAGE_KEYS.INTENTION_LOG)
+  }
 
-    let effectiveLimitMillis
-    if (currentFlags.snoozed) {
-      effectiveLimitMillis = (settings.cooldownMin || 5) * 60 * 1000
-    } else {
-      effectiveLimitMillis = settings.dailyLimitMin * 60 * 1000
-    }
+  async logIntention(entry) {
+    const log = await this.getIntentionLog()
+    const existing = (log.entries || []).find(({ id }) => id === entry.id)
+    const entries = [
+      ...(log.entries || []).filter(({ id }) => id !== entry.id),
+      { ...existing, ...entry },
+    ]
+    await this.set(STORAGE_KEYS.INTENTION_LOG, {
+      ...log,
+      entries: entries.slice(-INTENTION_LOG_MAX),
+    })
+  }
 
-    const realTimeLeft = Math.max(0, effectiveLimitMillis - currentUsageMs)
+  async getPasscodeGuard() {
+    return this.get(STORAGE_KEYS.PASSCODE_GUARD)
+  }
 
-    for (const tab of tabs) {
-      await globalService.ensureContentScriptAndSendMessage(tab.id, {
-        type: 'SHOW_NUDGE',
-        settings,
-        timeLeft: realTimeLeft,
-      })
-    }
+  async getPasscodeAudit() {
+    return this.get(STORAGE_KEYS.PASSCODE_AUDIT)
   }
 
-  async triggerLimit() {
-    const settings = await storage.getSettings()
-    const flags = await storage.getFlags()
+  async logPasscodeAttempt(entry) {
+    const audit = await this.getPasscodeAudit()
+    await this.set(STORAGE_KEYS.PASSCODE_AUDIT, {
+      ...audit,
+      entries: [...(audit.entries || []), { at: Date.now(), ...entry }].slice(
+        -PASSCODE_AUDIT_MAX
+      ),
+    })
+  }
 
-    if (!settings.enabled || flags.locked || flags.pausedToday) return
+  async archiveUsageDay(usage) {
+    if (!usage || !usage.dateKey) return
 
-    let effectiveLimitMillis
-    if (flags.snoozed) {
-      effectiveLimitMillis = (settings.cooldownMin || 5) * 60 * 1000
-    } else {
-      effectiveLimitMillis = settings.dailyLimitMin * 60 * 1000
+    const [settings, flags, history] = await Promise.all([
+      this.getSettings(),
+      this.getFlags(),
+      this.getUsageHistory(),
+    ])
+
+    let millisActive = usage.millisActive || 0
+    let dayUsage = usage
+    if (typeof timekeeper !== 'undefined' && timekeeper) {
+      millisActive = Math.max(millisActive, timekeeper.currentUsageMs || 0)
+      dayUsage = { ...usage, ...timekeeper.getDayTotals() }
     }
 
-    const currentUsageMs = this.currentUsageMs
-    const tickBuffer = 2000
-    const effectiveLimitWithBuffer = effectiveLimitMillis - tickBuffer
+    const record = {
+      ...this.buildHistoryRecord(
+        dayUsage,
+        settings,
+        flags,
+        millisActive,
+        await this.getEffectiveLimitMin(settings, dayUsage.lastTickAt)
+      ),
+      archivedAt: Date.now(),
+    }
 
-    console.log('🔍 Usage check:', {
-      used: currentUsageMs,
-      limit: effectiveLimitMillis,
-      limitWithBuffer: effectiveLimitWithBuffer,
-      timeUsed: Math.round(currentUsageMs / 1000) + 's',
-      willLock: currentUsageMs >= effectiveLimitWithBuffer,
-      snoozed: flags.snoozed,
-      cooldownMin: settings.cooldownMin,
+    const days = (history.days || []).filter(
+      (day) => day.dateKey !== record.dateKey
+    )
+    days.push(record)
+    days.sort((a, b) => a.dateKey.localeCompare(b.dateKey))
+
+    await this.set(STORAGE_KEYS.USAGE_HISTORY, {
+      ...history,
+      days: days.slice(-HISTORY_MAX_DAYS),
     })
 
-    if (currentUsageMs >= effectiveLimitWithBuffer) {
-      console.log('🔒 LIMIT REACHED (with 2s buffer) - Locking extension')
+    console.log('📚 Archived usage for', record.dateKey, record)
+  }
 
-      await storage.updateFlags({
-        locked: true,
-        nudged: false,
-        frozenTimeUsed: effectiveLimitMillis,
-      })
+  async getCustomImage() {
+    const result = await chrome.storage.local.get('customOverlayImage')
+    return result.customOverlayImage || null
+  }
 
-      this.isLocked = true
+  async setCustomImage(imageData) {
+    await chrome.storage.local.set({ customOverlayImage: imageData })
+  }
 
-      console.log('⏹️ Stopping timekeeper due to limit reached')
-      await this.stop()
+  async clearCustomImage() {
+    await chrome.storage.local.remove('customOverlayImage')
+  }
 
-      this.broadcastRealTimeUpdate({
-        type: 'STATUS_CHANGED',
-        locked: true,
-        usage: effectiveLimitMillis,
-        timestamp: Date.now(),
-      })
-    } else {
-      return
-    }
+  async checkDailyReset() {
+    const usage = await this.getUsageToday()
+    const currentDateKey = getDateKey()
 
-    const tabs = await chrome.tabs.query({
-      url: ['*://twitter.com/*', '*://x.com/*', '*://pro.x.com/*'],
-    })
+    if (usage.dateKey !== currentDateKey) {
+      try {
+        await this.archiveUsageDay(usage)
+      } catch (error) {
+        console.error('❌ Failed to archive usage history:', error)
+      }
 
-    if (settings.mode === 'close') {
-      tabs.forEach((tab) => {
-        chrome.tabs
-          .sendMessage(tab.id, {
-            type: 'SHOW_CLOSE_COUNTDOWN',
-            settings,
-          })
-          .catch(() => {
-            chrome.tabs.remove(tab.id)
-          })
-      })
-    } else {
-      console.log('🎭 Sending soft lock overlay to', tabs.length, 'tabs')
-      console.log(
-        '🎭 Settings overlay customization:',
-        settings.overlayCustomization
-      )
+      try {
+        await this.recordEscalationDay(usage.dateKey, await this.getFlags())
+      } catch (error) {
+        console.error('❌ Failed to update escalation:', error)
+      }
 
-      let customImageData = null
-      if (
-        settings.overlayCustomization &&
-        settings.overlayCustomization.enabled
-      ) {
-        try {
-          customImageData = await storage.getCustomImage()
-          console.log(
-            '🖼️ Retrieved custom image for overlay:',
-            !!customImageData,
-            customImageData?.length || 0,
-            'bytes'
-          )
-        } catch (error) {
-          console.error('❌ Failed to get custom image for overlay:', error)
+      try {
+        const dayTotals =
+          typeof timekeeper !== 'undefined' && timekeeper
+            ? timekeeper.getDayTotals()
+            : usage
+        const dayMillis = Math.max(
+          dayTotals.totalMillis || 0,
+          usage.millisActive || 0
+        )
+        if (dayMillis > 0) {
+          await this.addToWeeklyBudget(dayMillis, usage.lastTickAt)
         }
+      } catch (error) {
+        console.error('❌ Failed to update weekly budget:', error)
       }
 
-      for (const tab of tabs) {
-        console.log('🎭 Sending overlay to tab:', tab.id, tab.url)
+      await this.set(STORAGE_KEYS.USAGE_TODAY, {
+        ...DEFAULT_USAGE,
+        lastTickAt: Date.now(),
+        dateKey: currentDateKey,
+      })
+      await this.set(STORAGE_KEYS.FLAGS, {
+        ...DEFAULT_FLAGS,
+      })
 
-        const messageData = {
-          type: 'SHOW_SOFT_LOCK',
-          settings: {
-            ...settings,
+      if (typeof timekeeper !== 'undefined' && timekeeper) {
+        timekeeper.resetForNewDay()
+      }
+      return true
+    }
+    return false
+  }
 
-            overlayCustomization: settings.overlayCustomization
-              ? {
-                  ...settings.overlayCustomization,
-                  customImage: customImageData,
-                }
-              : {
-                  enabled: false,
-                  customMessage: '',
-                  customImage: null,
-                  template: 'default',
-                },
-          },
-        }
+  onChanged(callback) {
+    chrome.storage.onChanged.addListener((changes, namespace) => {
+      if (namespace === 'sync') {
+        Object.keys(changes).forEach((key) => {
+          this.cache.set(key, changes[key].newValue)
+        })
+        callback(changes, namespace)
+      }
+    })
+  }
 
-        console.log('🎭 Message data:', {
-          type: messageData.type,
-          hasOverlayCustomization: !!messageData.settings.overlayCustomization,
-          overlayEnabled: messageData.settings.overlayCustomization?.enabled,
-          customImageExists:
-            !!messageData.settings.overlayCustomization?.customImage,
-          customImageLength:
-            messageData.settings.overlayCustomization?.customImage?.length || 0,
+  async handleSettingsChange(oldSettings, newSettings) {
+    if (
+      oldSettings &&
+      (await this.getEffectiveLimitMin(oldSettings)) !==
+        (await this.getEffectiveLimitMin(newSettings))
+    ) {
+      const usage = await this.getUsageToday()
+      const currentUsageMin = usage.millisActive / 1000 / 60
+
+      if (currentUsageMin > (await this.getEffectiveLimitMin(newSettings))) {
+        await this.set(STORAGE_KEYS.USAGE_TODAY, {
+          millisActive: 0,
+          ...timekeeper.getDayTotals(),
+          lastTickAt: Date.now(),
+          dateKey: getDateKey(),
         })
 
-        globalService.tabsWithOverlays.add(tab.id)
-        await globalService.ensureContentScriptAndSendMessage(
-          tab.id,
-          messageData
+        await this.set(
+          STORAGE_KEYS.FLAGS,
+          getUsageResetFlags(await this.getFlags())
         )
+
+        return true
       }
     }
+    return false
   }
+}
+class TimeKeeper {
+  constructor() {
+    this.isActive = false
+    this.lastTickTime = null
+    this.tickInterval = null
+    this.idleThreshold = 60
+    this.tickFrequency = 1000
 
-  async getTimeRemaining() {
-    const { settings, usage, flags } = await this.getFreshData()
+    this.usageSaveInterval = 60000 + Math.floor(Math.random() * 30000)
+    this.lastUsageSave = 0
 
-    if (flags.pausedToday) {
-      return { remaining: settings.dailyLimitMin * 60 * 1000, used: 0 }
-    }
+    this.popupConnections = new Set()
+    this.popupUpdateInterval = null
+    this.popupStartTimeout = null
 
-    let effectiveLimitMillis
-    if (flags.snoozed) {
-      effectiveLimitMillis = (settings.cooldownMin || 5) * 60 * 1000
-    } else {
-      effectiveLimitMillis = settings.dailyLimitMin * 60 * 1000
-    }
+    this.currentUsageMs = 0
+    this.totalUsageMs = 0
+    this.sessionCount = 0
+    this.slotMillis = {}
+    this.routeMillis = {}
+    this.sectionMillis = {}
+    this.groupMillis = {}
+    this.currentRoute = 'home'
+    this.currentUrl = null
+    this.sessionGapMs = 60000
+    this.lastStopAt = 0
+    this.isInitialized = false
+    this.isPaused = false
+    this.isLocked = false
+    this.lastActiveChange = 0
+    this.lastIdleTime = 0
 
-    const remaining = Math.max(0, effectiveLimitMillis - usage.millisActive)
+    this.startInProgress = false
+    this.stopInProgress = false
 
-    if (flags.locked) {
-      return {
-        remaining,
-        used: usage.millisActive,
-        limit: effectiveLimitMillis,
-        frozen: true,
+    this.writeBackoffUntil = 0
+    this.badge = { state: null, limitMillis: 0, text: null, color: null }
+  }
+
+  async syncWithStorage() {
+    if (!this.isInitialized) {
+      const [usage, flags] = await Promise.all([
+        storage.getUsageToday(),
+        storage.getFlags(),
+      ])
+
+      this.currentUsageMs = usage.millisActive
+      this.totalUsageMs = Math.max(usage.totalMillis || 0, usage.millisActive)
+      this.sessionCount = usage.sessions || 0
+      this.slotMillis = { ...(usage.slots || {}) }
+      this.routeMillis = { ...(usage.routes || {}) }
+      this.sectionMillis = { ...(usage.sections || {}) }
+      this.groupMillis = { ...(usage.groups || {}) }
+      this.isPaused = flags.pausedToday
+      this.isLocked = flags.locked
+      this.isInitialized = true
+
+      if (this.currentUsageMs === 0) {
+        this.lastTickTime = null
       }
+
+      console.log('🔄 TimeKeeper synced with storage:', {
+        usage: this.currentUsageMs + 'ms',
+        paused: this.isPaused,
+      })
     }
+  }
 
+  getDayTotals() {
     return {
-      remaining,
-      used: usage.millisActive,
-      limit: effectiveLimitMillis,
-      frozen: false,
+      totalMillis: this.totalUsageMs,
+      sessions: this.sessionCount,
+      slots: { ...this.slotMillis },
+      routes: { ...this.routeMillis },
+      sections: { ...this.sectionMillis },
+      groups: { ...this.groupMillis },
     }
   }
 
-  getNextResetTime() {
-    const now = new Date()
-    const settings = storage.getSettings()
+  addGroupTime(memberId, deltaTime, settings) {
+    getMemberGroups(settings, memberId).forEach((group) => {
+      this.groupMillis[group.id] = (this.groupMillis[group.id] || 0) + deltaTime
+    })
+  }
 
-    return settings.then((settings) => {
-      const resetTime = new Date(now)
-      resetTime.setHours(settings.resetHourLocal, 0, 0, 0)
+  // Site heartbeats arrive whether or not X is being ticked, so persist here
+  async addSiteGroupTime(siteId, deltaTime, settings) {
+    if (getMemberGroups(settings, siteId).length === 0) return
 
-      if (resetTime <= now) {
-        resetTime.setDate(resetTime.getDate() + 1)
-      }
+    await this.syncWithStorage()
+    this.addGroupTime(siteId, deltaTime, settings)
 
-      return resetTime
+    const usage = await storage.getUsageToday()
+    storage.setBatched(STORAGE_KEYS.USAGE_TODAY, {
+      ...usage,
+      ...this.getDayTotals(),
+      groups: { ...this.groupMillis },
     })
   }
 
-  formatTime(millis) {
-    const minutes = Math.floor(millis / (1000 * 60))
-    const hours = Math.floor(minutes / 60)
+  // Alternative front-ends report by heartbeat and count as X time
+  async addAlternativeTime(deltaTime, settings) {
+    await this.syncWithStorage()
 
-    if (hours > 0) {
-      return `${hours}h ${minutes % 60}m`
+    const now = Date.now()
+    this.currentUsageMs += deltaTime
+    this.totalUsageMs += deltaTime
+
+    const slotKey = this.getSlotKey(now)
+    this.slotMillis[slotKey] = (this.slotMillis[slotKey] || 0) + deltaTime
+    this.routeMillis.other = (this.routeMillis.other || 0) + deltaTime
+    this.sectionMillis.other = (this.sectionMillis.other || 0) + deltaTime
+    this.addGroupTime('x', deltaTime, settings)
+
+    const newUsage = {
+      ...(await storage.getUsageToday()),
+      millisActive: this.currentUsageMs,
+      ...this.getDayTotals(),
+      lastTickAt: now,
     }
-    return `${minutes}m`
+    await storage.updateUsageToday(newUsage)
+
+    this.broadcastRealTimeUpdate({
+      type: 'REAL_TIME_UPDATE',
+      usage: this.getCurrentRealTimeUsage(),
+      timestamp: now,
+    })
+
+    await this.checkLimits(newUsage)
   }
-}
-const storage = new StorageManager()
-const timekeeper = new TimeKeeper()
-const rules = new RulesEngine()
-const rulesEngine = new RulesEngine()
-class TwitterTimeLimitService {
-  constructor() {
-    this.activeTabs = new Set()
-    this.isTracking = false
-    this.lastPauseToggle = 0
-    this.lastUpdateTracking = 0
-    this.lastSettingsUpdate = 0
-    this.debounceLogCount = 0
-    this.updateTrackingTimeout = null
-    this.updateTrackingInProgress = false
-    this.pauseInProgress = false
-    this.resetInProgress = false
-    this.lastGetStatus = 0
-    this.lastGetStatusLog = 0
-    this.cachedStatus = null
-    this.lastSnoozeRequest = 0
 
-    this.tabsWithOverlays = new Set()
+  getExceededGroups(settings) {
+    return (settings.groups || [])
+      .filter(
+        (group) =>
+          typeof group.dailyLimitMin === 'number' &&
+          (this.groupMillis[group.id] || 0) >= group.dailyLimitMin * 60 * 1000
+      )
+      .map((group) => group.id)
+  }
 
-    this.tweetNotifyRecent = new Map()
-    this.tweetNotifyInFlight = new Set()
-    this.tweetNotifyTtlMs = 3 * 60 * 1000
-    this.tweetNotifyMax = 500
-    this.init()
+  getGroupsStatus(settings, flags) {
+    return (settings.groups || []).map((group) => ({
+      id: group.id,
+      name: group.name,
+      used: this.groupMillis[group.id] || 0,
+      limit: (group.dailyLimitMin || 0) * 60 * 1000,
+      locked: (flags.lockedGroups || []).includes(group.id),
+    }))
   }
 
-  async init() {
-    await storage.checkDailyReset()
+  getExceededSections(sectionLimits) {
+    if (!sectionLimits || !sectionLimits.enabled) return []
 
-    await this.scheduleDailyReset()
+    return Object.entries(sectionLimits.limits || {})
+      .filter(
+        ([route, limitMin]) =>
+          typeof limitMin === 'number' &&
+          (this.sectionMillis[route] || 0) >= limitMin * 60 * 1000
+      )
+      .map(([route]) => route)
+  }
 
-    this.setupTabListeners()
+  setRoute(url) {
+    if (!url) return
+    this.currentUrl = url
+    const route = rulesEngine.getRouteCategory(url)
+    if (route !== this.currentRoute) {
+      console.log('🧭 Route changed:', this.currentRoute, '→', route)
+      this.currentRoute = route
+    }
+  }
 
-    this.setupWindowListeners()
+  getSlotKey(timestamp) {
+    const date = new Date(timestamp)
+    return `${date.getDay()}:${date.getHours()}`
+  }
 
-    this.setupMessageListeners()
+  resetForNewDay() {
+    this.currentUsageMs = 0
+    this.totalUsageMs = 0
+    this.sessionCount = 0
+    this.slotMillis = {}
+    this.routeMillis = {}
+    this.sectionMillis = {}
+    this.groupMillis = {}
+    this.isLocked = false
+    this.isPaused = false
+    this.isInitialized = true
+    console.log('🔄 TimeKeeper usage reset for new day')
+  }
 
-    this.setupNotificationListeners()
+  async getFreshData() {
+    const [settings, flags, usage] = await Promise.all([
+      storage.getSettings(),
+      storage.getFlags(),
+      storage.getUsageToday(),
+    ])
 
-    await this.checkActiveTabs()
+    return { settings, flags, usage }
+  }
 
-    try {
-      const cache = await storage.get('notificationsCache')
-      if (cache && cache.tweets && Array.isArray(cache.tweets)) {
-        const now = Date.now()
-        for (const [id, ts] of cache.tweets) {
-          if (
-            typeof id === 'string' &&
-            typeof ts === 'number' &&
-            now - ts < this.tweetNotifyTtlMs
-          ) {
-            this.tweetNotifyRecent.set(id, ts)
-          }
-        }
-      }
-    } catch (_) {}
+  async saveUsageDirectly(newUsage) {
+    const now = Date.now()
+
+    if (now - this.lastUsageSave >= 30000) {
+      storage.setBatched(STORAGE_KEYS.USAGE_TODAY, newUsage)
+      this.lastUsageSave = now
+      console.log(
+        '💾 Usage queued for batched save:',
+        newUsage.millisActive + 'ms'
+      )
+    }
   }
 
-  async scheduleDailyReset() {
-    const settings = await storage.getSettings()
-    const now = new Date()
-    const resetTime = new Date(now)
-    resetTime.setHours(settings.resetHourLocal, 0, 0, 0)
+  addPopupConnection(port) {
+    console.log('Popup connected for real-time updates')
+    this.popupConnections.add(port)
 
-    if (resetTime <= now) {
-      resetTime.setDate(resetTime.getDate() + 1)
+    if (this.popupConnections.size === 1) {
+      clearTimeout(this.popupStartTimeout)
+      this.popupStartTimeout = setTimeout(() => {
+        if (this.popupConnections.size > 0) {
+          this.startPopupUpdates()
+        }
+      }, 100)
     }
 
-    try {
-      await chrome.alarms.clear('daily_reset')
-    } catch (e) {}
+    port.onDisconnect.addListener(() => {
+      console.log('Popup disconnected from real-time updates')
+      this.popupConnections.delete(port)
 
-    chrome.alarms.create('daily_reset', {
-      when: resetTime.getTime(),
+      if (this.popupConnections.size === 0) {
+        this.stopPopupUpdates()
+      }
     })
   }
 
-  setupTabListeners() {
-    chrome.tabs.onActivated.addListener(async (activeInfo) => {
-      await rules.handleTabActivated(activeInfo.tabId)
-      await this.updateTrackingImmediate()
-    })
+  startPopupUpdates() {
+    if (this.popupUpdateInterval) return
 
-    chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
-      await rules.handleTabUpdated(tabId, changeInfo, tab)
-      this.debouncedUpdateTracking()
-    })
+    console.log('Starting popup real-time updates')
 
-    chrome.tabs.onRemoved.addListener((tabId) => {
-      this.activeTabs.delete(tabId)
-      this.debouncedUpdateTracking()
-    })
-  }
+    if (this.isLocked) {
+      this.broadcastRealTimeUpdate({
+        type: 'STATUS_CHANGED',
+        locked: true,
+        usage: this.currentUsageMs,
+        timestamp: Date.now(),
+      })
+    }
 
-  setupWindowListeners() {
-    chrome.windows.onFocusChanged.addListener(async (windowId) => {
-      console.log(
-        '🔍 Window focus changed:',
-        windowId === chrome.windows.WINDOW_ID_NONE
-          ? 'lost focus'
-          : 'gained focus'
-      )
-      if (windowId === chrome.windows.WINDOW_ID_NONE) {
-        console.log(
-          '🔍 Window lost focus - updating tracking to stop timekeeper'
-        )
-        await this.updateTrackingImmediate()
-      } else {
-        console.log('🔍 Window gained focus - updating tracking')
-        await this.updateTrackingImmediate()
+    this.popupUpdateInterval = setInterval(() => {
+      if (this.isLocked) {
+        return
       }
-    })
+      const usage = this.getCurrentRealTimeUsage()
+      this.broadcastRealTimeUpdate({
+        type: 'REAL_TIME_UPDATE',
+        usage: usage,
+        timestamp: Date.now(),
+      })
+    }, 1000)
   }
 
-  setupMessageListeners() {
-    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-      this.handleMessage(message, sender, sendResponse)
-      return true
-    })
+  stopPopupUpdates() {
+    if (this.popupUpdateInterval) {
+      console.log('Stopping popup real-time updates')
+      clearInterval(this.popupUpdateInterval)
+      this.popupUpdateInterval = null
+    }
   }
 
-  async handleMessage(message, sender, sendResponse) {
-    try {
-      switch (message.type) {
-        case 'TAB_ACTIVE':
-          this.activeTabs.add(sender.tab.id)
-          this.debouncedUpdateTracking()
-          sendResponse({ success: true })
-          break
+  broadcastRealTimeUpdate(data) {
+    if (this.badge.state === 'counting' && typeof data.usage === 'number') {
+      this.renderBadge(data.usage)
+    }
 
-        case 'TAB_INACTIVE':
-          console.log(
-            'TAB_INACTIVE message from tab:',
-            sender.tab.id,
-            sender.tab.url
-          )
-
-          sendResponse({ success: true })
-          break
-
-        case 'USER_ACTIVITY':
-          console.log(
-            '⚡ USER_ACTIVITY message received from tab:',
-            sender.tab.id
-          )
+    this.popupConnections.forEach((port) => {
+      try {
+        port.postMessage(data)
+      } catch (error) {
+        console.error('Failed to send real-time update:', error)
 
-          if (!timekeeper.isPaused) {
-            const now = Date.now()
-            timekeeper.lastActiveChange = now - 300
-            timekeeper.setActive(true)
-          } else {
-            console.log('⏸️ Ignoring user activity - extension is paused')
-          }
-          sendResponse({ success: true })
-          break
+        this.popupConnections.delete(port)
+      }
+    })
+  }
 
-        case 'USER_IDLE':
-          const now = Date.now()
-          if (now - timekeeper.lastIdleTime < 2000) {
-            console.log(
-              '💤 USER_IDLE ignored - too frequent from tab:',
-              sender.tab.id
-            )
-            sendResponse({ success: true })
-            break
-          }
+  getCurrentRealTimeUsage() {
+    if (this.isPaused) {
+      return this.currentUsageMs
+    }
 
-          console.log('💤 USER_IDLE received from tab:', sender.tab.id)
-          timekeeper.lastIdleTime = now
+    if (this.isActive && this.lastTickTime) {
+      const now = Date.now()
+      const deltaTime = now - this.lastTickTime
+      return this.currentUsageMs + deltaTime
+    }
 
-          console.log(
-            "💤 USER_IDLE ignored - individual tab idle doesn't affect global state"
-          )
-          sendResponse({ success: true })
-          break
+    return this.currentUsageMs
+  }
 
-        case 'SNOOZE_REQUEST':
-          const snoozeResult = await this.handleSnoozeRequest()
-          sendResponse(snoozeResult || { success: true })
-          break
+  async start() {
+    if (this.tickInterval || this.startInProgress) return
+    if (this.isLocked) {
+      console.log('⏭️ Skipping start - timekeeper is locked')
+      return
+    }
+    this.startInProgress = true
 
-        case 'BYPASS_REQUEST':
-          await this.handleBypassRequest(message.passcode)
-          sendResponse({ success: true })
-          break
+    await this.syncWithStorage()
+    if (this.isLocked) {
+      console.log('⏭️ Skipping start after sync - locked')
+      this.startInProgress = false
+      return
+    }
 
-        case 'PAUSE_TOGGLE':
-          await this.togglePause()
-          sendResponse({ success: true })
-          break
+    if (!this.tickInterval) {
+      this.lastTickTime = Date.now()
 
-        case 'MANUAL_RESET':
-          await this.manualReset()
-          sendResponse({ success: true })
-          break
+      if (this.lastTickTime - this.lastStopAt > this.sessionGapMs) {
+        this.sessionCount += 1
+        console.log('🆕 New session started:', this.sessionCount)
+      }
 
-        case 'GET_STATUS':
-          const status = await this.getStatus()
-          sendResponse(status)
-          break
+      chrome.alarms.clear('timekeeper_tick')
+      chrome.alarms.create('timekeeper_tick', {
+        delayInMinutes: this.tickFrequency / 60000,
+        periodInMinutes: this.tickFrequency / 60000,
+      })
 
-        case 'UPDATE_SETTINGS':
-          try {
-            const now = Date.now()
-            const requestId = message.requestId || 'unknown'
+      this.tickInterval = 'alarm'
+    }
 
-            if (now - this.lastSettingsUpdate < 1000) {
-              sendResponse({ success: true, debounced: true })
-              break
-            }
-            this.lastSettingsUpdate = now
+    console.log(
+      '⏰ TimeKeeper started with current usage:',
+      this.currentUsageMs + 'ms'
+    )
+    this.startInProgress = false
+  }
 
-            const oldSettings = await storage.getSettings()
+  async stop() {
+    if (this.stopInProgress) return
+    this.stopInProgress = true
 
-            const storageUpdates = {}
+    if (this.tickInterval) {
+      if (this.tickInterval === 'alarm') {
+        chrome.alarms.clear('timekeeper_tick')
+      } else {
+        clearInterval(this.tickInterval)
+      }
+      this.tickInterval = null
+    }
 
-            let shouldLockImmediately = false
-            if (
-              message.settings.dailyLimitMin !== undefined &&
-              oldSettings.dailyLimitMin !== message.settings.dailyLimitMin
-            ) {
-              console.log('📏 Daily limit changed - resetting counter to 0')
-              timekeeper.currentUsageMs = 0
-              timekeeper.isInitialized = true
-              timekeeper.isPaused = false
-
-              storageUpdates[STORAGE_KEYS.USAGE_TODAY] = {
-                millisActive: 0,
-                lastTickAt: Date.now(),
-                dateKey: new Date().toISOString().split('T')[0],
-              }
+    if (this.currentUsageMs > 0) {
+      const usage = await storage.getUsageToday()
+      await storage.updateUsageToday({
+        ...usage,
+        millisActive: this.currentUsageMs,
+        ...this.getDayTotals(),
+        lastTickAt: Date.now(),
+      })
+      console.log(
+        '💾 Saved current usage before stopping:',
+        this.currentUsageMs + 'ms'
+      )
+    }
 
-              console.log('💾 Storage usage reset to 0 for daily limit change')
+    this.isActive = false
+    this.lastTickTime = null
+    this.lastStopAt = Date.now()
 
-              timekeeper.broadcastRealTimeUpdate({
-                type: 'REAL_TIME_UPDATE',
-                usage: 0,
-                timestamp: Date.now(),
-              })
-            }
+    console.log('⏰ TimeKeeper stopped')
+    this.stopInProgress = false
+  }
 
-            if (
-              message.settings.cooldownMin !== undefined &&
-              oldSettings.cooldownMin !== message.settings.cooldownMin
-            ) {
-              console.log(
-                '🔄 Delay time changed - always resetting counter to 0'
-              )
-              timekeeper.currentUsageMs = 0
-              timekeeper.isInitialized = true
-              timekeeper.isPaused = false
-
-              storageUpdates[STORAGE_KEYS.USAGE_TODAY] = {
-                millisActive: 0,
-                lastTickAt: Date.now(),
-                dateKey: new Date().toISOString().split('T')[0],
-              }
+  setActive(active) {
+    const now = Date.now()
 
-              console.log('💾 Storage usage reset to 0 for delay time change')
+    if (this.isActive === active) {
+      return
+    }
 
-              timekeeper.broadcastRealTimeUpdate({
-                type: 'REAL_TIME_UPDATE',
-                usage: 0,
-                timestamp: Date.now(),
-              })
+    if (now - this.lastActiveChange < 200) {
+      console.log('⏸️ setActive debounced - too rapid switching')
+      return
+    }
 
-              if (shouldLockImmediately) {
-                console.log(
-                  '🔄 Canceling immediate lock due to delay time reset'
-                )
-                shouldLockImmediately = false
-                timekeeper.isLocked = false
+    if (this.isLocked && active) {
+      console.log('🔒 Ignoring setActive(true) while locked')
+      return
+    }
 
-                if (storageUpdates[STORAGE_KEYS.FLAGS]) {
-                  delete storageUpdates[STORAGE_KEYS.FLAGS]
-                }
-              }
-            }
+    this.lastActiveChange = now
+    this.isActive = active
 
-            const { notifications, ...settingsWithoutNotifications } =
-              message.settings
+    if (active) {
+      this.lastTickTime = now
+      console.log('⚡ TimeKeeper set to active')
+    } else {
+      console.log('💤 TimeKeeper set to inactive')
+      console.trace('💤 STACK TRACE - What called setActive(false)?')
+    }
+  }
 
-            storageUpdates[STORAGE_KEYS.SETTINGS] = {
-              ...oldSettings,
-              ...settingsWithoutNotifications,
-            }
+  async tick() {
+    if (!this.isActive || !this.lastTickTime) return
 
-            if (notifications) {
-              const currentNotifications = await storage.getNotifications()
-              storageUpdates[STORAGE_KEYS.NOTIFICATIONS] = {
-                ...currentNotifications,
-                ...notifications,
-              }
-              console.log('🔔 Notifications settings updated:', notifications)
-
-              chrome.alarms.clear('notificationCheck')
-              if (notifications.enabled) {
-                const intervalMinutes = notifications.checkInterval || 1
-                chrome.alarms.create('notificationCheck', {
-                  delayInMinutes: intervalMinutes,
-                  periodInMinutes: intervalMinutes,
-                })
-                console.log(
-                  '⏰ Notification alarm set for every',
-                  intervalMinutes,
-                  'minutes (independent of extension state)'
-                )
-              } else {
-                console.log('🔕 Notifications disabled - alarm cleared')
-              }
-            }
+    const now = Date.now()
+    const deltaTime = now - this.lastTickTime
 
-            if (message.resetUsage) {
-              storageUpdates[STORAGE_KEYS.USAGE_TODAY] = {
-                millisActive: 0,
-                lastTickAt: Date.now(),
-                dateKey: new Date().toISOString().split('T')[0],
-              }
+    if (deltaTime < 100) {
+      console.log('⏩ Skipping tiny tick delta:', deltaTime + 'ms')
+      return
+    }
 
-              const currentFlags = await storage.getFlags()
-              storageUpdates[STORAGE_KEYS.FLAGS] = {
-                ...currentFlags,
-                nudged: false,
-                locked: false,
-                snoozed: false,
-                frozenTimeUsed: undefined,
-              }
+    console.log('⏰ TICK:', {
+      isActive: this.isActive,
+      deltaTime,
+      timeSeconds: Math.round(deltaTime / 1000) + 's',
+    })
 
-              timekeeper.isLocked = false
-            }
+    const { settings, flags, usage } = await this.getFreshData()
 
-            await chrome.storage.local.set(storageUpdates)
+    const inBlackout = getBlackoutState(settings, now).active
 
-            console.log(
-              '💾 Settings saved to storage:',
-              storageUpdates[STORAGE_KEYS.SETTINGS]
-            )
+    if (
+      this.isLocked ||
+      !settings.enabled ||
+      flags.locked ||
+      flags.pausedToday ||
+      inBlackout
+    ) {
+      console.log('⏰ Tick skipped:', {
+        enabled: settings.enabled,
+        locked: flags.locked || this.isLocked,
+        paused: flags.pausedToday,
+        blackout: inBlackout,
+        inMemoryLocked: this.isLocked,
+      })
+      this.lastTickTime = now
+      return
+    }
 
-            storage.cache.clear()
-            console.log('🧹 Storage cache cleared after settings update')
+    if (chrome.idle && chrome.idle.queryState) {
+      try {
+        const idleState = await new Promise((resolve) => {
+          chrome.idle.queryState(this.idleThreshold, resolve)
+        })
 
-            if (storageUpdates[STORAGE_KEYS.FLAGS]?.locked) {
-              console.log(
-                '🎭 Triggering overlay for immediate lock from daily limit change'
-              )
+        if (idleState === 'idle' || idleState === 'locked') {
+          this.lastTickTime = now
+          return
+        }
+      } catch (error) {}
+    }
 
-              timekeeper.broadcastRealTimeUpdate({
-                type: 'STATUS_CHANGED',
-                locked: true,
-                usage: timekeeper.currentUsageMs,
-                timestamp: Date.now(),
-              })
+    if ((flags.lockedSections || []).includes(this.currentRoute)) {
+      console.log('⏰ Tick skipped - section locked:', this.currentRoute)
+      this.lastTickTime = now
+      return
+    }
 
-              setTimeout(async () => {
-                const tabs = await chrome.tabs.query({
-                  url: ['*://twitter.com/*', '*://x.com/*', '*://pro.x.com/*'],
-                })
+    const urlRule = matchUrlRule(settings.urlRules, this.currentUrl)
+    if (urlRule) {
+      console.log('⏰ Tick skipped - page matched URL rule:', urlRule.rule)
+      this.lastTickTime = now
+      return
+    }
 
-                console.log(
-                  '🎭 Sending soft lock overlay to',
-                  tabs.length,
-                  'tabs'
-                )
+    this.currentUsageMs += deltaTime
+    this.totalUsageMs += deltaTime
 
-                const freshSettings = await storage.getSettings()
-                let customImageData = null
-                if (
-                  freshSettings.overlayCustomization?.enabled &&
-                  freshSettings.overlayCustomization?.template === 'custom'
-                ) {
-                  try {
-                    customImageData = await storage.getCustomImage()
-                  } catch (error) {
-                    console.error(
-                      '❌ Failed to get custom image for overlay:',
-                      error
-                    )
-                  }
-                }
+    const slotKey = this.getSlotKey(now)
+    this.slotMillis[slotKey] = (this.slotMillis[slotKey] || 0) + deltaTime
+    this.routeMillis[this.currentRoute] =
+      (this.routeMillis[this.currentRoute] || 0) + deltaTime
+    this.sectionMillis[this.currentRoute] =
+      (this.sectionMillis[this.currentRoute] || 0) + deltaTime
+    this.addGroupTime('x', deltaTime, settings)
 
-                console.log(
-                  '🎭 Settings overlay customization:',
-                  freshSettings.overlayCustomization
-                )
+    const newUsage = {
+      ...usage,
+      millisActive: this.currentUsageMs,
+      ...this.getDayTotals(),
+      lastTickAt: now,
+    }
 
-                for (const tab of tabs) {
-                  chrome.tabs
-                    .sendMessage(tab.id, {
-                      type: 'SHOW_SOFT_LOCK',
-                      settings: freshSettings,
-                      overlayCustomization: freshSettings.overlayCustomization,
-                      customImageData: customImageData,
-                    })
-                    .catch((error) => {
-                      console.log(
-                        `Failed to show overlay on tab ${tab.id}:`,
-                        error
-                      )
-                    })
-                }
-              }, 100)
-            }
-
-            const wasEnabled = oldSettings.enabled
-            const isNowEnabled = message.settings.enabled
-
-            if (wasEnabled !== isNowEnabled) {
-              if (isNowEnabled) {
-                await this.refreshTwitterTabs()
-
-                if (chrome.notifications) {
-                  await this.createTransientNotification('extension_enabled', {
-                    type: 'basic',
-                    iconUrl: 'assets/icon-48x48.png',
-                    title: 'Boundr',
-                    message: 'Extension enabled. Twitter tabs refreshed.',
-                  })
-                }
-              } else {
-                
-                
-                console.log('Extension disabled but keeping notifications active')
-              }
-            }
-
-            if (message.settings.enabled === false) {
-              const tabs = await chrome.tabs.query({
-                url: ['*://twitter.com/*', '*://x.com/*', '*://pro.x.com/*'],
-              })
+    console.log('⏰ Updating usage:', {
+      oldStored: usage.millisActive,
+      oldCurrent: this.currentUsageMs - deltaTime,
+      delta: deltaTime,
+      newCurrent: this.currentUsageMs,
+    })
 
-              tabs.forEach((tab) => {
-                chrome.tabs
-                  .sendMessage(tab.id, {
-                    type: 'EXTENSION_DISABLED',
-                  })
-                  .catch(() => {})
-              })
-            }
+    if (
+      now >= this.writeBackoffUntil &&
+      now - this.lastUsageSave >= this.usageSaveInterval
+    ) {
+      try {
+        this.lastUsageSave = now
+        await storage.updateUsageToday(newUsage)
+        this.writeBackoffUntil = 0
+        console.log('💾 Usage saved to storage:', this.currentUsageMs + 'ms')
+      } catch (error) {
+        console.error('💾 Failed to save usage:', error.message)
 
-            const tabs = await chrome.tabs.query({
-              url: ['*://twitter.com/*', '*://x.com/*', '*://pro.x.com/*'],
-            })
+        this.writeBackoffUntil = now + 120000
+      }
+    }
 
-            tabs.forEach((tab) => {
-              chrome.tabs
-                .sendMessage(tab.id, {
-                  type: 'SETTINGS_UPDATED',
-                  settings: storageUpdates[STORAGE_KEYS.SETTINGS],
-                })
-                .catch(() => {})
-            })
+    this.lastTickTime = now
 
-            sendResponse({ success: true })
-          } catch (error) {
-            sendResponse({
-              success: false,
-              error: error.message,
-            })
-          }
-          break
+    this.broadcastRealTimeUpdate({
+      type: 'REAL_TIME_UPDATE',
+      usage: this.getCurrentRealTimeUsage(),
+      timestamp: now,
+    })
 
-        case 'RESET_SETTINGS':
-          await storage.clear()
-          sendResponse({ success: true })
-          break
+    await this.checkLimits(newUsage)
+  }
 
-        case 'SET_PASSCODE':
-          await rules.setPasscode(message.passcode)
-          sendResponse({ success: true })
-          break
+  async checkLimits(usage) {
+    const { settings, flags } = await this.getFreshData()
 
-        case 'REFRESH_TWITTER_TABS':
-          const settings = await storage.getSettings()
-          if (settings.enabled) {
-            await this.refreshTwitterTabs()
-            sendResponse({ success: true })
-          } else {
-            sendResponse({ success: false, error: 'Extension is disabled' })
-          }
-          break
+    if (
+      !settings.enabled ||
+      flags.pausedToday ||
+      flags.locked ||
+      flags.bypassGranted
+    ) {
+      return
+    }
 
-        case 'CLEAR_LOCK':
-          await this.clearLockedState()
-          sendResponse({ success: true })
-          break
+    await this.checkSectionLimits(settings, flags)
+    if (await this.checkGroupLimits(settings, flags)) return
 
-        case 'GET_NOTIFICATIONS':
-          const notifications = await storage.getNotifications()
-          sendResponse({ notifications })
-          break
+    let effectiveLimitMillis
+    if (flags.snoozed) {
+      console.log('⏸️ Skipping nudge check - currently in snooze mode')
+      effectiveLimitMillis = getSnoozeMillis(settings, flags)
+    } else {
+      effectiveLimitMillis =
+        (await storage.getEffectiveLimitMin(settings)) * 60 * 1000
 
-        case 'UPDATE_NOTIFICATIONS':
-          await storage.updateNotifications(message.notifications)
+      await this.checkNudges(
+        settings,
+        flags,
+        usage.millisActive,
+        effectiveLimitMillis
+      )
 
-          chrome.alarms.clear('notificationCheck')
-          
-          if (message.notifications.enabled) {
-            chrome.alarms.create('notificationCheck', {
-              delayInMinutes: 0,
-              periodInMinutes: message.notifications.checkInterval,
-            })
+      if ((await storage.getEffectiveMode(settings)) === 'friction') return
+    }
 
-            setTimeout(async () => {
-              const alarms = await chrome.alarms.getAll()
-              const notificationAlarm = alarms.find(
-                (alarm) => alarm.name === 'notificationCheck'
-              )
-              if (notificationAlarm) {
-              } else {
-              }
-            }, 500)
+    const tickBuffer = 2000
+    if (usage.millisActive >= effectiveLimitMillis - tickBuffer) {
+      console.log(
+        '🔒 Approaching limit with 2s buffer - triggering lock early to prevent overlap'
+      )
+      await this.triggerLimit()
+    }
+  }
 
-            setTimeout(async () => {
-              await this.checkNotifications()
-            }, 1000)
-          } else {
-          }
+  async checkNudges(settings, flags, usedMillis, limitMillis) {
+    const fired = flags.nudgeStages || []
+    const due = getNudgeStages(settings)
+      .map((stage, index) => ({ stage, index }))
+      .filter(
+        ({ stage, index }) =>
+          !fired.includes(index) &&
+          usedMillis >= getNudgeThresholdMillis(stage, limitMillis)
+      )
+      .sort(
+        (a, b) =>
+          getNudgeThresholdMillis(a.stage, limitMillis) -
+          getNudgeThresholdMillis(b.stage, limitMillis)
+      )
 
-          sendResponse({ success: true })
-          break
+    if (due.length > 0) {
+      await this.triggerNudge(due)
+    }
+  }
 
-        case 'GET_CUSTOM_IMAGE':
-          const imageData = await storage.getCustomImage()
-          sendResponse({ imageData })
-          break
+  async checkSectionLimits(settings, flags) {
+    const lockedSections = flags.lockedSections || []
+    const newlyLocked = this.getExceededSections(settings.sectionLimits).filter(
+      (route) => !lockedSections.includes(route)
+    )
 
-        case 'SET_CUSTOM_IMAGE':
-          await storage.setCustomImage(message.imageData)
-          sendResponse({ success: true })
-          break
+    if (newlyLocked.length === 0) return
 
-        case 'CLEAR_CUSTOM_IMAGE':
-          await storage.clearCustomImage()
-          sendResponse({ success: true })
-          break
+    console.log('🔒 Section limit reached:', newlyLocked)
 
-        case 'POPUP_CONNECTED':
-          sendResponse({ success: true })
-          break
+    const updatedFlags = await storage.updateFlags({
+      lockedSections: [...lockedSections, ...newlyLocked],
+    })
 
-        default:
-          sendResponse({ error: 'Unknown message type' })
-      }
-    } catch (error) {
-      sendResponse({ error: error.message })
-    }
-  }
+    this.broadcastRealTimeUpdate({
+      type: 'STATUS_CHANGED',
+      lockedSections: updatedFlags.lockedSections,
+      timestamp: Date.now(),
+    })
 
-  setupNotificationListeners() {
-    chrome.notifications.onClicked.addListener(async (notificationId) => {
-      if (notificationId.includes('nudge')) {
-        await this.handleSnoozeRequest()
-        chrome.notifications.clear(notificationId)
-      } else if (
-        notificationId.startsWith('tweet_') ||
-        notificationId.startsWith('new_tweet_')
-      ) {
-        
-        try {
-          const tweetId = notificationId
-            .replace('tweet_', '')
-            .replace('new_tweet_', '')
-          const tweetUrl = `https://x.com/i/web/status/${tweetId}`
+    const tabs = await chrome.tabs.query({
+      url: TWITTER_URL_PATTERNS,
+    })
 
-          const tabs = await chrome.tabs.query({
-            url: ['*://x.com/*', '*://twitter.com/*'],
+    tabs.forEach((tab) => {
+      const section = rulesEngine.getLockedSection(
+        tab.url,
+        settings,
+        updatedFlags
+      )
+      if (section && newlyLocked.includes(section.id)) {
+        chrome.tabs
+          .sendMessage(tab.id, {
+            type: 'SHOW_SOFT_LOCK',
+            settings,
+            section,
           })
-          if (tabs.length > 0) {
-            const preferred = tabs.find((t) => t.active) || tabs[0]
-            await chrome.tabs.update(preferred.id, { url: tweetUrl, active: true })
-            if (preferred.windowId != null) {
-              await chrome.windows.update(preferred.windowId, { focused: true })
-            }
-          } else {
-            const created = await chrome.tabs.create({
-              url: tweetUrl,
-              active: true,
-            })
-            if (created && created.windowId != null) {
-              await chrome.windows.update(created.windowId, { focused: true })
-            }
-          }
-        } finally {
-          chrome.notifications.clear(notificationId)
-        }
+          .catch(() => {})
       }
     })
+  }
 
-    chrome.notifications.onButtonClicked.addListener(
-      async (notificationId, buttonIndex) => {
-        if (notificationId.includes('nudge')) {
-          if (buttonIndex === 0) {
-            await this.handleSnoozeRequest()
-          }
-          chrome.notifications.clear(notificationId)
-        }
-      }
+  async checkGroupLimits(settings, flags) {
+    const lockedGroups = flags.lockedGroups || []
+    const newlyLocked = this.getExceededGroups(settings).filter(
+      (groupId) => !lockedGroups.includes(groupId)
     )
-  }
 
-  async createTransientNotification(idPrefix, options, autoCloseMs = 5000) {
-    try {
-      const uniqueId = `${idPrefix}_${Date.now()}_${Math.random()
-        .toString(36)
-        .slice(2, 7)}`
-      await chrome.notifications.create(uniqueId, {
-        requireInteraction: false,
-        silent: true,
-        ...options,
-      })
-      setTimeout(() => {
-        chrome.notifications.clear(uniqueId)
-      }, autoCloseMs)
-      return uniqueId
-    } catch (e) {
-      return null
-    }
-  }
+    if (newlyLocked.length === 0) return false
 
-  async checkActiveTabs() {
-    const tabs = await chrome.tabs.query({
-      url: ['*://twitter.com/*', '*://x.com/*', '*://pro.x.com/*'],
+    console.log('🔒 Group limit reached:', newlyLocked)
+
+    await storage.updateFlags({
+      lockedGroups: [...lockedGroups, ...newlyLocked],
     })
 
-    console.log(
-      'checkActiveTabs found tabs:',
-      tabs.map((t) => ({ id: t.id, url: t.url, active: t.active }))
+    const groups = (settings.groups || []).filter((group) =>
+      newlyLocked.includes(group.id)
     )
+    const members = new Set(groups.flatMap((group) => group.members || []))
 
-    this.activeTabs.clear()
-    tabs.forEach((tab) => {
-      if (tab.windowId) {
-        this.activeTabs.add(tab.id)
+    for (const site of siteTracker.getSites(settings)) {
+      if (members.has(site.id)) {
+        await siteTracker.lockSite(site, settings)
       }
-    })
-
-    console.log('activeTabs after update:', Array.from(this.activeTabs))
+    }
 
-    this.debouncedUpdateTracking()
+    if (members.has('x')) {
+      await this.triggerLimit(true)
+      return true
+    }
+    return false
   }
 
-  debouncedUpdateTracking() {
-    if (this.updateTrackingTimeout) {
-      clearTimeout(this.updateTrackingTimeout)
-    }
+  // Fires the given warning stages together, once each per day. When a
+  // jump in usage crosses several at once, the last one speaks for them all
+  async triggerNudge(due) {
+    const settings = await storage.getSettings()
+    const flags = await storage.getFlags()
 
-    this.updateTrackingTimeout = setTimeout(() => {
-      this.updateTrackingImmediate()
-      console.warn('⏱️ debouncedUpdateTracking fired immediate recalculation')
-      this.updateTrackingTimeout = null
-    }, 100)
+    if (
+      !settings.enabled ||
+      flags.pausedToday ||
+      flags.snoozed ||
+      flags.locked
+    )
+      return
+
+    const limitMillis =
+      (await storage.getEffectiveLimitMin(settings)) * 60 * 1000
+    const timeLeft = Math.max(0, limitMillis - this.currentUsageMs)
+    const { stage } = due[due.length - 1]
+    const channels = stage.channels || []
+
+    await storage.updateFlags({
+      nudged: true,
+      nudgeStages: [
+        ...(flags.nudgeStages || []),
+        ...due.map(({ index }) => index),
+      ],
+      nudgeBadge: flags.nudgeBadge || channels.includes('badge'),
+    })
+
+    console.log('🔔 Nudge stage reached:', stage, 'time left:', timeLeft)
+
+    if (channels.includes('notification')) {
+      await this.showNudgeNotification(settings, flags, timeLeft)
+    }
+
+    if (channels.includes('badge')) {
+      await this.refreshBadge()
+    }
+
+    if (!channels.includes('toast') && !channels.includes('sound')) return
+
+    const tabs = await chrome.tabs.query({
+      url: TWITTER_URL_PATTERNS,
+    })
+
+    for (const tab of tabs) {
+      await globalService.ensureContentScriptAndSendMessage(tab.id, {
+        type: 'SHOW_NUDGE',
+        settings,
+        timeLeft,
+        toast: channels.includes('toast'),
+        sound: channels.includes('sound'),
+      })
+    }
   }
 
-  async updateTracking() {
-    const now = Date.now()
-    if (now - this.lastUpdateTracking < 500) {
-      this.debounceLogCount++
+  // The snooze lengths ride along in the id so the buttons still work after
+  // the worker has been suspended
+  async showNudgeNotification(settings, flags, timeLeft) {
+    if (!chrome.notifications) return
 
-      if (this.debounceLogCount % 10 === 1) {
-        console.log(
-          '🔄 updateTracking debounced (too frequent) - count:',
-          this.debounceLogCount
+    const snooze = await globalService.loadSnoozeOptions(settings, flags)
+    const durations = snooze.remaining > 0 ? snooze.durations.slice(0, 2) : []
+
+    try {
+      await chrome.notifications.create(
+        `nudge_${durations.join('-')}_${Date.now()}`,
+        {
+          type: 'basic',
+          iconUrl: 'assets/icon-48x48.png',
+          title: 'Boundr',
+          message: rulesEngine.getMessage(settings.tone, 'nudge', timeLeft),
+          buttons: durations.map((minutes) => ({
+            title: `Snooze ${minutes}m`,
+          })),
+        }
+      )
+    } catch (error) {
+      console.log('❌ Failed to show nudge notification:', error.message)
+    }
+  }
+
+  // Works out what the badge shows from settings and flags. Runs when either
+  // changes, so the per-second usage updates only redraw the countdown
+  async refreshBadge() {
+    const { settings, flags } = await this.getFreshData()
+    const badge = settings.badge || DEFAULT_SETTINGS.badge
+
+    let state = 'counting'
+    if (!settings.enabled || (!badge.enabled && !flags.nudgeBadge)) {
+      state = null
+    } else if (flags.locked || getBlackoutState(settings).active) {
+      state = 'locked'
+    } else if (flags.pausedToday) {
+      state = 'paused'
+    } else if (flags.snoozed) {
+      state = 'snoozed'
+    }
+
+    this.badge.state = state
+    this.badge.limitMillis =
+      (await storage.getEffectiveLimitMin(settings)) * 60 * 1000
+    this.renderBadge(this.getCurrentRealTimeUsage())
+  }
+
+  renderBadge(usedMillis) {
+    const { state, limitMillis } = this.badge
+    let text = BADGE_LABELS[state] || ''
+    let color = BADGE_COLORS[state] || BADGE_COLORS.plenty
+
+    if (state === 'counting') {
+      const timeLeft = Math.max(0, limitMillis - usedMillis)
+      const minutesLeft = Math.ceil(timeLeft / 60000)
+      const shareLeft = limitMillis > 0 ? timeLeft / limitMillis : 0
+
+      // Whole hours are rounded down so the badge never promises extra time
+      text =
+        minutesLeft > 99 ? `${Math.floor(minutesLeft / 60)}h` : `${minutesLeft}m`
+      color =
+        shareLeft > 0.5
+          ? BADGE_COLORS.plenty
+          : shareLeft > 0.2
+          ? BADGE_COLORS.low
+          : BADGE_COLORS.locked
+    }
+
+    if (text !== this.badge.text) {
+      this.badge.text = text
+      chrome.action.setBadgeText({ text }).catch(() => {})
+    }
+    if (color !== this.badge.color) {
+      this.badge.color = color
+      chrome.action.setBadgeBackgroundColor({ color }).catch(() => {})
+    }
+  }
+
+  async triggerLimit(force = false) {
+    const settings = await storage.getSettings()
+    const flags = await storage.getFlags()
+
+    // A passcode bypass holds for the rest of the day
+    if (
+      !settings.enabled ||
+      flags.locked ||
+      flags.pausedToday ||
+      flags.bypassGranted
+    ) {
+      return
+    }
+
+    let effectiveLimitMillis
+    if (flags.snoozed) {
+      effectiveLimitMillis = getSnoozeMillis(settings, flags)
+    } else {
+      effectiveLimitMillis =
+        (await storage.getEffectiveLimitMin(settings)) * 60 * 1000
+    }
+
+    const currentUsageMs = this.currentUsageMs
+    const tickBuffer = 2000
+    const effectiveLimitWithBuffer = effectiveLimitMillis - tickBuffer
+
+    console.log('🔍 Usage check:', {
+      used: currentUsageMs,
+      limit: effectiveLimitMillis,
+      limitWithBuffer: effectiveLimitWithBuffer,
+      timeUsed: Math.round(currentUsageMs / 1000) + 's',
+      willLock: force || currentUsageMs >= effectiveLimitWithBuffer,
+      snoozed: flags.snoozed,
+      cooldownMin: settings.cooldownMin,
+    })
+
+    if (force || currentUsageMs >= effectiveLimitWithBuffer) {
+      console.log('🔒 LIMIT REACHED (with 2s buffer) - Locking extension')
+
+      await storage.updateFlags({
+        locked: true,
+        lockedToday: true,
+        nudged: false,
+        frozenTimeUsed: force ? currentUsageMs : effectiveLimitMillis,
+        cooldownUntil: getEscalationCooldownUntil(settings, flags),
+      })
+
+      this.isLocked = true
+
+      console.log('⏹️ Stopping timekeeper due to limit reached')
+      await this.stop()
+
+      this.broadcastRealTimeUpdate({
+        type: 'STATUS_CHANGED',
+        locked: true,
+        usage: force ? currentUsageMs : effectiveLimitMillis,
+        timestamp: Date.now(),
+      })
+    } else {
+      return
+    }
+
+    const tabs = await rulesEngine.getTabsToBlock()
+    const mode = await storage.getEffectiveMode(settings)
+
+    if (mode === 'redirect') {
+      for (const tab of tabs) {
+        await rulesEngine.blockTab(tab.id, tab.url)
+      }
+    } else if (mode === 'close') {
+      tabs.forEach((tab) => {
+        chrome.tabs
+          .sendMessage(tab.id, {
+            type: 'SHOW_CLOSE_COUNTDOWN',
+            settings,
+          })
+          .catch(() => {
+            chrome.tabs.remove(tab.id)
+          })
+      })
+    } else {
+      console.log('🎭 Sending soft lock overlay to', tabs.length, 'tabs')
+      console.log(
+        '🎭 Settings overlay customization:',
+        settings.overlayCustomization
+      )
+
+      let customImageData = null
+      if (
+        settings.overlayCustomization &&
+        settings.overlayCustomization.enabled
+      ) {
+        try {
+          customImageData = await storage.getCustomImage()
+          console.log(
+            '🖼️ Retrieved custom image for overlay:',
+            !!customImageData,
+            customImageData?.length || 0,
+            'bytes'
+          )
+        } catch (error) {
+          console.error('❌ Failed to get custom image for overlay:', error)
+        }
+      }
+
+      for (const tab of tabs) {
+        console.log('🎭 Sending overlay to tab:', tab.id, tab.url)
+
+        const messageData = {
+          type: 'SHOW_SOFT_LOCK',
+          settings: {
+            ...settings,
+
+            overlayCustomization: settings.overlayCustomization
+              ? {
+                  ...settings.overlayCustomization,
+                  customImage: customImageData,
+                }
+              : {
+                  enabled: false,
+                  customMessage: '',
+                  customImage: null,
+                  template: 'default',
+                },
+          },
+        }
+
+        console.log('🎭 Message data:', {
+          type: messageData.type,
+          hasOverlayCustomization: !!messageData.settings.overlayCustomization,
+          overlayEnabled: messageData.settings.overlayCustomization?.enabled,
+          customImageExists:
+            !!messageData.settings.overlayCustomization?.customImage,
+          customImageLength:
+            messageData.settings.overlayCustomization?.customImage?.length || 0,
+        })
+
+        globalService.tabsWithOverlays.add(tab.id)
+        await globalService.ensureContentScriptAndSendMessage(
+          tab.id,
+          messageData
         )
       }
-      return
     }
-    this.lastUpdateTracking = now
+  }
 
-    return this.updateTrackingImmediate()
+  async getTimeRemaining() {
+    const { settings, usage, flags } = await this.getFreshData()
+
+    if (flags.pausedToday) {
+      return {
+        remaining: (await storage.getEffectiveLimitMin(settings)) * 60 * 1000,
+        used: 0,
+      }
+    }
+
+    let effectiveLimitMillis
+    if (flags.snoozed) {
+      effectiveLimitMillis = getSnoozeMillis(settings, flags)
+    } else {
+      effectiveLimitMillis =
+        (await storage.getEffectiveLimitMin(settings)) * 60 * 1000
+    }
+
+    const remaining = Math.max(0, effectiveLimitMillis - usage.millisActive)
+
+    if (flags.locked) {
+      return {
+        remaining,
+        used: usage.millisActive,
+        limit: effectiveLimitMillis,
+        frozen: true,
+      }
+    }
+
+    return {
+      remaining,
+      used: usage.millisActive,
+      limit: effectiveLimitMillis,
+      frozen: false,
+    }
+  }
+
+  getNextResetTime() {
+    const now = new Date()
+    const settings = storage.getSettings()
+
+    return settings.then((settings) => {
+      const resetTime = new Date(now)
+      resetTime.setHours(settings.resetHourLocal, 0, 0, 0)
+
+      if (resetTime <= now) {
+        resetTime.setDate(resetTime.getDate() + 1)
+      }
+
+      return resetTime
+    })
+  }
+
+  formatTime(millis) {
+    const minutes = Math.floor(millis / (1000 * 60))
+    const hours = Math.floor(minutes / 60)
+
+    if (hours > 0) {
+      return `${hours}h ${minutes % 60}m`
+    }
+    return `${minutes}m`
+  }
+}
+class SiteTracker {
+  constructor() {
+    this.maxHeartbeatMs = 15000
+  }
+
+  getSites(settings) {
+    return (settings.sites || []).filter((site) => site.enabled)
+  }
+
+  // Alternative front-ends ride along as one pseudo-site locked with X
+  getAlternativesSite(settings) {
+    const domains = rulesEngine.getAlternativeDomains(settings)
+    if (domains.length === 0) return null
+
+    return {
+      id: ALTERNATIVES_SITE_ID,
+      name: 'X',
+      domains,
+      enabled: true,
+      alternative: true,
+    }
   }
 
-  async updateTrackingImmediate() {
-    if (this.updateTrackingInProgress) {
-      console.log('🔄 updateTracking already in progress, skipping')
-      return
-    }
-    this.updateTrackingInProgress = true
+  getTrackedSites(settings) {
+    const alternativesSite = this.getAlternativesSite(settings)
+    return alternativesSite
+      ? [...this.getSites(settings), alternativesSite]
+      : this.getSites(settings)
+  }
+
+  matchSite(url, settings) {
+    if (!url || rulesEngine.isTwitterUrl(url)) return null
+    if (rulesEngine.isTwitterAlternative(url, settings)) {
+      return this.getAlternativesSite(settings)
+    }
+
+    let hostname
+    try {
+      hostname = new URL(url).hostname
+    } catch {
+      return null
+    }
+
+    return (
+      this.getSites(settings).find((site) =>
+        (site.domains || []).some(
+          (domain) => hostname === domain || hostname.endsWith('.' + domain)
+        )
+      ) || null
+    )
+  }
+
+  async getSiteMode(site, settings) {
+    return site.alternative
+      ? storage.getEffectiveMode(settings)
+      : site.mode || 'softlock'
+  }
+
+  getOrigins(site) {
+    return (site.domains || []).flatMap((domain) => [
+      `*://${domain}/*`,
+      `*://*.${domain}/*`,
+    ])
+  }
+
+  async hasPermission(site) {
+    try {
+      return await chrome.permissions.contains({
+        origins: this.getOrigins(site),
+      })
+    } catch {
+      return false
+    }
+  }
+
+  async getSiteTabs(site) {
+    if (!(await this.hasPermission(site))) return []
+    return chrome.tabs.query({ url: this.getOrigins(site) })
+  }
+
+  async injectWatcher(tabId) {
+    try {
+      await chrome.scripting.executeScript({
+        target: { tabId },
+        files: ['content/site_watch.js'],
+      })
+      return true
+    } catch (error) {
+      console.log('❌ Failed to inject site watcher:', tabId, error.message)
+      return false
+    }
+  }
+
+  getLockingGroup(site, settings, flags) {
+    return (
+      getMemberGroups(settings, site.id).find((group) =>
+        (flags.lockedGroups || []).includes(group.id)
+      ) || null
+    )
+  }
+
+  async isLocked(site, settings) {
+    const [siteUsage, flags] = await Promise.all([
+      storage.getSiteUsage(),
+      storage.getFlags(),
+    ])
+    if (site.alternative) {
+      return Boolean(flags.locked) || getBlackoutState(settings).active
+    }
+    return (
+      siteUsage.locked.includes(site.id) ||
+      Boolean(this.getLockingGroup(site, settings, flags))
+    )
+  }
+
+  async getLockMessage(site, settings) {
+    const nextReset = new Date(await rulesEngine.getNextResetTime())
+    const group = this.getLockingGroup(
+      site,
+      settings,
+      await storage.getFlags()
+    )
+    return {
+      type: 'SHOW_SITE_LOCK',
+      message: rulesEngine.getMessage(site.tone || settings.tone, 'limit'),
+      siteName: group ? group.name : site.name,
+      nextReset: nextReset.toLocaleTimeString([], {
+        hour: '2-digit',
+        minute: '2-digit',
+      }),
+    }
+  }
+
+  async attachToOpenTabs() {
+    const settings = await storage.getSettings()
+    if (!settings.enabled) return
+
+    for (const site of this.getTrackedSites(settings)) {
+      const locked = await this.isLocked(site, settings)
+      const tabs = await this.getSiteTabs(site)
+      for (const tab of tabs) {
+        await this.injectWatcher(tab.id)
+        if (locked) {
+          await this.blockTab(tab, site, settings)
+        }
+      }
+    }
+  }
+
+  async blockTab(tab, site, settings) {
+    const mode = await this.getSiteMode(site, settings)
+    if (mode === 'close') {
+      chrome.tabs.remove(tab.id).catch(() => {})
+      return
+    }
+    if (mode === 'redirect') {
+      chrome.tabs
+        .update(tab.id, { url: rulesEngine.getRedirectUrl(settings) })
+        .catch(() => {})
+      return
+    }
+
+    const message = await this.getLockMessage(site, settings)
+    try {
+      await chrome.tabs.sendMessage(tab.id, message)
+    } catch {
+      if (await this.injectWatcher(tab.id)) {
+        chrome.tabs.sendMessage(tab.id, message).catch(() => {})
+      }
+    }
+  }
+
+  async handleTabUpdated(tabId, changeInfo, tab) {
+    if (changeInfo.status !== 'complete') return
+
+    const settings = await storage.getSettings()
+    if (!settings.enabled) return
+
+    const site = this.matchSite(tab.url, settings)
+    if (!site || !(await this.hasPermission(site))) return
+
+    await this.injectWatcher(tabId)
+
+    if (await this.isLocked(site, settings)) {
+      await this.blockTab(tab, site, settings)
+    }
+  }
+
+  async getStatusForTab(tab) {
+    const settings = await storage.getSettings()
+    const site = this.matchSite(tab.url, settings)
+    if (!settings.enabled || !site) return { locked: false }
+
+    if (!(await this.isLocked(site, settings))) return { locked: false }
+
+    const mode = await this.getSiteMode(site, settings)
+    if (mode === 'close') {
+      chrome.tabs.remove(tab.id).catch(() => {})
+    } else if (mode === 'redirect') {
+      chrome.tabs
+        .update(tab.id, { url: rulesEngine.getRedirectUrl(settings) })
+        .catch(() => {})
+    }
+    return { locked: true, ...(await this.getLockMessage(site, settings)) }
+  }
+
+  async recordHeartbeat(tab, elapsed) {
+    const settings = await storage.getSettings()
+    const site = this.matchSite(tab.url, settings)
+    if (!settings.enabled || !site) return { locked: false }
+
+    const flags = await storage.getFlags()
+    if (flags.pausedToday) return { locked: false }
+
+    if (await this.isLocked(site, settings)) {
+      return this.getStatusForTab(tab)
+    }
+
+    const deltaTime = Math.max(0, Math.min(elapsed || 0, this.maxHeartbeatMs))
+    if (site.alternative) {
+      await timekeeper.addAlternativeTime(deltaTime, settings)
+      return this.getStatusForTab(tab)
+    }
+
+    const siteUsage = await storage.getSiteUsage()
+    const millisActive = (siteUsage.sites[site.id] || 0) + deltaTime
+
+    // Grouped sites draw from the group's budget instead of their own
+    if (getMemberGroups(settings, site.id).length > 0) {
+      await storage.set(STORAGE_KEYS.SITE_USAGE, {
+        ...siteUsage,
+        sites: { ...siteUsage.sites, [site.id]: millisActive },
+      })
+      await timekeeper.addSiteGroupTime(site.id, deltaTime, settings)
+      await timekeeper.checkGroupLimits(settings, flags)
+      return this.getStatusForTab(tab)
+    }
+
+    const limitReached = millisActive >= site.dailyLimitMin * 60 * 1000
+
+    await storage.set(STORAGE_KEYS.SITE_USAGE, {
+      ...siteUsage,
+      sites: { ...siteUsage.sites, [site.id]: millisActive },
+      locked: limitReached
+        ? [...siteUsage.locked, site.id]
+        : siteUsage.locked,
+    })
+
+    if (!limitReached) return { locked: false }
+
+    console.log('🔒 Site limit reached:', site.name)
+    await this.lockSite(site, settings)
+    return { locked: true, ...(await this.getLockMessage(site, settings)) }
+  }
+
+  // Mirrors X's lock onto open alternative tabs after any flags change
+  async syncAlternativeTabs() {
+    const settings = await storage.getSettings()
+    const site = this.getAlternativesSite(settings)
+    if (!site) return
+
+    const locked = settings.enabled && (await this.isLocked(site, settings))
+    for (const tab of await this.getSiteTabs(site)) {
+      if (locked) {
+        await this.blockTab(tab, site, settings)
+      } else {
+        chrome.tabs.sendMessage(tab.id, { type: 'HIDE_OVERLAY' }).catch(() => {})
+      }
+    }
+  }
+
+  async lockSite(site, settings) {
+    const tabs = await this.getSiteTabs(site)
+    for (const tab of tabs) {
+      await this.blockTab(tab, site, settings)
+    }
+  }
+
+  async getSitesStatus(settings) {
+    const [siteUsage, flags] = await Promise.all([
+      storage.getSiteUsage(),
+      storage.getFlags(),
+    ])
+    return this.getSites(settings).map((site) => {
+      const group = getMemberGroups(settings, site.id)[0]
+      return {
+        id: site.id,
+        name: site.name,
+        used: siteUsage.sites[site.id] || 0,
+        limit: group ? null : site.dailyLimitMin * 60 * 1000,
+        group: group ? group.name : null,
+        locked:
+          siteUsage.locked.includes(site.id) ||
+          Boolean(this.getLockingGroup(site, settings, flags)),
+      }
+    })
+  }
+}
+const storage = new StorageManager()
+const timekeeper = new TimeKeeper()
+const rules = new RulesEngine()
+const rulesEngine = new RulesEngine()
+const siteTracker = new SiteTracker()
+class TwitterTimeLimitService {
+  constructor() {
+    this.activeTabs = new Set()
+    this.isTracking = false
+    this.lastPauseToggle = 0
+    this.lastUpdateTracking = 0
+    this.lastSettingsUpdate = 0
+    this.debounceLogCount = 0
+    this.updateTrackingTimeout = null
+    this.updateTrackingInProgress = false
+    this.pauseInProgress = false
+    this.resetInProgress = false
+    this.lastGetStatus = 0
+    this.lastGetStatusLog = 0
+    this.cachedStatus = null
+    this.lastSnoozeRequest = 0
+
+    this.tabsWithOverlays = new Set()
+
+    this.tweetNotifyRecent = new Map()
+    this.tweetNotifyInFlight = new Set()
+    this.tweetNotifyTtlMs = 3 * 60 * 1000
+    this.tweetNotifyMax = 500
+    this.init()
+  }
+
+  async init() {
+    // Events that wake the worker are only delivered to listeners that exist
+    // by the end of its first turn, so these go in before anything is awaited
+    this.setupTabListeners()
+
+    this.setupWindowListeners()
+
+    this.setupMessageListeners()
+
+    this.setupNotificationListeners()
+
+    this.setupLockListener()
+
+    await storage.checkDailyReset()
+
+    await this.scheduleDailyReset()
+    await this.scheduleBlackoutAlarm()
+    await rules.migratePasscode()
+    await this.applyPendingChanges()
+    await this.schedulePendingAlarm()
+    await siteTracker.attachToOpenTabs()
+
+    const flags = await storage.getFlags()
+    if (flags.intention && flags.intention.endsAt <= Date.now()) {
+      await this.endIntention('expired')
+    }
+    if (flags.pausedToday && flags.pausedUntil && flags.pausedUntil <= Date.now()) {
+      await this.endPause()
+    }
+    await this.reconcileSnooze()
+
+    await this.syncNetworkBlock()
+    await timekeeper.refreshBadge()
+
+    await this.checkActiveTabs()
+
+    try {
+      const cache = await storage.get('notificationsCache')
+      if (cache && cache.tweets && Array.isArray(cache.tweets)) {
+        const now = Date.now()
+        for (const [id, ts] of cache.tweets) {
+          if (
+            typeof id === 'string' &&
+            typeof ts === 'number' &&
+            now - ts < this.tweetNotifyTtlMs
+          ) {
+            this.tweetNotifyRecent.set(id, ts)
+          }
+        }
+      }
+    } catch (_) {}
+  }
+
+  async scheduleDailyReset() {
+    const settings = await storage.getSettings()
+    const now = new Date()
+    const resetTime = new Date(now)
+    resetTime.setHours(settings.resetHourLocal, 0, 0, 0)
+
+    if (resetTime <= now) {
+      resetTime.setDate(resetTime.getDate() + 1)
+    }
+
+    try {
+      await chrome.alarms.clear('daily_reset')
+    } catch (e) {}
+
+    chrome.alarms.create('daily_reset', {
+      when: resetTime.getTime(),
+    })
+  }
+
+  getIntentionForUrl(url, settings, flags) {
+    const state = getIntentionState(settings, flags)
+    const urlRule = matchUrlRule(settings.urlRules, url)
+    if (
+      !settings.enabled ||
+      flags.pausedToday ||
+      (urlRule && urlRule.rule.action === 'allow')
+    ) {
+      return { ...state, required: false }
+    }
+    return state
+  }
+
+  async startIntention({ kind, label, minutes }) {
+    const settings = await storage.getSettings()
+    const defaultMinutes =
+      (settings.intention && settings.intention.defaultMinutes) || 10
+    const sessionMin = Math.max(
+      1,
+      Math.min(120, parseInt(minutes) || defaultMinutes)
+    )
+    const startedAt = Date.now()
+    const intention = {
+      id: `${startedAt}`,
+      kind: kind || 'custom',
+      label: (label || '').trim().slice(0, 80) || 'Just browsing',
+      minutes: sessionMin,
+      startedAt,
+      endsAt: startedAt + sessionMin * 60 * 1000,
+    }
+
+    const previous = (await storage.getFlags()).intention
+    if (previous) {
+      await this.closeIntentionLog(
+        previous,
+        previous.endsAt <= startedAt ? 'expired' : 'replaced'
+      )
+    }
+
+    await storage.updateFlags({ intention })
+    await storage.logIntention({
+      id: intention.id,
+      dateKey: getDateKey(),
+      kind: intention.kind,
+      label: intention.label,
+      minutes: intention.minutes,
+      startedAt,
+      endedAt: null,
+      outcome: null,
+    })
+
+    chrome.alarms.create('intention_end', { when: intention.endsAt })
+    console.log('🎯 Intention started:', intention)
+
+    const tabs = await chrome.tabs.query({ url: TWITTER_URL_PATTERNS })
+    tabs.forEach((tab) => {
+      chrome.tabs
+        .sendMessage(tab.id, { type: 'INTENTION_STARTED', intention })
+        .catch(() => {})
+    })
+
+    await this.updateTrackingImmediate()
+    return intention
+  }
+
+  async closeIntentionLog(intention, outcome) {
+    await storage.logIntention({
+      id: intention.id,
+      endedAt: Math.min(Date.now(), intention.endsAt),
+      outcome,
+    })
+  }
+
+  async endIntention(outcome) {
+    const flags = await storage.getFlags()
+    const intention = flags.intention
+    if (!intention) return
+
+    try {
+      await chrome.alarms.clear('intention_end')
+    } catch (e) {}
+
+    await storage.updateFlags({ intention: null })
+    await this.closeIntentionLog(intention, outcome)
+    console.log('🎯 Intention ended:', outcome, intention.label)
+
+    const settings = await storage.getSettings()
+    const tabs = await chrome.tabs.query({ url: TWITTER_URL_PATTERNS })
+    tabs.forEach((tab) => {
+      chrome.tabs
+        .sendMessage(tab.id, {
+          type: 'SHOW_INTENTION_PROMPT',
+          settings,
+          previous: outcome === 'expired' ? intention : null,
+        })
+        .catch(() => {})
+    })
+  }
+
+  async scheduleBlackoutAlarm() {
+    const settings = await storage.getSettings()
+    const blackout = getBlackoutState(settings)
+
+    try {
+      await chrome.alarms.clear('blackout_boundary')
+    } catch (e) {}
+
+    const boundary = blackout.active
+      ? blackout.until
+      : blackout.next && blackout.next.start
+    if (!boundary) return
+
+    chrome.alarms.create('blackout_boundary', {
+      when: boundary,
+    })
+  }
+
+  async applyBlackoutState() {
+    const settings = await storage.getSettings()
+    if (!settings.enabled) return
+
+    const blackout = getBlackoutState(settings)
+    const tabs = await chrome.tabs.query({
+      url: TWITTER_URL_PATTERNS,
+    })
+    await timekeeper.refreshBadge()
+
+    if (blackout.active) {
+      console.log('🌙 Blackout window active until', new Date(blackout.until))
+      await timekeeper.stop()
+
+      const mode = await storage.getEffectiveMode(settings)
+      for (const tab of tabs) {
+        if (!(await rulesEngine.shouldBlockTab(tab.id, tab.url))) continue
+
+        if (mode === 'redirect') {
+          await rulesEngine.blockTab(tab.id, tab.url)
+        } else if (mode === 'close') {
+          chrome.tabs
+            .sendMessage(tab.id, {
+              type: 'SHOW_CLOSE_COUNTDOWN',
+              settings,
+            })
+            .catch(() => {
+              chrome.tabs.remove(tab.id)
+            })
+        } else {
+          this.tabsWithOverlays.add(tab.id)
+          await this.ensureContentScriptAndSendMessage(tab.id, {
+            type: 'SHOW_SOFT_LOCK',
+            settings,
+            blackout,
+          })
+        }
+      }
+    } else {
+      console.log('🌅 Blackout window over')
+
+      for (const tab of tabs) {
+        if (!(await rulesEngine.shouldBlockTab(tab.id, tab.url))) {
+          this.tabsWithOverlays.delete(tab.id)
+          chrome.tabs
+            .sendMessage(tab.id, {
+              type: 'HIDE_OVERLAY',
+            })
+            .catch(() => {})
+        }
+      }
+
+      await this.updateTrackingImmediate()
+    }
+
+    await siteTracker.syncAlternativeTabs()
+
+    timekeeper.broadcastRealTimeUpdate({
+      type: 'STATUS_CHANGED',
+      blackout,
+      timestamp: Date.now(),
+    })
+  }
+
+  setupTabListeners() {
+    chrome.tabs.onActivated.addListener(async (activeInfo) => {
+      await rules.handleTabActivated(activeInfo.tabId)
+      await this.updateTrackingImmediate()
+    })
+
+    chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+      await rules.handleTabUpdated(tabId, changeInfo, tab)
+      this.debouncedUpdateTracking()
+    })
+
+    chrome.tabs.onRemoved.addListener((tabId) => {
+      this.activeTabs.delete(tabId)
+      this.debouncedUpdateTracking()
+    })
+  }
+
+  setupWindowListeners() {
+    chrome.windows.onFocusChanged.addListener(async (windowId) => {
+      console.log(
+        '🔍 Window focus changed:',
+        windowId === chrome.windows.WINDOW_ID_NONE
+          ? 'lost focus'
+          : 'gained focus'
+      )
+      if (windowId === chrome.windows.WINDOW_ID_NONE) {
+        console.log(
+          '🔍 Window lost focus - updating tracking to stop timekeeper'
+        )
+        await this.updateTrackingImmediate()
+      } else {
+        console.log('🔍 Window gained focus - updating tracking')
+        await this.updateTrackingImmediate()
+      }
+    })
+  }
+
+  // Every lock, unlock, reset and snooze goes through the flags key, so the
+  // network rule and alternative tabs follow storage instead of each of
+  // those code paths
+  setupLockListener() {
+    chrome.storage.onChanged.addListener((changes, namespace) => {
+      if (namespace !== 'local') return
+
+      const settingsChange = changes[STORAGE_KEYS.SETTINGS]
+      const flagsChange = changes[STORAGE_KEYS.FLAGS]
+      if (!settingsChange && !flagsChange) return
+
+      this.syncNetworkBlock(
+        settingsChange && settingsChange.newValue,
+        flagsChange && flagsChange.newValue
+      )
+      siteTracker.syncAlternativeTabs().catch(() => {})
+      timekeeper.refreshBadge().catch(() => {})
+    })
+  }
+
+  async syncNetworkBlock(settings, flags) {
+    try {
+      settings = settings || (await storage.getSettings())
+      flags = flags || (await storage.getFlags())
+
+      if (rulesEngine.needsNetworkBlock(settings, flags)) {
+        await rulesEngine.setNetworkBlock(settings)
+        console.log('🧱 Network block rule installed')
+      } else {
+        await rulesEngine.clearNetworkBlock()
+      }
+    } catch (error) {
+      console.error('❌ Failed to sync network block rule:', error)
+    }
+  }
+
+  setupMessageListeners() {
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      this.handleMessage(message, sender, sendResponse)
+      return true
+    })
+  }
+
+  async handleMessage(message, sender, sendResponse) {
+    try {
+      switch (message.type) {
+        case 'TAB_ACTIVE':
+          if (sender.tab.active) {
+            timekeeper.setRoute(message.url || sender.tab.url)
+          }
+          this.activeTabs.add(sender.tab.id)
+          this.debouncedUpdateTracking()
+          sendResponse({ success: true })
+          break
+
+        case 'SITE_HEARTBEAT':
+          sendResponse(
+            await siteTracker.recordHeartbeat(sender.tab, message.elapsed)
+          )
+          break
+
+        case 'SITE_STATUS':
+          sendResponse(await siteTracker.getStatusForTab(sender.tab))
+          break
+
+        case 'ROUTE_CHANGED':
+          const routeUrl = message.url || sender.tab.url
+          if (sender.tab.active) {
+            timekeeper.setRoute(routeUrl)
+          }
+          const [routeSettings, routeFlags] = await Promise.all([
+            storage.getSettings(),
+            storage.getFlags(),
+          ])
+          sendResponse({
+            success: true,
+            blocked:
+              routeSettings.enabled &&
+              rulesEngine.isRouteBlocked(routeUrl, routeSettings, routeFlags),
+            section: rulesEngine.getLockedSection(
+              routeUrl,
+              routeSettings,
+              routeFlags
+            ),
+            blackout: getBlackoutState(routeSettings),
+            intention: this.getIntentionForUrl(
+              routeUrl,
+              routeSettings,
+              routeFlags
+            ),
+            settings: routeSettings,
+          })
+          break
+
+        case 'START_INTENTION':
+          sendResponse({
+            success: true,
+            intention: await this.startIntention(message),
+          })
+          break
+
+        case 'END_INTENTION':
+          await this.endIntention('done')
+          sendResponse({ success: true })
+          break
+
+        case 'TEST_URL_RULE':
+          sendResponse({
+            success: true,
+            target: getUrlRuleTarget(message.url),
+            match: matchUrlRule(
+              { ...message.urlRules, enabled: true },
+              message.url
+            ),
+          })
+          break
+
+        case 'TAB_INACTIVE':
+          console.log(
+            'TAB_INACTIVE message from tab:',
+            sender.tab.id,
+            sender.tab.url
+          )
+
+          sendResponse({ success: true })
+          break
+
+        case 'USER_ACTIVITY':
+          console.log(
+            '⚡ USER_ACTIVITY message received from tab:',
+            sender.tab.id
+          )
+
+          if (!timekeeper.isPaused) {
+            const now = Date.now()
+            if (sender.tab.active) {
+              timekeeper.setRoute(message.url || sender.tab.url)
+            }
+            timekeeper.lastActiveChange = now - 300
+            timekeeper.setActive(true)
+          } else {
+            console.log('⏸️ Ignoring user activity - extension is paused')
+          }
+          sendResponse({ success: true })
+          break
+
+        case 'USER_IDLE':
+          const now = Date.now()
+          if (now - timekeeper.lastIdleTime < 2000) {
+            console.log(
+              '💤 USER_IDLE ignored - too frequent from tab:',
+              sender.tab.id
+            )
+            sendResponse({ success: true })
+            break
+          }
+
+          console.log('💤 USER_IDLE received from tab:', sender.tab.id)
+          timekeeper.lastIdleTime = now
+
+          console.log(
+            "💤 USER_IDLE ignored - individual tab idle doesn't affect global state"
+          )
+          sendResponse({ success: true })
+          break
+
+        case 'SNOOZE_REQUEST':
+          const snoozeResult = await this.handleSnoozeRequest(message.minutes)
+          sendResponse(snoozeResult || { success: true })
+          break
+
+        case 'BYPASS_REQUEST':
+          sendResponse(await this.handleBypassRequest(message.passcode))
+          break
+
+        case 'PAUSE_TOGGLE':
+          sendResponse(
+            (await this.togglePause({
+              minutes: message.minutes,
+              until: message.until,
+            })) || { success: true }
+          )
+          break
+
+        case 'MANUAL_RESET':
+          const resetApproval = await this.requestLoosening(
+            { labels: ["Reset today's usage"], action: 'manual_reset' },
+            message.passcode
+          )
+          if (!resetApproval.approved) {
+            sendResponse({ success: false, ...resetApproval })
+            break
+          }
+          await this.manualReset()
+          sendResponse({ success: true })
+          break
+
+        case 'GET_STATUS':
+          const status = await this.getStatus()
+          if (sender.tab && sender.tab.url) {
+            sendResponse({
+              ...status,
+              blocked: await rulesEngine.shouldBlockTab(
+                sender.tab.id,
+                sender.tab.url
+              ),
+              section: rulesEngine.getLockedSection(
+                sender.tab.url,
+                status.settings,
+                status.flags
+              ),
+              intention: this.getIntentionForUrl(
+                sender.tab.url,
+                status.settings,
+                status.flags
+              ),
+            })
+            break
+          }
+          sendResponse(status)
+          break
+
+        case 'GET_HISTORY':
+          const history = await storage.getUsageHistory()
+          const historyDays = history.days || []
+          const [historySettings, historyFlags, historyUsage] =
+            await Promise.all([
+              storage.getSettings(),
+              storage.getFlags(),
+              storage.getUsageToday(),
+            ])
+          sendResponse({
+            history: message.days
+              ? historyDays.slice(-message.days)
+              : historyDays,
+            today: storage.buildHistoryRecord(
+              historyUsage,
+              historySettings,
+              historyFlags,
+              timekeeper.getCurrentRealTimeUsage(),
+              await storage.getEffectiveLimitMin(historySettings)
+            ),
+          })
+          break
+
+        case 'UPDATE_SETTINGS':
+          try {
+            const now = Date.now()
+            const requestId = message.requestId || 'unknown'
+
+            // A retry carrying the passcode follows its first attempt closely
+            if (!message.passcode && now - this.lastSettingsUpdate < 1000) {
+              sendResponse({ success: true, debounced: true })
+              break
+            }
+            this.lastSettingsUpdate = now
+
+            const oldSettings = await storage.getSettings()
+
+            const loosening = getLooseningChanges(oldSettings, {
+              ...oldSettings,
+              ...message.settings,
+            })
+            let approval = { approved: true }
+            if ((oldSettings.settingsGuard || {}).enabled) {
+              approval =
+                loosening.labels.length > 0
+                  ? await this.requestLoosening(
+                      { ...loosening, resetUsage: Boolean(message.resetUsage) },
+                      message.passcode
+                    )
+                  : { approved: false }
+            }
+
+            // Held-back keys keep their old values until approved or due, and
+            // resetting today's counter gives time back so it waits as well
+            const requestedSettings = approval.approved
+              ? message.settings
+              : {
+                  ...message.settings,
+                  ...Object.fromEntries(
+                    Object.keys(loosening.settings).map((key) => [
+                      key,
+                      oldSettings[key],
+                    ])
+                  ),
+                }
+
+            await this.applySettingsUpdate(oldSettings, requestedSettings, {
+              resetUsage: message.resetUsage,
+              mayResetUsage: approval.approved,
+            })
+
+            sendResponse({
+              success: true,
+              held: approval.approved ? [] : loosening.labels,
+              needsPasscode: Boolean(approval.needsPasscode),
+              pending: approval.pending || null,
+              error: approval.error,
+            })
+          } catch (error) {
+            sendResponse({
+              success: false,
+              error: error.message,
+            })
+          }
+          break
+
+        case 'RESET_SETTINGS':
+          const clearApproval = await this.requestLoosening(
+            { labels: ['Reset all settings'], action: 'reset_settings' },
+            message.passcode
+          )
+          if (!clearApproval.approved) {
+            sendResponse({ success: false, ...clearApproval })
+            break
+          }
+          await storage.clear()
+          sendResponse({ success: true })
+          break
+
+        case 'GET_DONE_NOTE':
+          sendResponse(await storage.get(STORAGE_KEYS.DONE_NOTE))
+          break
+
+        case 'SAVE_DONE_NOTE':
+          await storage.set(STORAGE_KEYS.DONE_NOTE, {
+            text: String(message.text || '').slice(0, 10000),
+          })
+          sendResponse({ success: true })
+          break
+
+        case 'GET_ESCALATION':
+          const escalationSettings = await storage.getSettings()
+          sendResponse({
+            success: true,
+            escalation: await storage.getEscalation(),
+            effectiveMode: await storage.getEffectiveMode(escalationSettings),
+          })
+          break
+
+        case 'RESET_ESCALATION':
+          const resetSettings = await storage.getSettings()
+          if (
+            !(resetSettings.settingsGuard || {}).enabled &&
+            resetSettings.passcodeHash &&
+            !(await rules.validatePasscode(message.passcode))
+          ) {
+            sendResponse({ success: false, error: 'Invalid passcode' })
+            break
+          }
+          const escalationApproval = await this.requestLoosening(
+            { labels: ['Reset escalation'], action: 'reset_escalation' },
+            message.passcode
+          )
+          if (!escalationApproval.approved) {
+            sendResponse({ success: false, ...escalationApproval })
+            break
+          }
+          await this.resetEscalation()
+          sendResponse({ success: true })
+          break
+
+        case 'SET_PASSCODE':
+          const passcodeSettings = await storage.getSettings()
+          if (passcodeSettings.passcodeHash) {
+            const replaceRefusal = await this.checkCurrentPasscode(
+              ['Change the passcode'],
+              message.currentPasscode
+            )
+            if (replaceRefusal) {
+              sendResponse(replaceRefusal)
+              break
+            }
+            const replaceApproval = await this.requestLoosening(
+              {
+                labels: ['Change the passcode'],
+                settings: {
+                  passcodeHash: await rules.hashPasscode(message.passcode),
+                },
+              },
+              message.currentPasscode
+            )
+            if (!replaceApproval.approved) {
+              sendResponse({ success: false, ...replaceApproval })
+              break
+            }
+          }
+          await rules.setPasscode(message.passcode)
+          sendResponse({ success: true })
+          break
+
+        case 'CLEAR_PASSCODE':
+          const clearRefusal = await this.checkCurrentPasscode(
+            ['Clear the passcode'],
+            message.passcode
+          )
+          if (clearRefusal) {
+            sendResponse(clearRefusal)
+            break
+          }
+          const clearPasscodeApproval = await this.requestLoosening(
+            { labels: ['Clear the passcode'], action: 'clear_passcode' },
+            message.passcode
+          )
+          if (!clearPasscodeApproval.approved) {
+            sendResponse({ success: false, ...clearPasscodeApproval })
+            break
+          }
+          await rules.clearPasscode()
+          sendResponse({ success: true })
+          break
+
+        case 'GET_PENDING_SETTINGS':
+          sendResponse({
+            success: true,
+            changes: (await storage.get(STORAGE_KEYS.PENDING_SETTINGS)).changes,
+          })
+          break
+
+        case 'CANCEL_PENDING_SETTING':
+          await this.cancelPendingChange(message.id)
+          sendResponse({ success: true })
+          break
+
+        case 'GET_PASSCODE_AUDIT':
+          sendResponse({
+            success: true,
+            audit: await storage.getPasscodeAudit(),
+            guard: await storage.getPasscodeGuard(),
+          })
+          break
+
+        case 'REFRESH_TWITTER_TABS':
+          const settings = await storage.getSettings()
+          if (settings.enabled) {
+            await this.refreshTwitterTabs()
+            sendResponse({ success: true })
+          } else {
+            sendResponse({ success: false, error: 'Extension is disabled' })
+          }
+          break
+
+        case 'CLEAR_LOCK':
+          await this.clearLockedState()
+          sendResponse({ success: true })
+          break
+
+        case 'GET_NOTIFICATIONS':
+          const notifications = await storage.getNotifications()
+          sendResponse({ notifications })
+          break
+
+        case 'UPDATE_NOTIFICATIONS':
+          await storage.updateNotifications(message.notifications)
+
+          chrome.alarms.clear('notificationCheck')
+          
+          if (message.notifications.enabled) {
+            chrome.alarms.create('notificationCheck', {
+              delayInMinutes: 0,
+              periodInMinutes: message.notifications.checkInterval,
+            })
+
+            setTimeout(async () => {
+              const alarms = await chrome.alarms.getAll()
+              const notificationAlarm = alarms.find(
+                (alarm) => alarm.name === 'notificationCheck'
+              )
+              if (notificationAlarm) {
+              } else {
+              }
+            }, 500)
+
+            setTimeout(async () => {
+              await this.checkNotifications()
+            }, 1000)
+          } else {
+          }
+
+          sendResponse({ success: true })
+          break
+
+        case 'GET_CUSTOM_IMAGE':
+          const imageData = await storage.getCustomImage()
+          sendResponse({ imageData })
+          break
+
+        case 'SET_CUSTOM_IMAGE':
+          await storage.setCustomImage(message.imageData)
+          sendResponse({ success: true })
+          break
+
+        case 'CLEAR_CUSTOM_IMAGE':
+          await storage.clearCustomImage()
+          sendResponse({ success: true })
+          break
+
+        case 'POPUP_CONNECTED':
+          sendResponse({ success: true })
+          break
+
+        default:
+          sendResponse({ error: 'Unknown message type' })
+      }
+    } catch (error) {
+      sendResponse({ error: error.message })
+    }
+  }
+
+  setupNotificationListeners() {
+    chrome.notifications.onClicked.addListener(async (notificationId) => {
+      if (notificationId.includes('nudge')) {
+        chrome.notifications.clear(notificationId)
+      } else if (
+        notificationId.startsWith('tweet_') ||
+        notificationId.startsWith('new_tweet_')
+      ) {
+        
+        try {
+          const tweetId = notificationId
+            .replace('tweet_', '')
+            .replace('new_tweet_', '')
+          const tweetUrl = `https://x.com/i/web/status/${tweetId}`
+
+          const tabs = await chrome.tabs.query({
+            url: ['*://x.com/*', '*://twitter.com/*'],
+          })
+          if (tabs.length > 0) {
+            const preferred = tabs.find((t) => t.active) || tabs[0]
+            await chrome.tabs.update(preferred.id, { url: tweetUrl, active: true })
+            if (preferred.windowId != null) {
+              await chrome.windows.update(preferred.windowId, { focused: true })
+            }
+          } else {
+            const created = await chrome.tabs.create({
+              url: tweetUrl,
+              active: true,
+            })
+            if (created && created.windowId != null) {
+              await chrome.windows.update(created.windowId, { focused: true })
+            }
+          }
+        } finally {
+          chrome.notifications.clear(notificationId)
+        }
+      }
+    })
+
+    chrome.notifications.onButtonClicked.addListener(
+      async (notificationId, buttonIndex) => {
+        if (notificationId.includes('nudge')) {
+          const durations = notificationId.split('_')[1].split('-')
+          await this.handleSnoozeRequest(Number(durations[buttonIndex]))
+          chrome.notifications.clear(notificationId)
+        }
+      }
+    )
+  }
+
+  async createTransientNotification(idPrefix, options, autoCloseMs = 5000) {
+    try {
+      const uniqueId = `${idPrefix}_${Date.now()}_${Math.random()
+        .toString(36)
+        .slice(2, 7)}`
+      await chrome.notifications.create(uniqueId, {
+        requireInteraction: false,
+        silent: true,
+        ...options,
+      })
+      setTimeout(() => {
+        chrome.notifications.clear(uniqueId)
+      }, autoCloseMs)
+      return uniqueId
+    } catch (e) {
+      return null
+    }
+  }
+
+  async checkActiveTabs() {
+    const tabs = await chrome.tabs.query({
+      url: TWITTER_URL_PATTERNS,
+    })
+
+    console.log(
+      'checkActiveTabs found tabs:',
+      tabs.map((t) => ({ id: t.id, url: t.url, active: t.active }))
+    )
+
+    this.activeTabs.clear()
+    tabs.forEach((tab) => {
+      if (tab.windowId) {
+        this.activeTabs.add(tab.id)
+      }
+    })
+
+    console.log('activeTabs after update:', Array.from(this.activeTabs))
+
+    this.debouncedUpdateTracking()
+  }
+
+  debouncedUpdateTracking() {
+    if (this.updateTrackingTimeout) {
+      clearTimeout(this.updateTrackingTimeout)
+    }
+
+    this.updateTrackingTimeout = setTimeout(() => {
+      this.updateTrackingImmediate()
+      console.warn('⏱️ debouncedUpdateTracking fired immediate recalculation')
+      this.updateTrackingTimeout = null
+    }, 100)
+  }
+
+  async updateTracking() {
+    const now = Date.now()
+    if (now - this.lastUpdateTracking < 500) {
+      this.debounceLogCount++
+
+      if (this.debounceLogCount % 10 === 1) {
+        console.log(
+          '🔄 updateTracking debounced (too frequent) - count:',
+          this.debounceLogCount
+        )
+      }
+      return
+    }
+    this.lastUpdateTracking = now
+
+    return this.updateTrackingImmediate()
+  }
+
+  async updateTrackingImmediate() {
+    if (this.updateTrackingInProgress) {
+      console.log('🔄 updateTracking already in progress, skipping')
+      return
+    }
+    this.updateTrackingInProgress = true
+
+    try {
+      const wasTracking = this.isTracking
+      const settings = await storage.getSettings()
+      const flags = await storage.getFlags()
+
+      const activeXTabs = await chrome.tabs.query({
+        url: TWITTER_URL_PATTERNS,
+        active: true,
+      })
+
+      let chromeFocused = false
+      let focusedWindowId = null
+      try {
+        const focusedWindow = await chrome.windows.getLastFocused()
+        chromeFocused = !!(focusedWindow && focusedWindow.focused)
+        focusedWindowId = focusedWindow ? focusedWindow.id : null
+      } catch (_) {}
+
+      const focusedXTab = chromeFocused
+        ? activeXTabs.find((t) => t.windowId === focusedWindowId)
+        : null
+      const hasActiveXTabInFocusedWindow = Boolean(focusedXTab)
+      if (focusedXTab) {
+        timekeeper.setRoute(focusedXTab.url)
+      }
+      const popupOpen =
+        timekeeper.popupConnections && timekeeper.popupConnections.size > 0
+      const hasActiveXTabAnywhere = activeXTabs.length > 0
+
+      const nowTs = Date.now()
+      const suppressStops =
+        this.suppressStopUntil && nowTs < this.suppressStopUntil
+
+      const allowDueToPopup = popupOpen && hasActiveXTabAnywhere
+
+      const safeEnabled = Boolean(settings && settings.enabled)
+      const safePaused = Boolean(flags && flags.pausedToday)
+      const safeLocked = Boolean(flags && flags.locked)
+      const safeTimekeeperLocked = Boolean(timekeeper && timekeeper.isLocked)
+      const safeHasActiveTab = Boolean(hasActiveXTabInFocusedWindow)
+      const safeAllowPopup = Boolean(allowDueToPopup)
+
+      let shouldTrack =
+        (safeHasActiveTab || safeAllowPopup) &&
+        safeEnabled &&
+        !safePaused &&
+        !safeLocked &&
+        !safeTimekeeperLocked
+
+      if (!shouldTrack && suppressStops) {
+        shouldTrack = Boolean(wasTracking || allowDueToPopup)
+      }
+
+      this.isTracking = shouldTrack
+
+      if (wasTracking !== this.isTracking) {
+        console.warn('🔄 updateTracking STATE CHANGE:', {
+          wasTracking,
+          isNowTracking: this.isTracking,
+          hasActiveXTabInFocusedWindow,
+          hasActiveXTabAnywhere,
+          enabled: settings.enabled,
+          paused: flags.pausedToday,
+          locked: flags.locked,
+          shouldTrack,
+          activeXTabs: activeXTabs.map((t) => t.url),
+          chromeFocused,
+          focusedWindowId,
+          popupOpen,
+          allowDueToPopup,
+        })
+      }
+
+      if (flags.pausedToday) {
+        console.log('⏸️ Skipping tracking logic - extension is paused')
+        return
+      }
+
+      if (flags.locked) {
+        console.log('🔒 Skipping tracking logic - extension is locked')
+
+        const tabs = await rulesEngine.getTabsToBlock()
+
+        console.log('🔒 Found X.com tabs to lock:', tabs.length)
+
+        for (const tab of tabs) {
+          if (!this.tabsWithOverlays.has(tab.id)) {
+            console.log('🔒 Sending lock overlay to new tab:', tab.url)
+
+            this.tabsWithOverlays.add(tab.id)
+            try {
+              await this.ensureContentScriptAndSendMessage(tab.id, {
+                type: 'SHOW_SOFT_LOCK',
+                settings: await storage.getSettings(),
+                usage: await storage.getUsageToday(),
+                flags: flags,
+              })
+            } catch (error) {
+              console.log(
+                '❌ Failed to send lock to tab:',
+                tab.id,
+                error.message
+              )
+
+              this.tabsWithOverlays.delete(tab.id)
+            }
+          } else {
+            console.log('🔒 Tab', tab.id, 'already has overlay, skipping')
+          }
+        }
+
+        await timekeeper.stop()
+        return
+      }
+
+      if (this.isTracking) {
+        console.log('✅ Should be tracking - ensuring timekeeper is running')
+
+        if (!timekeeper.tickInterval) {
+          console.log('⏰ Starting timekeeper - not currently running')
+
+          if (!flags.locked && !timekeeper.isLocked) {
+            await timekeeper.start()
+          } else {
+            console.log('🔒 Prevented starting timekeeper - locked')
+          }
+        } else {
+          console.log('⏰ Timekeeper already running')
+        }
+
+        if (!timekeeper.isPaused && !flags.locked && !timekeeper.isLocked) {
+          timekeeper.setActive(true)
+          console.log('✅ Set timekeeper active (not paused)')
+
+          try {
+            timekeeper.broadcastRealTimeUpdate({
+              type: 'STATUS_CHANGED',
+              isTracking: true,
+              locked: flags.locked || timekeeper.isLocked,
+              paused: flags.pausedToday,
+              usage: timekeeper.getCurrentRealTimeUsage(),
+              timestamp: Date.now(),
+            })
+            timekeeper.broadcastRealTimeUpdate({
+              type: 'REAL_TIME_UPDATE',
+              usage: timekeeper.getCurrentRealTimeUsage(),
+              timestamp: Date.now(),
+            })
+          } catch (_) {}
+
+          if (popupOpen && !timekeeper.popupUpdateInterval) {
+            timekeeper.startPopupUpdates()
+            console.log('📱 Started popup updates after tracking resume')
+          }
+        } else {
+          console.log('⏸️ Timekeeper started but staying inactive (paused)')
+        }
+      } else if (!this.isTracking && wasTracking) {
+        console.log('❌ Stopping timekeeper - not actively viewing X.com')
+        if (suppressStops) {
+          console.log('⏭️ Skipping stop due to reset suppression window')
+        } else {
+          await timekeeper.stop()
+        }
+        try {
+          timekeeper.broadcastRealTimeUpdate({
+            type: 'STATUS_CHANGED',
+            isTracking: false,
+            locked: flags.locked || timekeeper.isLocked,
+            paused: flags.pausedToday,
+            usage: timekeeper.getCurrentRealTimeUsage(),
+            timestamp: Date.now(),
+          })
+        } catch (_) {}
+      }
+    } finally {
+      this.updateTrackingInProgress = false
+    }
+  }
+
+  async handleSnoozeRequest(minutes) {
+    if (this.snoozeInProgress) {
+      console.log('⏳ Snooze already in progress - ignoring new request')
+      return { success: false, error: 'Snooze in progress' }
+    }
+    this.snoozeInProgress = true
+    console.log('🔄 Snooze request received')
+
+    try {
+      return await this.startSnooze(minutes)
+    } finally {
+      this.snoozeInProgress = false
+    }
+  }
+
+  async loadSnoozeOptions(settings, flags) {
+    return getSnoozeOptions(settings, flags, await storage.getUsageHistory())
+  }
+
+  async startSnooze(minutes) {
+    const requestTime = Date.now()
+    if (requestTime - this.lastSnoozeRequest < 2000) {
+      console.log('⏸️ Ignoring rapid snooze request')
+      return {
+        success: false,
+        error: 'Please wait before requesting snooze again',
+      }
+    }
+    this.lastSnoozeRequest = requestTime
+
+    const settings = await storage.getSettings()
+    if (!settings.allowSnooze) {
+      console.log('❌ Snooze not allowed in settings')
+      return { success: false, error: 'Snooze not allowed' }
+    }
+
+    const flags = await storage.getFlags()
+    if (flags.cooldownUntil && flags.cooldownUntil > Date.now()) {
+      console.log('🧊 Snooze refused - cooling off')
+      return { success: false, error: 'Cooling off - snooze is unavailable' }
+    }
+
+    const options = await this.loadSnoozeOptions(settings, flags)
+
+    if (flags.snoozed || options.remaining === 0) {
+      console.log('❌ No snoozes left today or one is already active')
+      return { success: false, error: 'Snooze already used today' }
+    }
+
+    // Anything but an offered length falls back to the shortest one
+    const cooldownMinutes = options.durations.includes(Number(minutes))
+      ? Number(minutes)
+      : options.durations[0]
+
+    console.log('✅ Snooze approved -', cooldownMinutes, 'minutes')
+
+    console.log('⏹️ Ensuring no existing timekeeper interval before snooze')
+    await timekeeper.stop()
+
+    const now = Date.now()
+
+    await storage.updateUsageToday({
+      millisActive: 0,
+      ...timekeeper.getDayTotals(),
+      lastTickAt: now,
+      dateKey: new Date().toISOString().split('T')[0],
+    })
+
+    storage.cache.delete('usageToday')
+
+    timekeeper.currentUsageMs = 0
+    timekeeper.isInitialized = true
+    timekeeper.isPaused = false
+    timekeeper.isLocked = false
+    timekeeper.lastTickTime = now
+    timekeeper.lastUsageSave = 0
+
+    console.log(
+      '🔄 Snooze: Reset usage to 0, cooldown limit:',
+      cooldownMinutes + 'm'
+    )
+
+    // The deadline is persisted and backed by an alarm, since a suspended
+    // worker would lose a plain timer and leave X unlocked
+    const snoozeUntil = now + cooldownMinutes * 60 * 1000
+
+    await storage.updateFlags({
+      snoozed: true,
+      snoozeUsedToday: true,
+      snoozeCount: options.used + 1,
+      snoozeMillis: cooldownMinutes * 60 * 1000,
+      snoozeUntil,
+      locked: false,
+      nudged: false,
+      frozenTimeUsed: undefined,
+    })
+    chrome.alarms.create('snooze_end', { when: snoozeUntil })
+
+    console.log('🔓 Extension unlocked for snooze period')
+
+    timekeeper.broadcastRealTimeUpdate({
+      type: 'STATUS_CHANGED',
+      locked: false,
+      snoozed: true,
+      usage: 0,
+      timestamp: Date.now(),
+    })
+
+    const tabs = (
+      await chrome.tabs.query({
+        url: TWITTER_URL_PATTERNS,
+      })
+    ).filter(
+      (tab) =>
+        !rulesEngine.getLockedSection(tab.url, settings, {
+          ...flags,
+          locked: false,
+        })
+    )
 
-    try {
-      const wasTracking = this.isTracking
-      const settings = await storage.getSettings()
-      const flags = await storage.getFlags()
+    console.log('🔄 Sending HIDE_OVERLAY to', tabs.length, 'tabs for snooze')
+    tabs.forEach((tab) => {
+      chrome.tabs
+        .sendMessage(tab.id, {
+          type: 'HIDE_OVERLAY',
+        })
+        .then(() => {
+          console.log('✅ HIDE_OVERLAY sent successfully to tab', tab.id)
+        })
+        .catch((error) => {
+          console.log(
+            '❌ Failed to send HIDE_OVERLAY to tab',
+            tab.id,
+            error.message
+          )
+        })
+    })
 
-      const activeXTabs = await chrome.tabs.query({
-        url: ['*://twitter.com/*', '*://x.com/*', '*://pro.x.com/*'],
-        active: true,
+    if (chrome.notifications) {
+      await this.createTransientNotification('snooze_confirmation', {
+        type: 'basic',
+        iconUrl: 'assets/icon-48x48.png',
+        title: 'Boundr',
+        message: `Snoozed for ${cooldownMinutes} minutes! Fresh time starts now.`,
       })
 
-      let chromeFocused = false
-      let focusedWindowId = null
       try {
-        const focusedWindow = await chrome.windows.getLastFocused()
-        chromeFocused = !!(focusedWindow && focusedWindow.focused)
-        focusedWindowId = focusedWindow ? focusedWindow.id : null
+        timekeeper.broadcastRealTimeUpdate({
+          type: 'STATUS_CHANGED',
+          isTracking: this.isTracking,
+          locked: flags.locked || timekeeper.isLocked,
+          paused: flags.pausedToday,
+          usage: timekeeper.getCurrentRealTimeUsage(),
+          timestamp: Date.now(),
+        })
       } catch (_) {}
+    }
 
-      const hasActiveXTabInFocusedWindow =
-        chromeFocused && activeXTabs.some((t) => t.windowId === focusedWindowId)
-      const popupOpen =
-        timekeeper.popupConnections && timekeeper.popupConnections.size > 0
-      const hasActiveXTabAnywhere = activeXTabs.length > 0
+    return { success: true, snoozeUntil }
+  }
 
-      const nowTs = Date.now()
-      const suppressStops =
-        this.suppressStopUntil && nowTs < this.suppressStopUntil
+  async endSnooze() {
+    const flags = await storage.getFlags()
+    await chrome.alarms.clear('snooze_end')
+    if (!flags.snoozed) return
 
-      const allowDueToPopup = popupOpen && hasActiveXTabAnywhere
+    console.log('⏰ Snooze over - locking again')
 
-      const safeEnabled = Boolean(settings && settings.enabled)
-      const safePaused = Boolean(flags && flags.pausedToday)
-      const safeLocked = Boolean(flags && flags.locked)
-      const safeTimekeeperLocked = Boolean(timekeeper && timekeeper.isLocked)
-      const safeHasActiveTab = Boolean(hasActiveXTabInFocusedWindow)
-      const safeAllowPopup = Boolean(allowDueToPopup)
+    const settings = await storage.getSettings()
+    const cooldownMs = getSnoozeMillis(settings, flags)
+    await storage.updateFlags({
+      snoozed: false,
+      snoozeUntil: null,
+      locked: true,
+      lockedToday: true,
+      nudged: false,
+      frozenTimeUsed: cooldownMs,
+      cooldownUntil: getEscalationCooldownUntil(settings, flags),
+    })
 
-      let shouldTrack =
-        (safeHasActiveTab || safeAllowPopup) &&
-        safeEnabled &&
-        !safePaused &&
-        !safeLocked &&
-        !safeTimekeeperLocked
+    timekeeper.isLocked = true
+    await timekeeper.stop()
 
-      if (!shouldTrack && suppressStops) {
-        shouldTrack = Boolean(wasTracking || allowDueToPopup)
+    timekeeper.broadcastRealTimeUpdate({
+      type: 'STATUS_CHANGED',
+      locked: true,
+      snoozed: false,
+      nudged: false,
+      usage: cooldownMs,
+      timestamp: Date.now(),
+    })
+
+    try {
+      const tabsAfterSnooze = await rulesEngine.getTabsToBlock()
+      for (const tab of tabsAfterSnooze) {
+        await rulesEngine.blockTab(tab.id, tab.url)
       }
+    } catch (_) {}
+  }
 
-      this.isTracking = shouldTrack
+  // A snooze whose alarm was lost, or that predates alarms, is settled here
+  async reconcileSnooze() {
+    const flags = await storage.getFlags()
+    if (!flags.snoozed) return
 
-      if (wasTracking !== this.isTracking) {
-        console.warn('🔄 updateTracking STATE CHANGE:', {
-          wasTracking,
-          isNowTracking: this.isTracking,
-          hasActiveXTabInFocusedWindow,
-          hasActiveXTabAnywhere,
-          enabled: settings.enabled,
-          paused: flags.pausedToday,
-          locked: flags.locked,
-          shouldTrack,
-          activeXTabs: activeXTabs.map((t) => t.url),
-          chromeFocused,
-          focusedWindowId,
-          popupOpen,
-          allowDueToPopup,
+    if (!flags.snoozeUntil || flags.snoozeUntil <= Date.now()) {
+      await this.endSnooze()
+    } else if (!(await chrome.alarms.get('snooze_end'))) {
+      chrome.alarms.create('snooze_end', { when: flags.snoozeUntil })
+    }
+  }
+
+  async handleBypassRequest(passcode) {
+    const bypassFlags = await storage.getFlags()
+    if (bypassFlags.cooldownUntil && bypassFlags.cooldownUntil > Date.now()) {
+      console.log('🧊 Bypass refused - cooling off')
+      await storage.logPasscodeAttempt({ action: 'bypass', outcome: 'cooling_off' })
+      return { success: false, error: 'Cooling off - bypass is unavailable' }
+    }
+
+    const result = await rules.verifyPasscode(passcode)
+    await storage.logPasscodeAttempt({
+      action: 'bypass',
+      outcome: result.valid ? 'granted' : result.reason,
+    })
+
+    if (!result.valid) {
+      let error = 'Invalid passcode. Please try again.'
+      if (result.reason === 'no_passcode') {
+        error = 'No passcode is set'
+      } else if (result.lockedUntil) {
+        const retryAt = new Date(result.lockedUntil).toLocaleTimeString([], {
+          hour: '2-digit',
+          minute: '2-digit',
         })
+        error = `Too many wrong passcodes. Try again at ${retryAt}`
       }
 
-      if (flags.pausedToday) {
-        console.log('⏸️ Skipping tracking logic - extension is paused')
-        return
+      if (chrome.notifications) {
+        await this.createTransientNotification('invalid_passcode', {
+          type: 'basic',
+          iconUrl: 'assets/icon-48x48.png',
+          title: 'Boundr',
+          message: error,
+        })
       }
+      return { success: false, error, lockedUntil: result.lockedUntil || null }
+    }
 
-      if (flags.locked) {
-        console.log('🔒 Skipping tracking logic - extension is locked')
+    await this.clearLockedState()
 
-        const tabs = await chrome.tabs.query({
-          url: ['*://twitter.com/*', '*://x.com/*', '*://pro.x.com/*'],
-        })
+    await storage.updateFlags({ bypassUsedToday: true, bypassGranted: true })
 
-        console.log('🔒 Found X.com tabs to lock:', tabs.length)
+    const tabs = await chrome.tabs.query({ url: TWITTER_URL_PATTERNS })
+    for (const tab of tabs) {
+      this.tabsWithOverlays.delete(tab.id)
+      await rulesEngine.allowTab(tab.id)
+    }
+    await this.updateTrackingImmediate()
 
-        for (const tab of tabs) {
-          if (!this.tabsWithOverlays.has(tab.id)) {
-            console.log('🔒 Sending lock overlay to new tab:', tab.url)
+    if (chrome.notifications) {
+      await this.createTransientNotification('access_granted', {
+        type: 'basic',
+        iconUrl: 'assets/icon-48x48.png',
+        title: 'Boundr',
+        message: 'Access granted for today',
+      })
+    }
+    return { success: true }
+  }
 
-            this.tabsWithOverlays.add(tab.id)
-            try {
-              await this.ensureContentScriptAndSendMessage(tab.id, {
-                type: 'SHOW_SOFT_LOCK',
-                settings: await storage.getSettings(),
-                usage: await storage.getUsageToday(),
-                flags: flags,
-              })
-            } catch (error) {
-              console.log(
-                '❌ Failed to send lock to tab:',
-                tab.id,
-                error.message
-              )
+  async ensureContentScriptAndSendMessage(tabId, message) {
+    const messageKey = `${tabId}-${message.type}-${Date.now()}`
 
-              this.tabsWithOverlays.delete(tab.id)
-            }
-          } else {
-            console.log('🔒 Tab', tab.id, 'already has overlay, skipping')
-          }
-        }
+    if (!this.pendingMessages) {
+      this.pendingMessages = new Set()
+    }
 
-        await timekeeper.stop()
-        return
-      }
+    if (this.pendingMessages.has(`${tabId}-${message.type}`)) {
+      console.log(
+        `⏸️ Already sending ${message.type} to tab ${tabId}, skipping duplicate`
+      )
+      return
+    }
 
-      if (this.isTracking) {
-        console.log('✅ Should be tracking - ensuring timekeeper is running')
+    this.pendingMessages.add(`${tabId}-${message.type}`)
 
-        if (!timekeeper.tickInterval) {
-          console.log('⏰ Starting timekeeper - not currently running')
+    try {
+      const maxRetries = 3
+      const delays = [0, 1000, 2000]
 
-          if (!flags.locked && !timekeeper.isLocked) {
-            await timekeeper.start()
-          } else {
-            console.log('🔒 Prevented starting timekeeper - locked')
+      for (let i = 0; i < maxRetries; i++) {
+        try {
+          if (delays[i] > 0) {
+            await new Promise((resolve) => setTimeout(resolve, delays[i]))
           }
-        } else {
-          console.log('⏰ Timekeeper already running')
-        }
 
-        if (!timekeeper.isPaused && !flags.locked && !timekeeper.isLocked) {
-          timekeeper.setActive(true)
-          console.log('✅ Set timekeeper active (not paused)')
+          await chrome.tabs.sendMessage(tabId, message)
+          console.log(
+            `✅ Message sent successfully to tab ${tabId} on attempt ${i + 1}`
+          )
+          return
+        } catch (error) {
+          console.log(
+            `❌ Attempt ${i + 1}/${maxRetries} failed for tab ${tabId}:`,
+            error.message
+          )
 
-          try {
-            timekeeper.broadcastRealTimeUpdate({
-              type: 'STATUS_CHANGED',
-              isTracking: true,
-              locked: flags.locked || timekeeper.isLocked,
-              paused: flags.pausedToday,
-              usage: timekeeper.getCurrentRealTimeUsage(),
-              timestamp: Date.now(),
-            })
-            timekeeper.broadcastRealTimeUpdate({
-              type: 'REAL_TIME_UPDATE',
-              usage: timekeeper.getCurrentRealTimeUsage(),
-              timestamp: Date.now(),
-            })
-          } catch (_) {}
+          if (
+            error.message.includes('Receiving end does not exist') &&
+            i === 0
+          ) {
+            try {
+              console.log(`🔄 Injecting content script to tab ${tabId}`)
+              await chrome.scripting.executeScript({
+                target: { tabId: tabId },
+                files: ['content/twitter_watch.js'],
+              })
 
-          if (popupOpen && !timekeeper.popupUpdateInterval) {
-            timekeeper.startPopupUpdates()
-            console.log('📱 Started popup updates after tracking resume')
+              await chrome.scripting.insertCSS({
+                target: { tabId: tabId },
+                files: ['content/softlock_overlay.css'],
+              })
+
+              console.log(`✅ Content script injected to tab ${tabId}`)
+
+              await new Promise((resolve) => setTimeout(resolve, 1000))
+            } catch (injectError) {
+              console.log(
+                `❌ Failed to inject content script to tab ${tabId}:`,
+                injectError.message
+              )
+            }
+          }
+
+          if (i === maxRetries - 1) {
+            console.log(
+              '🔄 All attempts failed - content script may not be available'
+            )
           }
-        } else {
-          console.log('⏸️ Timekeeper started but staying inactive (paused)')
-        }
-      } else if (!this.isTracking && wasTracking) {
-        console.log('❌ Stopping timekeeper - not actively viewing X.com')
-        if (suppressStops) {
-          console.log('⏭️ Skipping stop due to reset suppression window')
-        } else {
-          await timekeeper.stop()
         }
-        try {
-          timekeeper.broadcastRealTimeUpdate({
-            type: 'STATUS_CHANGED',
-            isTracking: false,
-            locked: flags.locked || timekeeper.isLocked,
-            paused: flags.pausedToday,
-            usage: timekeeper.getCurrentRealTimeUsage(),
-            timestamp: Date.now(),
-          })
-        } catch (_) {}
       }
     } finally {
-      this.updateTrackingInProgress = false
+      this.pendingMessages.delete(`${tabId}-${message.type}`)
     }
   }
 
-  async handleSnoozeRequest() {
-    if (this.snoozeInProgress) {
-      console.log('⏳ Snooze already in progress - ignoring new request')
-      return { success: false, error: 'Snooze in progress' }
-    }
-    this.snoozeInProgress = true
-    console.log('🔄 Snooze request received')
+  async togglePause(request = {}) {
+    const now = Date.now()
 
-    const requestTime = Date.now()
-    if (requestTime - this.lastSnoozeRequest < 2000) {
-      console.log('⏸️ Ignoring rapid snooze request')
-      return {
-        success: false,
-        error: 'Please wait before requesting snooze again',
-      }
+    if (now - this.lastPauseToggle < 1000) {
+      console.log('⏸️ Ignoring rapid pause toggle')
+      return
     }
-    this.lastSnoozeRequest = requestTime
+    this.lastPauseToggle = now
 
-    const settings = await storage.getSettings()
-    if (!settings.allowSnooze) {
-      console.log('❌ Snooze not allowed in settings')
-      return { success: false, error: 'Snooze not allowed' }
+    if (this.pauseInProgress) {
+      console.log('⏸️ Pause operation already in progress, ignoring')
+      return
     }
+    this.pauseInProgress = true
 
-    const flags = await storage.getFlags()
-
-    if (flags.snoozed || flags.snoozeUsedToday) {
-      console.log('❌ Snooze already used today or currently active')
-      return { success: false, error: 'Snooze already used today' }
+    try {
+      const flags = await storage.getFlags()
+      return flags.pausedToday
+        ? await this.endPause()
+        : await this.startPause(request)
+    } catch (error) {
+      console.error('Error in togglePause:', error)
+      return { success: false, error: error.message }
+    } finally {
+      this.pauseInProgress = false
     }
+  }
 
-    console.log('✅ Snooze approved - proceeding with snooze logic')
-
-    const cooldownMinutes = settings.cooldownMin || 5
-
-    console.log('⏹️ Ensuring no existing timekeeper interval before snooze')
-    await timekeeper.stop()
+  // Pauses run for a set time and draw down the daily pause allowance
+  getPauseEnd(request, now) {
+    if (request.until) return request.until > now ? request.until : null
+    const minutes = PAUSE_DURATIONS_MIN.includes(request.minutes)
+      ? request.minutes
+      : PAUSE_DURATIONS_MIN[0]
+    return now + minutes * 60 * 1000
+  }
 
+  async startPause(request) {
     const now = Date.now()
+    const settings = await storage.getSettings()
+    const flags = await storage.getFlags()
+    const allowance = getPauseAllowance(settings, flags, now)
 
-    await storage.updateUsageToday({
-      millisActive: 0,
-      lastTickAt: now,
-      dateKey: new Date().toISOString().split('T')[0],
-    })
-
-    storage.cache.delete('usageToday')
-
-    timekeeper.currentUsageMs = 0
-    timekeeper.isInitialized = true
-    timekeeper.isPaused = false
-    timekeeper.isLocked = false
-    timekeeper.lastTickTime = now
-    timekeeper.lastUsageSave = 0
-
-    console.log(
-      '🔄 Snooze: Reset usage to 0, cooldown limit:',
-      (settings.cooldownMin || 5) + 'm'
-    )
-
-    console.log(
-      '🔄 Snooze period - NOT starting timekeeper (using setTimeout instead)'
-    )
-    
-    
-    
-
-    await storage.updateFlags({
-      snoozed: true,
-      snoozeUsedToday: true,
-      locked: false,
-      nudged: false,
-      frozenTimeUsed: undefined,
-    })
+    // A pause lifts the overlays and the network block, so it is no way out
+    // of a lock or an escalation cooling-off period
+    if (flags.cooldownUntil && flags.cooldownUntil > now) {
+      console.log('🧊 Pause refused - cooling off')
+      return { success: false, error: 'Cooling off - pausing is unavailable' }
+    }
+    if (flags.locked) {
+      console.log('⏸️ Pause refused - limit reached')
+      return { success: false, error: "Can't pause once the limit is reached" }
+    }
 
-    console.log('🔓 Extension unlocked for snooze period')
+    if (allowance.remaining <= 0) {
+      console.log('⏸️ Pause refused - no allowance left today')
+      return { success: false, error: 'No pause time left today' }
+    }
 
-    timekeeper.broadcastRealTimeUpdate({
-      type: 'STATUS_CHANGED',
-      locked: false,
-      snoozed: true,
-      usage: 0,
-      timestamp: Date.now(),
-    })
+    const requestedEnd = this.getPauseEnd(request, now)
+    if (!requestedEnd) {
+      return { success: false, error: 'Pick a time later today' }
+    }
+    const pausedUntil = Math.min(requestedEnd, now + allowance.remaining)
 
-    const tabs = await chrome.tabs.query({
-      url: ['*://twitter.com/*', '*://x.com/*', '*://pro.x.com/*'],
+    console.log('⏸️ PAUSED until', new Date(pausedUntil), {
+      allowanceLeft: allowance.remaining,
+      timekeeperActive: timekeeper.isActive,
+      timekeeperRunning: !!timekeeper.tickInterval,
     })
 
-    console.log('🔄 Sending HIDE_OVERLAY to', tabs.length, 'tabs for snooze')
-    tabs.forEach((tab) => {
-      chrome.tabs
-        .sendMessage(tab.id, {
-          type: 'HIDE_OVERLAY',
-        })
-        .then(() => {
-          console.log('✅ HIDE_OVERLAY sent successfully to tab', tab.id)
-        })
-        .catch((error) => {
-          console.log(
-            '❌ Failed to send HIDE_OVERLAY to tab',
-            tab.id,
-            error.message
-          )
-        })
+    await storage.updateFlags({
+      pausedToday: true,
+      pauseUsedToday: true,
+      pausedUntil,
+      pauseStartedAt: now,
     })
+    chrome.alarms.create('pause_end', { when: pausedUntil })
 
-    const cooldownDurationMillis = cooldownMinutes * 60 * 1000
+    timekeeper.isPaused = true
 
-    setTimeout(async () => {
-      
-      const cooldownMs = cooldownDurationMillis
+    if (flags.snoozed) {
+      console.log('⏸️ Pausing during snooze - ending snooze but allowing resume')
       await storage.updateFlags({
         snoozed: false,
-        locked: true,
-        nudged: false,
-        frozenTimeUsed: cooldownMs,
+        locked: false,
+        pausedToday: true,
       })
+    }
 
-      timekeeper.isLocked = true
-      await timekeeper.stop()
+    this.tabsWithOverlays.clear()
 
-      timekeeper.broadcastRealTimeUpdate({
-        type: 'STATUS_CHANGED',
-        locked: true,
-        snoozed: false,
-        nudged: false,
-        usage: cooldownMs,
-        timestamp: Date.now(),
+    const tabs = await chrome.tabs.query({
+      url: TWITTER_URL_PATTERNS,
+    })
+
+    for (const tab of tabs) {
+      await this.ensureContentScriptAndSendMessage(tab.id, {
+        type: 'HIDE_OVERLAY',
       })
+    }
 
-      try {
-        const tabsAfterSnooze = await chrome.tabs.query({
-          url: ['*://twitter.com/*', '*://x.com/*', '*://pro.x.com/*'],
-        })
-        const settingsAfter = await storage.getSettings()
-        const msg = {
-          type: 'SHOW_SOFT_LOCK',
-          settings: settingsAfter,
-        }
-        tabsAfterSnooze.forEach((tab) => {
-          chrome.tabs.sendMessage(tab.id, msg).catch(() => {})
-        })
-      } catch (_) {}
-      this.snoozeInProgress = false
-    }, cooldownDurationMillis)
+    await timekeeper.stop()
+    timekeeper.stopPopupUpdates()
 
     if (chrome.notifications) {
-      await this.createTransientNotification('snooze_confirmation', {
+      const resumeAt = new Date(pausedUntil).toLocaleTimeString([], {
+        hour: '2-digit',
+        minute: '2-digit',
+      })
+      await this.createTransientNotification('extension_paused', {
         type: 'basic',
         iconUrl: 'assets/icon-48x48.png',
         title: 'Boundr',
-        message: `Snoozed for ${cooldownMinutes} minutes! Fresh time starts now.`,
+        message: `Extension paused until ${resumeAt}. X.com tabs are accessible.`,
       })
+    }
+
+    return { success: true, pausedUntil }
+  }
+
+  async endPause() {
+    const flags = await storage.getFlags()
+    if (!flags.pausedToday) return { success: true }
+
+    const now = Date.now()
+    const pausedMillis = flags.pauseStartedAt
+      ? Math.max(0, now - flags.pauseStartedAt)
+      : 0
+
+    await storage.updateFlags({
+      pausedToday: false,
+      pausedUntil: null,
+      pauseStartedAt: null,
+      pauseMillisToday: (flags.pauseMillisToday || 0) + pausedMillis,
+    })
+    await chrome.alarms.clear('pause_end')
+
+    timekeeper.isPaused = false
+
+    console.log('▶️ RESUMED - Updating tracking')
+
+    this.suppressStopUntil = Date.now() + 1200
+
+    await this.checkActiveTabs()
 
+    if (
+      timekeeper &&
+      timekeeper.popupConnections &&
+      timekeeper.popupConnections.size > 0
+    ) {
       try {
-        timekeeper.broadcastRealTimeUpdate({
-          type: 'STATUS_CHANGED',
-          isTracking: this.isTracking,
-          locked: flags.locked || timekeeper.isLocked,
-          paused: flags.pausedToday,
-          usage: timekeeper.getCurrentRealTimeUsage(),
-          timestamp: Date.now(),
+        const activeXTabs = await chrome.tabs.query({
+          url: TWITTER_URL_PATTERNS,
+          active: true,
         })
+        if (activeXTabs.length > 0) {
+          if (!timekeeper.tickInterval) {
+            await timekeeper.start()
+          }
+          timekeeper.setActive(true)
+        }
       } catch (_) {}
     }
-  }
 
-  async handleBypassRequest(passcode) {
-    const isValid = await rules.validatePasscode(passcode)
-    if (!isValid) {
-      if (chrome.notifications) {
-        await this.createTransientNotification('invalid_passcode', {
-          type: 'basic',
-          iconUrl: 'assets/icon-48x48.png',
-          title: 'Boundr',
-          message: 'Invalid passcode. Please try again.',
-        })
+    if (this.isTracking) {
+      if (!timekeeper.tickInterval) {
+        await timekeeper.start()
+        console.log('▶️ Started timekeeper after resume')
+      }
+
+      timekeeper.setActive(true)
+      console.log('▶️ Set timekeeper active after resume')
+
+      if (timekeeper.popupConnections.size > 0) {
+        timekeeper.startPopupUpdates()
       }
     }
 
-    await clearLockedState()
+    const tabs = await rulesEngine.getTabsToBlock()
+    for (const tab of tabs) {
+      await rulesEngine.blockTab(tab.id, tab.url)
+    }
 
     if (chrome.notifications) {
-      await this.createTransientNotification('access_granted', {
+      await this.createTransientNotification('extension_resumed', {
         type: 'basic',
         iconUrl: 'assets/icon-48x48.png',
         title: 'Boundr',
-        message: 'Access granted for today',
+        message: 'Extension resumed. Time tracking active.',
       })
     }
+
+    return { success: true }
   }
 
-  async ensureContentScriptAndSendMessage(tabId, message) {
-    const messageKey = `${tabId}-${message.type}-${Date.now()}`
+  // Writes approved settings and carries out everything a change implies:
+  // usage resets, alarms, overlays, tab refreshes and flag updates. Queued
+  // changes from the settings lock come through here too
+  async applySettingsUpdate(
+    oldSettings,
+    requestedSettings,
+    { resetUsage = false, mayResetUsage = true } = {}
+  ) {
+    const storageUpdates = {}
+
+    let shouldLockImmediately = false
+    if (
+      mayResetUsage &&
+      (await storage.getEffectiveLimitMin(oldSettings)) !==
+      (await storage.getEffectiveLimitMin({
+        ...oldSettings,
+        ...requestedSettings,
+      }))
+    ) {
+      console.log('📏 Daily limit changed - resetting counter to 0')
+      timekeeper.currentUsageMs = 0
+      timekeeper.isInitialized = true
+      timekeeper.isPaused = false
+
+      storageUpdates[STORAGE_KEYS.USAGE_TODAY] = {
+        millisActive: 0,
+        ...timekeeper.getDayTotals(),
+        lastTickAt: Date.now(),
+        dateKey: new Date().toISOString().split('T')[0],
+      }
+
+      console.log('💾 Storage usage reset to 0 for daily limit change')
+
+      timekeeper.broadcastRealTimeUpdate({
+        type: 'REAL_TIME_UPDATE',
+        usage: 0,
+        timestamp: Date.now(),
+      })
+    }
+
+    if (
+      mayResetUsage &&
+      requestedSettings.cooldownMin !== undefined &&
+      oldSettings.cooldownMin !== requestedSettings.cooldownMin
+    ) {
+      console.log(
+        '🔄 Delay time changed - always resetting counter to 0'
+      )
+      timekeeper.currentUsageMs = 0
+      timekeeper.isInitialized = true
+      timekeeper.isPaused = false
+
+      storageUpdates[STORAGE_KEYS.USAGE_TODAY] = {
+        millisActive: 0,
+        ...timekeeper.getDayTotals(),
+        lastTickAt: Date.now(),
+        dateKey: new Date().toISOString().split('T')[0],
+      }
+
+      console.log('💾 Storage usage reset to 0 for delay time change')
+
+      timekeeper.broadcastRealTimeUpdate({
+        type: 'REAL_TIME_UPDATE',
+        usage: 0,
+        timestamp: Date.now(),
+      })
+
+      if (shouldLockImmediately) {
+        console.log(
+          '🔄 Canceling immediate lock due to delay time reset'
+        )
+        shouldLockImmediately = false
+        timekeeper.isLocked = false
+
+        if (storageUpdates[STORAGE_KEYS.FLAGS]) {
+          delete storageUpdates[STORAGE_KEYS.FLAGS]
+        }
+      }
+    }
+
+    const { notifications, ...settingsWithoutNotifications } =
+      requestedSettings
 
-    if (!this.pendingMessages) {
-      this.pendingMessages = new Set()
+    storageUpdates[STORAGE_KEYS.SETTINGS] = {
+      ...oldSettings,
+      ...settingsWithoutNotifications,
     }
 
-    if (this.pendingMessages.has(`${tabId}-${message.type}`)) {
-      console.log(
-        `⏸️ Already sending ${message.type} to tab ${tabId}, skipping duplicate`
-      )
-      return
-    }
+    if (notifications) {
+      const currentNotifications = await storage.getNotifications()
+      storageUpdates[STORAGE_KEYS.NOTIFICATIONS] = {
+        ...currentNotifications,
+        ...notifications,
+      }
+      console.log('🔔 Notifications settings updated:', notifications)
 
-    this.pendingMessages.add(`${tabId}-${message.type}`)
+      chrome.alarms.clear('notificationCheck')
+      if (notifications.enabled) {
+        const intervalMinutes = notifications.checkInterval || 1
+        chrome.alarms.create('notificationCheck', {
+          delayInMinutes: intervalMinutes,
+          periodInMinutes: intervalMinutes,
+        })
+        console.log(
+          '⏰ Notification alarm set for every',
+          intervalMinutes,
+          'minutes (independent of extension state)'
+        )
+      } else {
+        console.log('🔕 Notifications disabled - alarm cleared')
+      }
+    }
 
-    try {
-      const maxRetries = 3
-      const delays = [0, 1000, 2000]
+    if (resetUsage && mayResetUsage) {
+      storageUpdates[STORAGE_KEYS.USAGE_TODAY] = {
+        millisActive: 0,
+        ...timekeeper.getDayTotals(),
+        lastTickAt: Date.now(),
+        dateKey: new Date().toISOString().split('T')[0],
+      }
 
-      for (let i = 0; i < maxRetries; i++) {
-        try {
-          if (delays[i] > 0) {
-            await new Promise((resolve) => setTimeout(resolve, delays[i]))
-          }
+      storageUpdates[STORAGE_KEYS.FLAGS] = getUsageResetFlags(
+        await storage.getFlags()
+      )
 
-          await chrome.tabs.sendMessage(tabId, message)
-          console.log(
-            `✅ Message sent successfully to tab ${tabId} on attempt ${i + 1}`
-          )
-          return
-        } catch (error) {
-          console.log(
-            `❌ Attempt ${i + 1}/${maxRetries} failed for tab ${tabId}:`,
-            error.message
-          )
+      timekeeper.isLocked = false
+    }
 
-          if (
-            error.message.includes('Receiving end does not exist') &&
-            i === 0
-          ) {
-            try {
-              console.log(`🔄 Injecting content script to tab ${tabId}`)
-              await chrome.scripting.executeScript({
-                target: { tabId: tabId },
-                files: ['content/twitter_watch.js'],
-              })
+    await chrome.storage.local.set(storageUpdates)
 
-              await chrome.scripting.insertCSS({
-                target: { tabId: tabId },
-                files: ['content/softlock_overlay.css'],
-              })
+    console.log(
+      '💾 Settings saved to storage:',
+      storageUpdates[STORAGE_KEYS.SETTINGS]
+    )
 
-              console.log(`✅ Content script injected to tab ${tabId}`)
+    storage.cache.clear()
+    console.log('🧹 Storage cache cleared after settings update')
 
-              await new Promise((resolve) => setTimeout(resolve, 1000))
-            } catch (injectError) {
-              console.log(
-                `❌ Failed to inject content script to tab ${tabId}:`,
-                injectError.message
-              )
-            }
-          }
+    if (
+      requestedSettings.blackout !== undefined &&
+      JSON.stringify(oldSettings.blackout) !==
+        JSON.stringify(requestedSettings.blackout)
+    ) {
+      await this.scheduleBlackoutAlarm()
+      await this.applyBlackoutState()
+    }
 
-          if (i === maxRetries - 1) {
-            console.log(
-              '🔄 All attempts failed - content script may not be available'
-            )
-          }
-        }
+    if (
+      requestedSettings.mode === 'friction' &&
+      oldSettings.mode !== 'friction'
+    ) {
+      const modeFlags = await storage.getFlags()
+      if (modeFlags.locked && !modeFlags.snoozed) {
+        console.log('🐢 Friction mode - lifting the daily lock')
+        await storage.updateFlags({
+          locked: false,
+          frozenTimeUsed: undefined,
+        })
+        timekeeper.isLocked = false
       }
-    } finally {
-      this.pendingMessages.delete(`${tabId}-${message.type}`)
     }
-  }
 
-  async togglePause() {
-    const now = Date.now()
+    if (
+      requestedSettings.sites !== undefined &&
+      JSON.stringify(oldSettings.sites) !==
+        JSON.stringify(requestedSettings.sites)
+    ) {
+      await siteTracker.attachToOpenTabs()
+    }
 
-    if (now - this.lastPauseToggle < 1000) {
-      console.log('⏸️ Ignoring rapid pause toggle')
-      return
+    if (
+      requestedSettings.sectionLimits !== undefined &&
+      JSON.stringify(oldSettings.sectionLimits) !==
+        JSON.stringify(requestedSettings.sectionLimits)
+    ) {
+      const lockedSections = timekeeper.getExceededSections(
+        requestedSettings.sectionLimits
+      )
+      console.log(
+        '🧭 Section limits changed - locked sections:',
+        lockedSections
+      )
+      await storage.updateFlags({ lockedSections })
     }
-    this.lastPauseToggle = now
 
-    if (this.pauseInProgress) {
-      console.log('⏸️ Pause operation already in progress, ignoring')
-      return
+    if (
+      requestedSettings.groups !== undefined &&
+      JSON.stringify(oldSettings.groups) !==
+        JSON.stringify(requestedSettings.groups)
+    ) {
+      const lockedGroups = timekeeper.getExceededGroups(
+        requestedSettings
+      )
+      console.log('🧺 Groups changed - locked groups:', lockedGroups)
+      await storage.updateFlags({ lockedGroups })
+      await siteTracker.attachToOpenTabs()
     }
-    this.pauseInProgress = true
 
-    try {
-      const flags = await storage.getFlags()
-      const newPausedState = !flags.pausedToday
+    if (storageUpdates[STORAGE_KEYS.FLAGS]?.locked) {
+      console.log(
+        '🎭 Triggering overlay for immediate lock from daily limit change'
+      )
 
-      console.log('⏸️ Toggling pause:', {
-        wasPaused: flags.pausedToday,
-        willBePaused: newPausedState,
-        timekeeperActive: timekeeper.isActive,
-        timekeeperRunning: !!timekeeper.tickInterval,
+      timekeeper.broadcastRealTimeUpdate({
+        type: 'STATUS_CHANGED',
+        locked: true,
+        usage: timekeeper.currentUsageMs,
+        timestamp: Date.now(),
       })
 
-      if (flags.pausedToday !== newPausedState) {
-        await storage.updateFlags({ pausedToday: newPausedState })
-      }
-
-      timekeeper.isPaused = newPausedState
+      setTimeout(async () => {
+        const tabs = await rulesEngine.getTabsToBlock()
 
-      if (newPausedState) {
-        console.log('⏸️ PAUSED - Stopping timekeeper and real-time updates')
+        console.log(
+          '🎭 Sending soft lock overlay to',
+          tabs.length,
+          'tabs'
+        )
 
-        const flags = await storage.getFlags()
-        if (flags.snoozed) {
-          console.log(
-            '⏸️ Pausing during snooze - ending snooze but allowing resume'
-          )
-          await storage.updateFlags({
-            snoozed: false,
-            locked: false,
-            pausedToday: true,
-          })
+        const freshSettings = await storage.getSettings()
+        let customImageData = null
+        if (
+          freshSettings.overlayCustomization?.enabled &&
+          freshSettings.overlayCustomization?.template === 'custom'
+        ) {
+          try {
+            customImageData = await storage.getCustomImage()
+          } catch (error) {
+            console.error(
+              '❌ Failed to get custom image for overlay:',
+              error
+            )
+          }
         }
 
-        this.tabsWithOverlays.clear()
-
-        const tabs = await chrome.tabs.query({
-          url: ['*://twitter.com/*', '*://x.com/*', '*://pro.x.com/*'],
-        })
+        console.log(
+          '🎭 Settings overlay customization:',
+          freshSettings.overlayCustomization
+        )
 
         for (const tab of tabs) {
-          await this.ensureContentScriptAndSendMessage(tab.id, {
-            type: 'HIDE_OVERLAY',
-          })
+          chrome.tabs
+            .sendMessage(tab.id, {
+              type: 'SHOW_SOFT_LOCK',
+              settings: freshSettings,
+              overlayCustomization: freshSettings.overlayCustomization,
+              customImageData: customImageData,
+            })
+            .catch((error) => {
+              console.log(
+                `Failed to show overlay on tab ${tab.id}:`,
+                error
+              )
+            })
         }
+      }, 100)
+    }
 
-        await timekeeper.stop()
-        timekeeper.stopPopupUpdates()
+    const wasEnabled = oldSettings.enabled
+    const isNowEnabled = requestedSettings.enabled
+
+    if (wasEnabled !== isNowEnabled) {
+      if (isNowEnabled) {
+        await this.refreshTwitterTabs()
 
         if (chrome.notifications) {
-          await this.createTransientNotification('extension_paused', {
+          await this.createTransientNotification('extension_enabled', {
             type: 'basic',
             iconUrl: 'assets/icon-48x48.png',
             title: 'Boundr',
-            message: 'Extension paused. X.com tabs are accessible.',
+            message: 'Extension enabled. Twitter tabs refreshed.',
           })
         }
       } else {
-        console.log('▶️ RESUMED - Updating tracking')
 
-        this.suppressStopUntil = Date.now() + 1200
 
-        await this.checkActiveTabs()
+        console.log('Extension disabled but keeping notifications active')
+      }
+    }
 
-        if (
-          timekeeper &&
-          timekeeper.popupConnections &&
-          timekeeper.popupConnections.size > 0
-        ) {
-          try {
-            const activeXTabs = await chrome.tabs.query({
-              url: ['*://twitter.com/*', '*://x.com/*', '*://pro.x.com/*'],
-              active: true,
-            })
-            if (activeXTabs.length > 0) {
-              if (!timekeeper.tickInterval) {
-                await timekeeper.start()
-              }
-              timekeeper.setActive(true)
-            }
-          } catch (_) {}
-        }
+    if (requestedSettings.enabled === false) {
+      const tabs = await chrome.tabs.query({
+        url: TWITTER_URL_PATTERNS,
+      })
 
-        if (this.isTracking) {
-          if (!timekeeper.tickInterval) {
-            await timekeeper.start()
-            console.log('▶️ Started timekeeper after resume')
-          }
+      tabs.forEach((tab) => {
+        chrome.tabs
+          .sendMessage(tab.id, {
+            type: 'EXTENSION_DISABLED',
+          })
+          .catch(() => {})
+      })
+    }
 
-          timekeeper.setActive(true)
-          console.log('▶️ Set timekeeper active after resume')
+    const tabs = await chrome.tabs.query({
+      url: TWITTER_URL_PATTERNS,
+    })
 
-          if (timekeeper.popupConnections.size > 0) {
-            timekeeper.startPopupUpdates()
-          }
-        }
+    tabs.forEach((tab) => {
+      chrome.tabs
+        .sendMessage(tab.id, {
+          type: 'SETTINGS_UPDATED',
+          settings: storageUpdates[STORAGE_KEYS.SETTINGS],
+        })
+        .catch(() => {})
+    })
 
-        if (chrome.notifications) {
-          await this.createTransientNotification('extension_resumed', {
-            type: 'basic',
-            iconUrl: 'assets/icon-48x48.png',
-            title: 'Boundr',
-            message: 'Extension resumed. Time tracking active.',
-          })
+    await this.syncNetworkBlock()
+    await this.updateTrackingImmediate()
+  }
+
+  // Passcode-guarded changes go through once the passcode checks out;
+  // otherwise they wait in the pending queue, either for the cooling-off
+  // delay or, as a commitment, until the next daily reset
+  async requestLoosening(change, passcode) {
+    const settings = await storage.getSettings()
+    const guard = settings.settingsGuard
+    if (!guard || !guard.enabled) return { approved: true }
+
+    if (guard.method === 'passcode' && settings.passcodeHash) {
+      if (!passcode) {
+        return {
+          approved: false,
+          needsPasscode: true,
+          labels: change.labels,
+          error: 'Passcode required',
         }
       }
-    } catch (error) {
-      console.error('Error in togglePause:', error)
-    } finally {
-      this.pauseInProgress = false
+
+      const result = await rules.verifyPasscode(passcode)
+      await storage.logPasscodeAttempt({
+        action: 'settings',
+        outcome: result.valid ? 'granted' : result.reason,
+      })
+      if (result.valid) return { approved: true }
+
+      return {
+        approved: false,
+        needsPasscode: true,
+        labels: change.labels,
+        error: result.lockedUntil
+          ? 'Too many wrong passcodes - try again later'
+          : 'Invalid passcode',
+      }
+    }
+
+    const applyAt =
+      guard.method === 'commitment'
+        ? new Date(await rulesEngine.getNextResetTime()).getTime()
+        : Date.now() + (guard.delayMin || 15) * 60 * 1000
+    const pending = await this.queuePendingChange({ ...change, applyAt })
+    return { approved: false, pending, labels: change.labels }
+  }
+
+  // Replacing or clearing a passcode takes the current one whether or not the
+  // settings lock is on. Returns the refusal to send back, or null
+  async checkCurrentPasscode(labels, passcode) {
+    const settings = await storage.getSettings()
+    if (!settings.passcodeHash) return null
+
+    if (!passcode) {
+      return {
+        success: false,
+        needsPasscode: true,
+        labels,
+        error: 'Passcode required',
+      }
+    }
+
+    const result = await rules.verifyPasscode(passcode)
+    await storage.logPasscodeAttempt({
+      action: 'passcode',
+      outcome: result.valid ? 'granted' : result.reason,
+    })
+    if (result.valid) return null
+
+    return {
+      success: false,
+      needsPasscode: true,
+      labels,
+      error: result.lockedUntil
+        ? 'Too many wrong passcodes - try again later'
+        : 'Invalid passcode',
+    }
+  }
+
+  async queuePendingChange(change) {
+    const pending = await storage.get(STORAGE_KEYS.PENDING_SETTINGS)
+    const entry = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      requestedAt: Date.now(),
+      ...change,
+    }
+    await storage.set(STORAGE_KEYS.PENDING_SETTINGS, {
+      ...pending,
+      changes: [...(pending.changes || []), entry],
+    })
+    await this.schedulePendingAlarm()
+    console.log('⏳ Loosening change queued:', entry.labels, entry.applyAt)
+    return entry
+  }
+
+  async cancelPendingChange(id) {
+    const pending = await storage.get(STORAGE_KEYS.PENDING_SETTINGS)
+    await storage.set(STORAGE_KEYS.PENDING_SETTINGS, {
+      ...pending,
+      changes: (pending.changes || []).filter((change) => change.id !== id),
+    })
+    await this.schedulePendingAlarm()
+  }
+
+  async schedulePendingAlarm() {
+    await chrome.alarms.clear('pending_settings')
+
+    const pending = await storage.get(STORAGE_KEYS.PENDING_SETTINGS)
+    const times = (pending.changes || [])
+      .map((change) => change.applyAt)
+      .filter(Boolean)
+    if (times.length > 0) {
+      chrome.alarms.create('pending_settings', { when: Math.min(...times) })
+    }
+  }
+
+  async applyPendingChanges() {
+    const pending = await storage.get(STORAGE_KEYS.PENDING_SETTINGS)
+    const now = Date.now()
+    const due = (pending.changes || []).filter(
+      (change) => change.applyAt && change.applyAt <= now
+    )
+    if (due.length === 0) return
+
+    await storage.set(STORAGE_KEYS.PENDING_SETTINGS, {
+      ...pending,
+      changes: pending.changes.filter((change) => !due.includes(change)),
+    })
+
+    for (const change of due) {
+      console.log('⏳ Applying queued change:', change.labels)
+      if (change.settings) {
+        await this.applySettingsUpdate(
+          await storage.getSettings(),
+          change.settings,
+          { resetUsage: change.resetUsage }
+        )
+      }
+      if (change.action === 'manual_reset') {
+        await this.manualReset()
+      } else if (change.action === 'clear_passcode') {
+        await rules.clearPasscode()
+      } else if (change.action === 'reset_settings') {
+        await storage.clear()
+      } else if (change.action === 'reset_escalation') {
+        await this.resetEscalation()
+      }
     }
+
+    await this.schedulePendingAlarm()
+    await this.refreshTwitterTabs()
+  }
+
+  async resetEscalation() {
+    await storage.set(STORAGE_KEYS.ESCALATION, {
+      ...DEFAULT_ESCALATION,
+      lastDateKey: (await storage.getEscalation()).lastDateKey,
+    })
+    await storage.updateFlags({ cooldownUntil: null })
+    console.log('📉 Escalation reset')
   }
 
   async manualReset() {
@@ -2392,24 +5332,23 @@ class TwitterTimeLimitService {
       await timekeeper.stop()
 
       timekeeper.currentUsageMs = 0
+      timekeeper.sectionMillis = {}
+      timekeeper.groupMillis = {}
       timekeeper.isInitialized = true
       timekeeper.isLocked = false
       timekeeper.isPaused = false
       timekeeper.lastTickTime = null
 
+      const previousFlags = await storage.getFlags()
+
       await Promise.all([
         storage.set('usageToday', {
           millisActive: 0,
+          ...timekeeper.getDayTotals(),
           lastTickAt: Date.now(),
           dateKey: new Date().toISOString().split('T')[0],
         }),
-        storage.set('flags', {
-          nudged: false,
-          locked: false,
-          pausedToday: false,
-          snoozed: false,
-          frozenTimeUsed: undefined,
-        }),
+        storage.set('flags', getUsageResetFlags(previousFlags)),
       ])
 
       storage.cache.clear()
@@ -2417,7 +5356,7 @@ class TwitterTimeLimitService {
       this.tabsWithOverlays.clear()
 
       const tabs = await chrome.tabs.query({
-        url: ['*://twitter.com/*', '*://x.com/*', '*://pro.x.com/*'],
+        url: TWITTER_URL_PATTERNS,
       })
 
       tabs.forEach((tab) => {
@@ -2429,13 +5368,14 @@ class TwitterTimeLimitService {
       })
 
       const settings = await storage.getSettings()
-      const fullLimit = settings.dailyLimitMin * 60 * 1000
+      const fullLimit =
+        (await storage.getEffectiveLimitMin(settings)) * 60 * 1000
 
       timekeeper.broadcastRealTimeUpdate({
         type: 'STATUS_CHANGED',
         isTracking: false,
         locked: false,
-        paused: false,
+        paused: Boolean(previousFlags.pausedToday),
         usage: 0,
         remaining: fullLimit,
         limit: fullLimit,
@@ -2484,20 +5424,44 @@ class TwitterTimeLimitService {
     const nextReset = await timekeeper.getNextResetTime()
 
     const activeXTabs = await chrome.tabs.query({
-      url: ['*://twitter.com/*', '*://x.com/*', '*://pro.x.com/*'],
+      url: TWITTER_URL_PATTERNS,
       active: true,
     })
 
+    const blackout = getBlackoutState(settings)
+
     const isCurrentlyTracking =
       activeXTabs.length > 0 &&
       settings.enabled &&
       !flags.pausedToday &&
-      !flags.locked
+      !flags.locked &&
+      !blackout.active
+
+    const effectiveMode = await storage.getEffectiveMode(settings)
 
     const statusResult = {
       settings,
+      effectiveMode,
+      dailyLimitMin: await storage.getEffectiveLimitMin(settings),
       usage,
+      routes: { ...timekeeper.routeMillis },
+      intention: getIntentionState(settings, flags),
+      friction:
+        effectiveMode === 'friction' && !flags.pausedToday
+          ? {
+              seconds: getFrictionDelaySec(
+                settings,
+                timeRemaining.used,
+                timeRemaining.limit
+              ),
+            }
+          : null,
+      sites: await siteTracker.getSitesStatus(settings),
+      groups: timekeeper.getGroupsStatus(settings, flags),
+      pause: getPauseAllowance(settings, flags),
+      snooze: await this.loadSnoozeOptions(settings, flags),
       flags,
+      blackout,
       timeRemaining,
       nextReset,
       isTracking: isCurrentlyTracking,
@@ -2509,25 +5473,25 @@ class TwitterTimeLimitService {
   }
 
   async getTimeRemainingWithRealTime(realTimeUsage, settings, flags) {
-    if (flags.pausedToday) {
-      return { remaining: settings.dailyLimitMin * 60 * 1000, used: 0 }
-    }
+    const week = await this.getWeekRemaining(realTimeUsage, settings)
 
     let effectiveLimitMillis
     if (flags.snoozed) {
-      effectiveLimitMillis = (settings.cooldownMin || 5) * 60 * 1000
+      effectiveLimitMillis = getSnoozeMillis(settings, flags)
     } else {
-      effectiveLimitMillis = settings.dailyLimitMin * 60 * 1000
+      effectiveLimitMillis =
+        (await storage.getEffectiveLimitMin(settings)) * 60 * 1000
     }
 
     const remaining = Math.max(0, effectiveLimitMillis - realTimeUsage)
 
-    if (flags.locked) {
+    if (flags.locked || flags.pausedToday) {
       return {
         remaining,
         used: realTimeUsage,
         limit: effectiveLimitMillis,
         frozen: true,
+        week,
       }
     }
 
@@ -2536,6 +5500,23 @@ class TwitterTimeLimitService {
       used: realTimeUsage,
       limit: effectiveLimitMillis,
       frozen: false,
+      week,
+    }
+  }
+
+  async getWeekRemaining(realTimeUsage, settings) {
+    const budget = settings.budget
+    if (!budget || budget.mode !== 'weekly') return null
+
+    const limit = budget.weeklyMin * 60 * 1000
+    const used =
+      (await storage.getWeekUsedMillis(settings)) +
+      Math.max(realTimeUsage, timekeeper.totalUsageMs)
+
+    return {
+      limit,
+      used,
+      remaining: Math.max(0, limit - used),
     }
   }
 
@@ -2544,7 +5525,7 @@ class TwitterTimeLimitService {
 
     try {
       const currentTabs = await chrome.tabs.query({
-        url: ['*://twitter.com/*', '*://x.com/*', '*://pro.x.com/*'],
+        url: TWITTER_URL_PATTERNS,
       })
 
       const currentTabIds = new Set(currentTabs.map((tab) => tab.id))
@@ -2569,7 +5550,7 @@ class TwitterTimeLimitService {
   async refreshTwitterTabs() {
     try {
       const tabs = await chrome.tabs.query({
-        url: ['*://twitter.com/*', '*://x.com/*', '*://pro.x.com/*'],
+        url: TWITTER_URL_PATTERNS,
       })
 
       for (const tab of tabs) {
@@ -2969,6 +5950,7 @@ const globalService = new TwitterTimeLimitService()
 chrome.alarms.onAlarm.addListener(async (alarm) => {
   if (alarm.name === 'daily_reset') {
     await storage.checkDailyReset()
+    await globalService.applyPendingChanges()
     await globalService.scheduleDailyReset()
   } else if (alarm.name === 'notificationCheck') {
     await globalService.checkNotifications()
@@ -2987,6 +5969,17 @@ chrome.alarms.onAlarm.addListener(async (alarm) => {
     }
   } else if (alarm.name === 'timekeeper_tick') {
     await timekeeper.tick()
+  } else if (alarm.name === 'blackout_boundary') {
+    await globalService.applyBlackoutState()
+    await globalService.scheduleBlackoutAlarm()
+  } else if (alarm.name === 'intention_end') {
+    await globalService.endIntention('expired')
+  } else if (alarm.name === 'snooze_end') {
+    await globalService.endSnooze()
+  } else if (alarm.name === 'pause_end') {
+    await globalService.endPause()
+  } else if (alarm.name === 'pending_settings') {
+    await globalService.applyPendingChanges()
   }
 })
 
@@ -3081,6 +6074,12 @@ chrome.tabs.onActivated.addListener(async (activeInfo) => {
 })
 
 chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+  try {
+    await siteTracker.handleTabUpdated(tabId, changeInfo, tab)
+  } catch (error) {
+    console.error('❌ Error in site tracker tab update:', error)
+  }
+
   if (changeInfo.status === 'complete' || changeInfo.url) {
     try {
       console.log('🔄 Tab updated:', {
@@ -3091,6 +6090,10 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
       })
 
       
+      if (changeInfo.url && tab.active && rulesEngine.isTwitterUrl(tab.url)) {
+        timekeeper.setRoute(changeInfo.url)
+      }
+
       if (
         changeInfo.status === 'complete' &&
         (tab.url?.includes('x.com') ||
@@ -0,0 +1,522 @@
+/**
+ * Usage dashboard logic
+ * Note: ES6 imports are not supported in extension pages, so we use chrome.runtime.sendMessage
+ */
+
+(() => {
+  const DISABLE_CONSOLE_LOGS = true;
+  if (DISABLE_CONSOLE_LOGS && typeof console !== 'undefined') {
+    const noop = function() {};
+    console.log = noop;
+    console.info = noop;
+    console.debug = noop;
+    console.trace = noop;
+  }
+})();
+
+const SVG_NS = 'http://www.w3.org/2000/svg'
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun']
+
+const ROUTE_LABELS = {
+  home: 'Home timeline',
+  explore: 'Search & Explore',
+  notifications: 'Notifications',
+  messages: 'Messages',
+  compose: 'Compose',
+  profile: 'Profiles',
+  thread: 'Threads',
+  spaces: 'Spaces',
+  lists: 'Lists',
+  other: 'Other',
+}
+
+const RANGES = {
+  daily: { count: 14, title: 'Last 14 days' },
+  weekly: { count: 12, title: 'Last 12 weeks' },
+  monthly: { count: 12, title: 'Last 12 months' },
+}
+
+class DashboardController {
+  constructor() {
+    this.history = []
+    this.settings = null
+    this.range = 'daily'
+    this.init()
+  }
+
+  async init() {
+    await this.applyTheme()
+
+    await this.loadHistory()
+
+    this.setupEventListeners()
+
+    this.setupThemeListener()
+
+    this.render()
+  }
+
+  async applyTheme() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_STATUS' })
+      if (!response || !response.settings) return
+
+      this.settings = response.settings
+      const theme = response.settings.theme
+      const html = document.documentElement
+
+      html.classList.remove('light', 'dark')
+
+      if (theme === 'light') {
+        html.classList.add('light')
+      } else if (theme === 'dark') {
+        html.classList.add('dark')
+      } else {
+        if (
+          window.matchMedia &&
+          window.matchMedia('(prefers-color-scheme: dark)').matches
+        ) {
+          html.classList.add('dark')
+        } else {
+          html.classList.add('light')
+        }
+      }
+    } catch (error) {
+      console.warn('Failed to apply theme:', error)
+    }
+  }
+
+  setupThemeListener() {
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      if (message.type === 'THEME_CHANGED') {
+        this.applyTheme()
+        sendResponse({ success: true })
+      }
+    })
+  }
+
+  async loadHistory() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_HISTORY' })
+      if (!response) return
+
+      const days = (response.history || []).filter(
+        (day) => !response.today || day.dateKey !== response.today.dateKey
+      )
+      if (response.today) {
+        days.push(response.today)
+      }
+      this.history = days
+      console.log('📚 Dashboard history loaded:', days.length, 'days')
+    } catch (error) {
+      console.error('Failed to load history:', error)
+    }
+  }
+
+  setupEventListeners() {
+    const tabs = document.querySelectorAll('.range-tab')
+    tabs.forEach((tab) => {
+      tab.addEventListener('click', () => {
+        this.range = tab.dataset.range
+        tabs.forEach((t) => t.classList.toggle('active', t === tab))
+        this.render()
+      })
+    })
+
+    document.addEventListener('visibilitychange', async () => {
+      if (document.visibilityState === 'visible') {
+        await this.loadHistory()
+        this.render()
+      }
+    })
+  }
+
+  render() {
+    const buckets = this.buildBuckets(this.range)
+
+    const summaryTitle = document.getElementById('summary-title')
+    if (summaryTitle) {
+      summaryTitle.textContent = RANGES[this.range].title
+    }
+
+    this.renderSummary(buckets)
+
+    this.renderBarChart(document.getElementById('usage-chart'), buckets, {
+      series: [{ key: 'millis', color: '#3b82f6' }],
+      limitKey: 'limitMillis',
+      formatValue: (value) => this.formatTimeCompact(value),
+    })
+
+    this.renderHeatmap(document.getElementById('heatmap'), buckets)
+
+    this.renderRouteBreakdown(
+      document.getElementById('route-breakdown'),
+      buckets
+    )
+
+    this.renderBarChart(document.getElementById('events-chart'), buckets, {
+      series: [
+        { key: 'locks', color: '#ef4444' },
+        { key: 'snoozes', color: '#f97316' },
+        { key: 'bypasses', color: '#8b5cf6' },
+      ],
+      formatValue: (value) => String(Math.round(value)),
+    })
+  }
+
+  renderSummary(buckets) {
+    const days = buckets.flatMap((bucket) => bucket.records)
+    const total = days.reduce((sum, day) => sum + this.getDayMillis(day), 0)
+    const sessions = days.reduce((sum, day) => sum + (day.sessions || 0), 0)
+    const underLimit = days.filter(
+      (day) =>
+        !day.locked && this.getDayMillis(day) < (day.limitMin || 0) * 60 * 1000
+    ).length
+
+    const values = {
+      'stat-total': this.formatTimeCompact(total),
+      'stat-average': this.formatTimeCompact(
+        days.length > 0 ? total / days.length : 0
+      ),
+      'stat-session': this.formatTimeCompact(
+        sessions > 0 ? total / sessions : 0
+      ),
+      'stat-under': `${underLimit}/${days.length}`,
+      'stat-locks': String(days.filter((day) => day.locked).length),
+      'stat-snoozes': String(days.filter((day) => day.snoozeUsed).length),
+      'stat-bypasses': String(days.filter((day) => day.bypassUsed).length),
+      'stat-pauses': String(days.filter((day) => day.pauseUsed).length),
+    }
+
+    Object.entries(values).forEach(([id, text]) => {
+      const el = document.getElementById(id)
+      if (el) el.textContent = text
+    })
+  }
+
+  buildBuckets(range) {
+    const byDate = new Map(this.history.map((day) => [day.dateKey, day]))
+    const todayKey = new Date().toISOString().split('T')[0]
+    const today = this.parseDateKey(todayKey)
+    const buckets = []
+
+    for (let i = RANGES[range].count - 1; i >= 0; i--) {
+      let start, end, label
+      if (range === 'daily') {
+        start = new Date(today.getTime() - i * DAY_MS)
+        end = start
+        label = `${start.getUTCDate()}/${start.getUTCMonth() + 1}`
+      } else if (range === 'weekly') {
+        const weekday = (today.getUTCDay() + 6) % 7
+        start = new Date(today.getTime() - (weekday + i * 7) * DAY_MS)
+        end = new Date(start.getTime() + 6 * DAY_MS)
+        label = `${start.getUTCDate()}/${start.getUTCMonth() + 1}`
+      } else {
+        start = new Date(
+          Date.UTC(today.getUTCFullYear(), today.getUTCMonth() - i, 1)
+        )
+        end = new Date(
+          Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 0)
+        )
+        label = start.toLocaleString([], { month: 'short', timeZone: 'UTC' })
+      }
+
+      const records = []
+      for (let t = start.getTime(); t <= end.getTime(); t += DAY_MS) {
+        const record = byDate.get(new Date(t).toISOString().split('T')[0])
+        if (record) records.push(record)
+      }
+
+      buckets.push({
+        label,
+        records,
+        millis: records.reduce((sum, day) => sum + this.getDayMillis(day), 0),
+        limitMillis: records.reduce(
+          (sum, day) => sum + (day.limitMin || 0) * 60 * 1000,
+          0
+        ),
+        locks: records.filter((day) => day.locked).length,
+        snoozes: records.filter((day) => day.snoozeUsed).length,
+        bypasses: records.filter((day) => day.bypassUsed).length,
+      })
+    }
+
+    return buckets
+  }
+
+  renderBarChart(container, buckets, { series, limitKey, formatValue }) {
+    if (!container) return
+    container.innerHTML = ''
+
+    const width = 720
+    const height = 220
+    const padding = { top: 12, right: 8, bottom: 24, left: 48 }
+    const plotWidth = width - padding.left - padding.right
+    const plotHeight = height - padding.top - padding.bottom
+
+    const maxValue = Math.max(
+      1,
+      ...buckets.flatMap((bucket) => [
+        ...series.map((s) => bucket[s.key]),
+        limitKey ? bucket[limitKey] : 0,
+      ])
+    )
+
+    const svg = document.createElementNS(SVG_NS, 'svg')
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`)
+    svg.setAttribute('preserveAspectRatio', 'none')
+    svg.classList.add('chart')
+
+    const y = (value) => padding.top + plotHeight - (value / maxValue) * plotHeight
+
+    for (let i = 0; i <= 4; i++) {
+      const value = (maxValue / 4) * i
+      svg.appendChild(
+        this.createSvgElement('line', {
+          x1: padding.left,
+          x2: width - padding.right,
+          y1: y(value),
+          y2: y(value),
+          class: 'grid-line',
+        })
+      )
+      const label = this.createSvgElement('text', {
+        x: padding.left - 6,
+        y: y(value) + 3,
+        'text-anchor': 'end',
+        class: 'axis-label',
+      })
+      label.textContent = formatValue(value)
+      svg.appendChild(label)
+    }
+
+    const slot = plotWidth / buckets.length
+    const barWidth = Math.max(2, (slot * 0.7) / series.length)
+
+    buckets.forEach((bucket, index) => {
+      const slotStart = padding.left + index * slot + slot * 0.15
+
+      series.forEach((s, seriesIndex) => {
+        const value = bucket[s.key]
+        const bar = this.createSvgElement('rect', {
+          x: slotStart + seriesIndex * barWidth,
+          y: y(value),
+          width: barWidth - 1,
+          height: Math.max(0, padding.top + plotHeight - y(value)),
+          rx: 2,
+          fill: s.color,
+        })
+        const title = document.createElementNS(SVG_NS, 'title')
+        title.textContent = `${bucket.label}: ${formatValue(value)}`
+        bar.appendChild(title)
+        svg.appendChild(bar)
+      })
+
+      if (limitKey && bucket[limitKey] > 0) {
+        svg.appendChild(
+          this.createSvgElement('line', {
+            x1: slotStart - 2,
+            x2: slotStart + barWidth * series.length + 1,
+            y1: y(bucket[limitKey]),
+            y2: y(bucket[limitKey]),
+            class: 'limit-line',
+          })
+        )
+      }
+
+      const label = this.createSvgElement('text', {
+        x: padding.left + index * slot + slot / 2,
+        y: height - 6,
+        'text-anchor': 'middle',
+        class: 'axis-label',
+      })
+      label.textContent = bucket.label
+      svg.appendChild(label)
+    })
+
+    container.appendChild(svg)
+  }
+
+  renderHeatmap(container, buckets) {
+    if (!container) return
+    container.innerHTML = ''
+
+    const grid = WEEKDAYS.map(() => new Array(24).fill(0))
+    buckets
+      .flatMap((bucket) => bucket.records)
+      .forEach((day) => {
+        Object.entries(day.slots || {}).forEach(([key, millis]) => {
+          const [weekday, hour] = key.split(':').map(Number)
+          grid[(weekday + 6) % 7][hour] += millis
+        })
+      })
+
+    const maxValue = Math.max(0, ...grid.flat())
+
+    const width = 720
+    const height = 200
+    const padding = { top: 4, right: 4, bottom: 18, left: 36 }
+    const cellWidth = (width - padding.left - padding.right) / 24
+    const cellHeight = (height - padding.top - padding.bottom) / 7
+
+    const svg = document.createElementNS(SVG_NS, 'svg')
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`)
+    svg.setAttribute('preserveAspectRatio', 'none')
+    svg.classList.add('heatmap')
+
+    grid.forEach((row, rowIndex) => {
+      const label = this.createSvgElement('text', {
+        x: padding.left - 6,
+        y: padding.top + rowIndex * cellHeight + cellHeight / 2 + 3,
+        'text-anchor': 'end',
+        class: 'axis-label',
+      })
+      label.textContent = WEEKDAYS[rowIndex]
+      svg.appendChild(label)
+
+      row.forEach((millis, hour) => {
+        const cell = this.createSvgElement('rect', {
+          x: padding.left + hour * cellWidth + 1,
+          y: padding.top + rowIndex * cellHeight + 1,
+          width: cellWidth - 2,
+          height: cellHeight - 2,
+          rx: 3,
+          class: millis > 0 ? 'heat-cell' : 'heat-cell-empty',
+        })
+        if (millis > 0) {
+          cell.setAttribute('fill-opacity', 0.15 + 0.85 * (millis / maxValue))
+        }
+        const title = document.createElementNS(SVG_NS, 'title')
+        title.textContent = `${WEEKDAYS[rowIndex]} ${this.formatHour(
+          hour
+        )}: ${this.formatTimeCompact(millis)}`
+        cell.appendChild(title)
+        svg.appendChild(cell)
+      })
+    })
+
+    for (let hour = 0; hour < 24; hour += 3) {
+      const label = this.createSvgElement('text', {
+        x: padding.left + hour * cellWidth + cellWidth / 2,
+        y: height - 4,
+        'text-anchor': 'middle',
+        class: 'axis-label',
+      })
+      label.textContent = this.formatHour(hour)
+      svg.appendChild(label)
+    }
+
+    container.appendChild(svg)
+
+    const worstHours = document.getElementById('worst-hours')
+    if (worstHours) {
+      const hourTotals = new Array(24)
+        .fill(0)
+        .map((_, hour) => ({
+          hour,
+          millis: grid.reduce((sum, row) => sum + row[hour], 0),
+        }))
+        .filter((entry) => entry.millis > 0)
+        .sort((a, b) => b.millis - a.millis)
+        .slice(0, 3)
+
+      worstHours.textContent =
+        hourTotals.length > 0
+          ? `Worst hours: ${hourTotals
+              .map(
+                (entry) =>
+                  `${this.formatHour(entry.hour)}–${this.formatHour(
+                    (entry.hour + 1) % 24
+                  )} (${this.formatTimeCompact(entry.millis)})`
+              )
+              .join(', ')}`
+          : 'No usage recorded yet'
+    }
+  }
+
+  renderRouteBreakdown(container, buckets) {
+    if (!container) return
+    container.innerHTML = ''
+
+    const totals = {}
+    buckets
+      .flatMap((bucket) => bucket.records)
+      .forEach((day) => {
+        Object.entries(day.routes || {}).forEach(([route, millis]) => {
+          totals[route] = (totals[route] || 0) + millis
+        })
+      })
+
+    const routes = Object.entries(totals).sort((a, b) => b[1] - a[1])
+    const total = routes.reduce((sum, [, millis]) => sum + millis, 0)
+
+    if (total === 0) {
+      container.innerHTML =
+        '<p class="text-sm text-gray-500">No section data recorded yet</p>'
+      return
+    }
+
+    routes.forEach(([route, millis]) => {
+      const percentage = Math.round((millis / total) * 100)
+      const row = document.createElement('div')
+      row.innerHTML = `
+        <div class="flex items-center justify-between text-sm mb-1">
+          <span>${ROUTE_LABELS[route] || route}</span>
+          <span class="text-gray-500">${this.formatTimeCompact(
+            millis
+          )} · ${percentage}%</span>
+        </div>
+        <div class="route-bar">
+          <div class="route-bar-fill" style="width: ${percentage}%"></div>
+        </div>
+      `
+      container.appendChild(row)
+    })
+  }
+
+  formatHour(hour) {
+    return `${hour.toString().padStart(2, '0')}:00`
+  }
+
+  createSvgElement(tag, attributes) {
+    const el = document.createElementNS(SVG_NS, tag)
+    Object.entries(attributes).forEach(([name, value]) => {
+      el.setAttribute(name, value)
+    })
+    return el
+  }
+
+  getDayMillis(day) {
+    return Math.max(day.totalMillis || 0, day.millisActive || 0)
+  }
+
+  parseDateKey(dateKey) {
+    return new Date(`${dateKey}T00:00:00Z`)
+  }
+
+  formatTimeCompact(milliseconds) {
+    const totalMinutes = Math.floor(milliseconds / 60000)
+    const hours = Math.floor(totalMinutes / 60)
+    const minutes = totalMinutes % 60
+
+    if (hours > 0) {
+      return minutes === 0 ? `${hours}h` : `${hours}h ${minutes}m`
+    } else if (totalMinutes > 0) {
+      return `${minutes}m`
+    } else {
+      return `${Math.floor(milliseconds / 1000)}s`
+    }
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  if (window.dashboardController) {
+    console.log('⚠️ DashboardController already exists, not creating duplicate')
+    return
+  }
+
+  console.log('✅ Creating DashboardController instance')
+  window.dashboardController = new DashboardController()
+})
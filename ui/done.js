@@ -0,0 +1,245 @@
+/**
+ * "Done for today" page that locked X tabs are redirected to
+ * Note: ES6 imports are not supported in extension pages, so we use chrome.runtime.sendMessage
+ */
+
+(() => {
+  const DISABLE_CONSOLE_LOGS = true;
+  if (DISABLE_CONSOLE_LOGS && typeof console !== 'undefined') {
+    const noop = function() {};
+    console.log = noop;
+    console.info = noop;
+    console.debug = noop;
+    console.trace = noop;
+  }
+})();
+
+const ROUTE_LABELS = {
+  home: 'Home timeline',
+  explore: 'Search & Explore',
+  notifications: 'Notifications',
+  messages: 'Messages',
+  compose: 'Compose',
+  profile: 'Profiles',
+  thread: 'Threads',
+  spaces: 'Spaces',
+  lists: 'Lists',
+  other: 'Other',
+}
+
+class DoneController {
+  constructor() {
+    this.status = null
+    this.saveTimeout = null
+    this.init()
+  }
+
+  async init() {
+    await this.loadStatus()
+
+    this.applyTheme()
+
+    await this.loadNote()
+
+    this.setupEventListeners()
+
+    this.render()
+  }
+
+  async loadStatus() {
+    try {
+      this.status = await chrome.runtime.sendMessage({ type: 'GET_STATUS' })
+    } catch (error) {
+      console.error('Failed to load status:', error)
+    }
+  }
+
+  applyTheme() {
+    if (!this.status || !this.status.settings) return
+
+    const theme = this.status.settings.theme
+    const html = document.documentElement
+    const prefersDark =
+      window.matchMedia &&
+      window.matchMedia('(prefers-color-scheme: dark)').matches
+
+    html.classList.remove('light', 'dark')
+    html.classList.add(
+      theme === 'dark' || (theme !== 'light' && prefersDark) ? 'dark' : 'light'
+    )
+  }
+
+  async loadNote() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'GET_DONE_NOTE',
+      })
+      document.getElementById('done-note').value =
+        (response && response.text) || ''
+    } catch (error) {
+      console.error('Failed to load note:', error)
+    }
+  }
+
+  setupEventListeners() {
+    document
+      .getElementById('done-snooze-buttons')
+      .addEventListener('click', (event) => {
+        const button = event.target.closest('[data-minutes]')
+        if (button) this.snooze(Number(button.dataset.minutes))
+      })
+    document
+      .getElementById('done-bypass-button')
+      .addEventListener('click', () => this.bypass())
+    document
+      .getElementById('done-passcode')
+      .addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') this.bypass()
+      })
+
+    const note = document.getElementById('done-note')
+    const noteStatus = document.getElementById('done-note-status')
+
+    note.addEventListener('input', () => {
+      noteStatus.textContent = 'Saving...'
+      clearTimeout(this.saveTimeout)
+      this.saveTimeout = setTimeout(async () => {
+        try {
+          await chrome.runtime.sendMessage({
+            type: 'SAVE_DONE_NOTE',
+            text: note.value,
+          })
+          noteStatus.textContent = 'Saved automatically'
+        } catch (error) {
+          console.error('Failed to save note:', error)
+          noteStatus.textContent = 'Could not save'
+        }
+      }, 500)
+    })
+  }
+
+  render() {
+    if (!this.status) return
+
+    const usage = this.status.usage || {}
+    const used =
+      (this.status.timeRemaining && this.status.timeRemaining.used) ||
+      usage.millisActive ||
+      0
+    const routes = Object.entries(this.status.routes || {}).sort(
+      (a, b) => b[1] - a[1]
+    )
+
+    document.getElementById('done-total').textContent =
+      this.formatTimeCompact(Math.max(used, usage.totalMillis || 0))
+    document.getElementById('done-sessions').textContent = usage.sessions || 0
+    document.getElementById('done-top-route').textContent = routes.length
+      ? ROUTE_LABELS[routes[0][0]] || routes[0][0]
+      : '-'
+
+    if (this.status.nextReset) {
+      const nextReset = new Date(this.status.nextReset).toLocaleTimeString([], {
+        hour: '2-digit',
+        minute: '2-digit',
+      })
+      document.getElementById('done-reset').textContent =
+        `X opens again at ${nextReset}`
+    }
+
+    this.renderEscape()
+  }
+
+  // The network block sends every new X page here, so a soft lock's snooze
+  // and passcode bypass have to be on offer here as well as on the overlay
+  renderEscape() {
+    const { effectiveMode, flags, settings, snooze } = this.status
+    if (effectiveMode !== 'softlock' || !flags || !flags.locked) return
+
+    const coolingOff = Boolean(
+      flags.cooldownUntil && flags.cooldownUntil > Date.now()
+    )
+    const durations =
+      snooze && snooze.remaining > 0 && !flags.snoozed ? snooze.durations : []
+    const canBypass = Boolean(settings.passcodeHash) && !coolingOff
+    if (durations.length === 0 && !canBypass) return
+
+    const snoozeButtons = document.getElementById('done-snooze-buttons')
+    snoozeButtons.innerHTML = durations
+      .map(
+        (minutes) =>
+          `<button class="btn btn-secondary" data-minutes="${minutes}">Snooze ${minutes}m</button>`
+      )
+      .join('')
+
+    document
+      .getElementById('done-bypass')
+      .classList.toggle('hidden', !canBypass)
+    document.getElementById('done-escape').classList.remove('hidden')
+  }
+
+  async snooze(minutes) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'SNOOZE_REQUEST',
+        minutes,
+      })
+      if (response && response.success === false) {
+        this.showEscapeStatus(response.error || 'Snooze not available')
+        return
+      }
+      this.returnToX()
+    } catch (error) {
+      console.error('Failed to snooze:', error)
+      this.showEscapeStatus('Snooze not available')
+    }
+  }
+
+  async bypass() {
+    const input = document.getElementById('done-passcode')
+    if (!input.value) return
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'BYPASS_REQUEST',
+        passcode: input.value,
+      })
+      input.value = ''
+      if (!response || !response.success) {
+        this.showEscapeStatus(
+          (response && response.error) || 'Bypass not available'
+        )
+        return
+      }
+      this.returnToX()
+    } catch (error) {
+      console.error('Failed to bypass:', error)
+      this.showEscapeStatus('Bypass not available')
+    }
+  }
+
+  showEscapeStatus(text) {
+    document.getElementById('done-escape-status').textContent = text
+  }
+
+  returnToX() {
+    window.location.replace('https://x.com/home')
+  }
+
+  formatTimeCompact(milliseconds) {
+    const totalMinutes = Math.floor(milliseconds / 60000)
+    const hours = Math.floor(totalMinutes / 60)
+    const minutes = totalMinutes % 60
+
+    if (hours > 0) {
+      return minutes === 0 ? `${hours}h` : `${hours}h ${minutes}m`
+    } else if (totalMinutes > 0) {
+      return `${minutes}m`
+    } else {
+      return `${Math.floor(milliseconds / 1000)}s`
+    }
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  window.doneController = new DoneController()
+})
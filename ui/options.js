@@ -3,6 +3,13 @@
  * Note: ES6 imports are not supported in extension pages, so we use chrome.runtime.sendMessage
  */
 
+const SITE_PRESETS = {
+  reddit: { name: "Reddit", domains: ["reddit.com"] },
+  youtube: { name: "YouTube", domains: ["youtube.com"] },
+  instagram: { name: "Instagram", domains: ["instagram.com"] },
+  hackernews: { name: "Hacker News", domains: ["news.ycombinator.com"] },
+};
+
 class OptionsController {
   constructor() {
     this.settings = null;
@@ -51,38 +58,969 @@ class OptionsController {
       dailyLimitMinutes.value = minutes;
     }
 
-    const resetHour = document.getElementById("reset-hour");
-    if (resetHour) {
-      const hour = this.settings.resetHourLocal.toString().padStart(2, "0");
-      resetHour.value = `${hour}:00`;
-    }
+    const resetHour = document.getElementById("reset-hour");
+    if (resetHour) {
+      const hour = this.settings.resetHourLocal.toString().padStart(2, "0");
+      resetHour.value = `${hour}:00`;
+    }
+
+    const modeRadios = document.querySelectorAll('input[name="mode"]');
+    modeRadios.forEach((radio) => {
+      radio.checked = radio.value === this.settings.mode;
+    });
+
+    const friction = this.settings.friction || {
+      startSeconds: 5,
+      fullSeconds: 30,
+    };
+    document.getElementById("friction-start-seconds").value =
+      friction.startSeconds;
+    document.getElementById("friction-full-seconds").value =
+      friction.fullSeconds;
+
+    const redirect = this.settings.redirect || { target: "done", url: "" };
+    document.querySelectorAll('input[name="redirect-target"]').forEach((radio) => {
+      radio.checked = radio.value === redirect.target;
+    });
+    document.getElementById("redirect-url").value = redirect.url || "";
+    this.toggleFrictionSettings();
+
+    const allowSnooze = document.getElementById("allow-snooze");
+    if (allowSnooze) {
+      allowSnooze.checked = this.settings.allowSnooze;
+    }
+
+    const themeRadios = document.querySelectorAll('input[name="theme"]');
+    themeRadios.forEach((radio) => {
+      radio.checked = radio.value === this.settings.theme;
+    });
+
+    const toneSelect = document.getElementById("tone-select");
+    if (toneSelect) {
+      toneSelect.value = this.settings.tone;
+    }
+
+    const pauseAllowanceMinutes = document.getElementById(
+      "pause-allowance-minutes"
+    );
+    if (pauseAllowanceMinutes) {
+      pauseAllowanceMinutes.value = this.settings.pauseAllowanceMin ?? 30;
+    }
+
+    this.populateOverlayCustomization();
+    this.populateSectionLimits();
+    this.populateSchedule();
+    this.populateBlackout();
+    this.populateNudgeStages();
+    this.populateUrlRules();
+    this.populateIntention();
+    this.populateEscalation();
+    this.populatePasscodeAudit();
+    this.populateSettingsGuard();
+    this.populateSnoozePolicy();
+    this.populateBudget();
+    this.populateAlternatives();
+    this.populateSites();
+    this.populateGroups();
+  }
+
+  populateGroups() {
+    const groupList = document.getElementById("group-list");
+    if (!groupList) return;
+
+    groupList.innerHTML = "";
+    (this.settings.groups || []).forEach((group) => {
+      groupList.appendChild(this.createGroupRow(group));
+    });
+  }
+
+  createGroupRow(group) {
+    const candidates = [
+      { id: "x", name: "X" },
+      ...(this.settings.sites || []).map(({ id, name }) => ({ id, name })),
+    ];
+
+    const row = document.createElement("div");
+    row.className = "group-row space-y-2";
+    row.dataset.groupId = group.id;
+    row.innerHTML = `
+      <div class="flex items-center gap-2">
+        <input type="text" class="input flex-1 group-name" placeholder="Social" />
+        <input
+          type="number"
+          min="1"
+          max="1440"
+          class="input w-20 text-center group-limit"
+          value="${group.dailyLimitMin}"
+        />
+        <span class="text-xs text-fg-secondary">min/day</span>
+        <button class="btn btn-ghost btn-sm group-remove">Remove</button>
+      </div>
+      <div class="flex gap-3" style="flex-wrap: wrap">
+        ${candidates
+          .map(
+            ({ id }) => `
+          <label class="flex items-center gap-1 text-sm">
+            <input type="checkbox" class="checkbox group-member" data-member="${id}" ${
+              (group.members || []).includes(id) ? "checked" : ""
+            } />
+            <span class="group-member-name"></span>
+          </label>
+        `
+          )
+          .join("")}
+      </div>
+    `;
+
+    row.querySelector(".group-name").value = group.name;
+    row.querySelectorAll(".group-member-name").forEach((label, index) => {
+      label.textContent = candidates[index].name;
+    });
+    row.querySelector(".group-remove").addEventListener("click", () => {
+      row.remove();
+    });
+
+    return row;
+  }
+
+  populateSites() {
+    const siteList = document.getElementById("site-list");
+    if (!siteList) return;
+
+    siteList.innerHTML = "";
+    (this.settings.sites || []).forEach((site) => {
+      siteList.appendChild(this.createSiteRow(site));
+    });
+  }
+
+  createSiteRow(site) {
+    const row = document.createElement("div");
+    row.className = "site-row space-y-2";
+    row.dataset.siteId = site.id;
+    row.dataset.name = site.name;
+    row.dataset.domains = site.domains.join(",");
+    row.innerHTML = `
+      <div class="flex items-center gap-3">
+        <input type="checkbox" class="checkbox site-enabled" ${
+          site.enabled ? "checked" : ""
+        } />
+        <span class="font-medium flex-1 site-name"></span>
+        <button class="btn btn-ghost btn-sm site-remove">Remove</button>
+      </div>
+      <div class="flex items-center gap-2" style="flex-wrap: wrap">
+        <input
+          type="number"
+          min="1"
+          max="1440"
+          class="input w-20 text-center site-limit"
+          value="${site.dailyLimitMin}"
+        />
+        <span class="text-xs text-fg-secondary">min/day</span>
+        <select class="select site-mode">
+          <option value="softlock">Soft lock</option>
+          <option value="close">Close tab</option>
+        </select>
+        <select class="select site-tone">
+          <option value="gentle">Gentle</option>
+          <option value="classic">Classic</option>
+          <option value="drill">Drill Sergeant</option>
+        </select>
+      </div>
+    `;
+
+    row.querySelector(".site-name").textContent = `${
+      site.name
+    } (${site.domains.join(", ")})`;
+    row.querySelector(".site-mode").value = site.mode || "softlock";
+    row.querySelector(".site-tone").value = site.tone || "classic";
+    row.querySelector(".site-remove").addEventListener("click", async () => {
+      row.remove();
+      try {
+        await chrome.permissions.remove({
+          origins: this.getSiteOrigins(site.domains),
+        });
+      } catch (error) {
+        console.error("Failed to release site permission:", error);
+      }
+    });
+
+    return row;
+  }
+
+  populateAlternatives() {
+    const alternatives = this.settings.alternatives || {
+      enabled: false,
+      domains: [],
+    };
+
+    const enableAlternatives = document.getElementById("enable-alternatives");
+    if (enableAlternatives) {
+      enableAlternatives.checked = alternatives.enabled;
+    }
+
+    const alternativeDomains = document.getElementById("alternative-domains");
+    if (alternativeDomains) {
+      alternativeDomains.value = (alternatives.domains || []).join("\n");
+    }
+
+    this.updateAlternativesPermission();
+  }
+
+  parseAlternativeDomains(text) {
+    const domains = text
+      .split(/[\n,]/)
+      .map((line) => this.normalizeDomain(line.replace(/#.*$/, "")))
+      .filter(
+        (domain) =>
+          /^[a-z0-9.-]+\.[a-z]{2,}$/.test(domain) &&
+          !["x.com", "twitter.com"].includes(domain)
+      );
+    return [...new Set(domains)];
+  }
+
+  async updateAlternativesPermission() {
+    const status = document.getElementById("alternatives-permission");
+    if (!status) return;
+
+    const domains = this.getAlternativesData().domains;
+    if (domains.length === 0) {
+      status.textContent = "";
+      return;
+    }
+
+    let granted = false;
+    try {
+      granted = await chrome.permissions.contains({
+        origins: this.getSiteOrigins(domains),
+      });
+    } catch (error) {
+      console.error("Failed to check alternatives permission:", error);
+    }
+    status.textContent = granted
+      ? "✓ Access granted"
+      : "Access not granted yet";
+  }
+
+  async requestAlternativesPermission() {
+    const domains = this.getAlternativesData().domains;
+    if (domains.length === 0) {
+      this.showMessage("Add at least one domain first", "error");
+      return false;
+    }
+
+    let granted = false;
+    try {
+      granted = await chrome.permissions.request({
+        origins: this.getSiteOrigins(domains),
+      });
+    } catch (error) {
+      console.error("Failed to request alternatives permission:", error);
+    }
+
+    if (!granted) {
+      this.showMessage("Permission for X alternatives was not granted", "error");
+    }
+    this.updateAlternativesPermission();
+    return granted;
+  }
+
+  // Accepts a JSON array of domains or a plain list, one per line
+  async importAlternatives(file) {
+    let imported = [];
+    try {
+      const text = await file.text();
+      let list = text;
+      try {
+        const parsed = JSON.parse(text);
+        if (Array.isArray(parsed)) list = parsed.join("\n");
+      } catch {}
+      imported = this.parseAlternativeDomains(list);
+    } catch (error) {
+      console.error("Failed to read alternatives file:", error);
+    }
+
+    if (imported.length === 0) {
+      this.showMessage("No domains found in that file", "error");
+      return;
+    }
+
+    const alternativeDomains = document.getElementById("alternative-domains");
+    const domains = [
+      ...new Set([...this.getAlternativesData().domains, ...imported]),
+    ];
+    alternativeDomains.value = domains.join("\n");
+    this.updateAlternativesPermission();
+    this.showMessage(
+      `Imported ${imported.length} domains - grant access and save to apply`,
+      "success"
+    );
+  }
+
+  getAlternativesData() {
+    const enableAlternatives = document.getElementById("enable-alternatives");
+    const alternativeDomains = document.getElementById("alternative-domains");
+
+    return {
+      enabled: enableAlternatives ? enableAlternatives.checked : false,
+      domains: alternativeDomains
+        ? this.parseAlternativeDomains(alternativeDomains.value)
+        : [],
+    };
+  }
+
+  getSiteOrigins(domains) {
+    return domains.flatMap((domain) => [
+      `*://${domain}/*`,
+      `*://*.${domain}/*`,
+    ]);
+  }
+
+  normalizeDomain(value) {
+    return value
+      .trim()
+      .toLowerCase()
+      .replace(/^[a-z]+:\/\//, "")
+      .replace(/\/.*$/, "")
+      .replace(/^www\./, "");
+  }
+
+  async addSite({ name, domains }) {
+    const siteList = document.getElementById("site-list");
+    if (!siteList || domains.length === 0) return;
+
+    if (siteList.querySelector(`[data-site-id="${domains[0]}"]`)) {
+      this.showMessage(`${name} is already in the list`, "error");
+      return;
+    }
+
+    if (
+      domains.some((domain) => ["x.com", "twitter.com"].includes(domain))
+    ) {
+      this.showMessage("X is covered by the daily limit above", "error");
+      return;
+    }
+
+    let granted = false;
+    try {
+      granted = await chrome.permissions.request({
+        origins: this.getSiteOrigins(domains),
+      });
+    } catch (error) {
+      console.error("Failed to request site permission:", error);
+    }
+
+    if (!granted) {
+      this.showMessage(`Permission for ${name} was not granted`, "error");
+      return;
+    }
+
+    siteList.appendChild(
+      this.createSiteRow({
+        id: domains[0],
+        name,
+        domains,
+        enabled: true,
+        dailyLimitMin: 30,
+        mode: "softlock",
+        tone: "classic",
+      })
+    );
+    this.showMessage(`${name} added - save to apply`, "success");
+  }
+
+  populateBudget() {
+    const budget = this.settings.budget || {
+      mode: "daily",
+      weeklyMin: 300,
+      maxPerDayMin: null,
+      weekStartDay: 1,
+    };
+
+    document.querySelectorAll('input[name="budget-mode"]').forEach((radio) => {
+      radio.checked = radio.value === budget.mode;
+    });
+
+    const weeklyBudgetHours = document.getElementById("weekly-budget-hours");
+    if (weeklyBudgetHours) {
+      weeklyBudgetHours.value = budget.weeklyMin / 60;
+    }
+
+    const weeklyMaxPerDay = document.getElementById("weekly-max-per-day");
+    if (weeklyMaxPerDay) {
+      weeklyMaxPerDay.value = budget.maxPerDayMin || "";
+    }
+
+    const weekStartDay = document.getElementById("week-start-day");
+    if (weekStartDay) {
+      weekStartDay.value = String(budget.weekStartDay);
+    }
+
+    this.toggleWeeklyBudgetSettings();
+  }
+
+  populateBlackout() {
+    const blackout = this.settings.blackout || { enabled: false, windows: [] };
+
+    const enableBlackout = document.getElementById("enable-blackout");
+    if (enableBlackout) {
+      enableBlackout.checked = blackout.enabled;
+      this.toggleBlackoutSettings();
+    }
+
+    const container = document.getElementById("blackout-windows");
+    if (container) {
+      container.innerHTML = "";
+      (blackout.windows || []).forEach((entry) => {
+        container.appendChild(this.createBlackoutWindowRow(entry));
+      });
+    }
+  }
+
+  async populateEscalation() {
+    const escalation = this.settings.escalation || {
+      enabled: false,
+      cooldownMin: 30,
+      streakDays: 3,
+      closeModeDays: 7,
+    };
+
+    const enableEscalation = document.getElementById("enable-escalation");
+    if (enableEscalation) {
+      enableEscalation.checked = escalation.enabled;
+      this.toggleEscalationSettings();
+    }
+
+    document.getElementById("escalation-cooldown").value =
+      escalation.cooldownMin;
+    document.getElementById("escalation-streak-days").value =
+      escalation.streakDays;
+    document.getElementById("escalation-close-days").value =
+      escalation.closeModeDays;
+
+    await this.updateEscalationStatus();
+  }
+
+  async updateEscalationStatus() {
+    const status = document.getElementById("escalation-status");
+    if (!status) return;
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: "GET_ESCALATION",
+      });
+      const state = response.escalation;
+
+      if (state.closeModeUntil && state.closeModeUntil > Date.now()) {
+        status.textContent = `Close Tab mode is on until ${new Date(
+          state.closeModeUntil
+        ).toLocaleDateString()}`;
+      } else if (state.streak > 0) {
+        status.textContent = `${state.streak} day${
+          state.streak === 1 ? "" : "s"
+        } in a row of snoozing or bypassing`;
+      } else {
+        status.textContent = "No escalation right now";
+      }
+    } catch (error) {
+      console.error("Failed to load escalation state:", error);
+      status.textContent = "";
+    }
+  }
+
+  async populatePasscodeAudit() {
+    const list = document.getElementById("passcode-audit");
+    const lockout = document.getElementById("passcode-lockout");
+    if (!list) return;
+
+    const outcomes = {
+      granted: "✓ Unlocked",
+      invalid: "Wrong passcode",
+      locked_out: "Refused - too many wrong passcodes",
+      cooling_off: "Refused - cooling off",
+      no_passcode: "Refused - no passcode set",
+    };
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: "GET_PASSCODE_AUDIT",
+      });
+      const entries = (response.audit.entries || []).slice(-5).reverse();
+
+      list.innerHTML = "";
+      entries.forEach((entry) => {
+        const item = document.createElement("li");
+        item.textContent = `${new Date(entry.at).toLocaleString()} - ${
+          outcomes[entry.outcome] || entry.outcome
+        }`;
+        list.appendChild(item);
+      });
+      if (entries.length === 0) {
+        list.innerHTML = "<li>None yet</li>";
+      }
+
+      const lockedUntil = response.guard.lockedUntil;
+      if (lockout) {
+        lockout.textContent =
+          lockedUntil && lockedUntil > Date.now()
+            ? `Passcode locked until ${new Date(
+                lockedUntil
+              ).toLocaleTimeString()} after ${
+                response.guard.failedAttempts
+              } wrong attempts`
+            : "";
+      }
+    } catch (error) {
+      console.error("Failed to load bypass attempts:", error);
+    }
+  }
+
+  populateSettingsGuard() {
+    const settingsGuard = this.settings.settingsGuard || {
+      enabled: false,
+      method: "passcode",
+      delayMin: 15,
+    };
+
+    const enableSettingsGuard = document.getElementById(
+      "enable-settings-guard"
+    );
+    if (enableSettingsGuard) {
+      enableSettingsGuard.checked = settingsGuard.enabled;
+    }
+
+    document
+      .querySelectorAll('input[name="settings-guard-method"]')
+      .forEach((radio) => {
+        radio.checked = radio.value === settingsGuard.method;
+      });
+    document.getElementById("settings-guard-delay").value =
+      settingsGuard.delayMin || 15;
+
+    this.toggleSettingsGuardSettings();
+    this.updatePendingSettings();
+  }
+
+  toggleSettingsGuardSettings() {
+    const enableSettingsGuard = document.getElementById(
+      "enable-settings-guard"
+    );
+    const guardSettings = document.getElementById("settings-guard-settings");
+
+    if (enableSettingsGuard && guardSettings) {
+      guardSettings.style.display = enableSettingsGuard.checked
+        ? "block"
+        : "none";
+    }
+  }
+
+  populateSnoozePolicy() {
+    const snoozePolicy = this.settings.snoozePolicy || {
+      perDay: 1,
+      durations: [this.settings.cooldownMin || 5],
+      shrinkPercent: 0,
+      earn: { enabled: false, days: 3 },
+    };
+
+    document.getElementById("snooze-per-day").value = snoozePolicy.perDay ?? 1;
+    document.getElementById("snooze-durations").value =
+      snoozePolicy.durations.join(", ");
+    document.getElementById("snooze-shrink").value =
+      snoozePolicy.shrinkPercent || 0;
+    document.getElementById("enable-snooze-earn").checked =
+      snoozePolicy.earn.enabled;
+    document.getElementById("snooze-earn-days").value =
+      snoozePolicy.earn.days || 3;
+  }
+
+  getSnoozePolicyData() {
+    const readNumber = (id, fallback, min, max) => {
+      const value = parseInt(document.getElementById(id).value);
+      return Math.min(Math.max(isNaN(value) ? fallback : value, min), max);
+    };
+    const durations = document
+      .getElementById("snooze-durations")
+      .value.split(/[\s,]+/)
+      .map((value) => parseInt(value))
+      .filter((value) => value > 0);
+
+    return {
+      perDay: readNumber("snooze-per-day", 1, 0, 10),
+      durations: [...new Set(durations)].sort((a, b) => a - b),
+      shrinkPercent: readNumber("snooze-shrink", 0, 0, 90),
+      earn: {
+        enabled: document.getElementById("enable-snooze-earn").checked,
+        days: readNumber("snooze-earn-days", 3, 1, 14),
+      },
+    };
+  }
+
+  getSettingsGuardData() {
+    const enableSettingsGuard = document.getElementById(
+      "enable-settings-guard"
+    );
+    const method = document.querySelector(
+      'input[name="settings-guard-method"]:checked'
+    );
+    const delayMin = parseInt(
+      document.getElementById("settings-guard-delay").value
+    );
+
+    return {
+      enabled: enableSettingsGuard ? enableSettingsGuard.checked : false,
+      method: method ? method.value : "passcode",
+      delayMin: Math.min(Math.max(delayMin || 15, 1), 1440),
+    };
+  }
+
+  async updatePendingSettings() {
+    const list = document.getElementById("pending-settings");
+    if (!list) return;
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: "GET_PENDING_SETTINGS",
+      });
+      const changes = (response && response.changes) || [];
+
+      list.innerHTML = "";
+      if (changes.length === 0) {
+        list.innerHTML =
+          '<p class="text-xs text-fg-secondary">Nothing waiting</p>';
+        return;
+      }
+
+      changes.forEach((change) => {
+        const row = document.createElement("div");
+        row.className = "flex items-center gap-2";
+        row.innerHTML = `
+          <span class="text-sm flex-1"></span>
+          <span class="text-xs text-fg-secondary"></span>
+          <button class="btn btn-ghost btn-sm">Cancel</button>
+        `;
+        row.querySelector(".flex-1").textContent = change.labels.join(", ");
+        row.querySelector(".text-xs").textContent = `applies ${new Date(
+          change.applyAt
+        ).toLocaleString()}`;
+        row.querySelector("button").addEventListener("click", async () => {
+          await chrome.runtime.sendMessage({
+            type: "CANCEL_PENDING_SETTING",
+            id: change.id,
+          });
+          this.updatePendingSettings();
+        });
+        list.appendChild(row);
+      });
+    } catch (error) {
+      console.error("Failed to load pending changes:", error);
+    }
+  }
+
+  // Asks once for the passcode when the settings lock wants it, then
+  // reports whether the change applied, is queued or was refused
+  async sendGuardedMessage(message, passcodeField = "passcode") {
+    let response = await chrome.runtime.sendMessage(message);
+
+    if (response && response.needsPasscode) {
+      const passcode = prompt(
+        `Enter your passcode to ${response.labels.join(", ").toLowerCase()}:`
+      );
+      if (passcode) {
+        response = await chrome.runtime.sendMessage({
+          ...message,
+          [passcodeField]: passcode,
+        });
+      }
+    }
+
+    if (response && response.pending) {
+      this.showMessage(
+        `${response.pending.labels.join(", ")} will apply ${new Date(
+          response.pending.applyAt
+        ).toLocaleString()}`,
+        "success"
+      );
+      this.updatePendingSettings();
+    } else if (response && response.needsPasscode) {
+      this.showMessage(
+        `${response.error || "Passcode required"} - ${response.labels.join(
+          ", "
+        )} not applied`,
+        "error"
+      );
+    }
+    return response;
+  }
+
+  async resetEscalation() {
+    const passcodeInput = document.getElementById("escalation-reset-passcode");
+
+    try {
+      const response = await this.sendGuardedMessage({
+        type: "RESET_ESCALATION",
+        passcode: passcodeInput.value,
+      });
+
+      if (response && response.success) {
+        passcodeInput.value = "";
+        this.showMessage("Escalation reset", "success");
+        await this.updateEscalationStatus();
+      } else if (response && (response.pending || response.needsPasscode)) {
+        passcodeInput.value = "";
+      } else {
+        this.showMessage(
+          (response && response.error) || "Failed to reset escalation",
+          "error"
+        );
+      }
+    } catch (error) {
+      console.error("Failed to reset escalation:", error);
+      this.showMessage("Failed to reset escalation", "error");
+    }
+  }
+
+  populateIntention() {
+    const intention = this.settings.intention || {
+      enabled: false,
+      defaultMinutes: 10,
+    };
+
+    const enableIntention = document.getElementById("enable-intention");
+    if (enableIntention) {
+      enableIntention.checked = intention.enabled;
+    }
+
+    const defaultMinutes = document.getElementById("intention-default-minutes");
+    if (defaultMinutes) {
+      defaultMinutes.value = intention.defaultMinutes || 10;
+    }
+  }
+
+  populateUrlRules() {
+    const urlRules = this.settings.urlRules || { enabled: false, rules: [] };
+
+    const enableUrlRules = document.getElementById("enable-url-rules");
+    if (enableUrlRules) {
+      enableUrlRules.checked = urlRules.enabled;
+      this.toggleUrlRuleSettings();
+    }
+
+    const container = document.getElementById("url-rules");
+    if (container) {
+      container.innerHTML = "";
+      (urlRules.rules || []).forEach((rule) => {
+        container.appendChild(this.createUrlRuleRow(rule));
+      });
+    }
+  }
+
+  createUrlRuleRow(rule) {
+    const row = document.createElement("div");
+    row.className = "url-rule flex items-center gap-2";
+    row.innerHTML = `
+      <select class="select url-rule-action">
+        <option value="allow">Allow</option>
+        <option value="block">Block</option>
+      </select>
+      <select class="select url-rule-kind">
+        <option value="glob">Pattern</option>
+        <option value="regex">Regex</option>
+      </select>
+      <input type="text" class="input flex-1 url-rule-pattern" placeholder="x.com/i/bookmarks" />
+      <button class="btn btn-ghost btn-sm url-rule-remove">Remove</button>
+    `;
+
+    row.querySelector(".url-rule-action").value = rule.action || "allow";
+    row.querySelector(".url-rule-kind").value = rule.kind || "glob";
+    row.querySelector(".url-rule-pattern").value = rule.pattern || "";
+    row.querySelector(".url-rule-remove").addEventListener("click", () => {
+      row.remove();
+    });
+
+    return row;
+  }
+
+  async testUrlRule() {
+    const input = document.getElementById("url-rule-test-input");
+    const result = document.getElementById("url-rule-test-result");
+    if (!input || !result) return;
+
+    const url = input.value.trim();
+    if (!url) {
+      result.textContent = "";
+      return;
+    }
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: "TEST_URL_RULE",
+        url: /^[a-z]+:\/\//i.test(url) ? url : `https://${url}`,
+        urlRules: this.getUrlRulesData(),
+      });
+
+      if (!response || !response.target) {
+        result.textContent = "That doesn't look like a URL";
+      } else if (!response.match) {
+        result.textContent = `No rule matches ${response.target} - normal limits apply`;
+      } else {
+        const { index, rule } = response.match;
+        result.textContent = `Rule ${index + 1} matches ${response.target}: ${
+          rule.action === "allow" ? "always allowed" : "always blocked"
+        } by ${rule.pattern}`;
+      }
+    } catch (error) {
+      console.error("Failed to test URL rule:", error);
+      result.textContent = "Couldn't test the URL";
+    }
+  }
+
+  createBlackoutWindowRow(entry) {
+    const days = [
+      [1, "Mon"],
+      [2, "Tue"],
+      [3, "Wed"],
+      [4, "Thu"],
+      [5, "Fri"],
+      [6, "Sat"],
+      [0, "Sun"],
+    ];
+
+    const row = document.createElement("div");
+    row.className = "blackout-window space-y-2";
+    row.innerHTML = `
+      <div class="flex items-center gap-2">
+        <input type="time" class="input w-32 blackout-start" value="${entry.start}" />
+        <span class="text-gray-500 dark:text-gray-400">to</span>
+        <input type="time" class="input w-32 blackout-end" value="${entry.end}" />
+        <button class="btn btn-ghost btn-sm blackout-remove">Remove</button>
+      </div>
+      <div class="flex gap-3" style="flex-wrap: wrap">
+        ${days
+          .map(
+            ([day, label]) => `
+          <label class="flex items-center gap-1 text-sm">
+            <input type="checkbox" class="checkbox blackout-day" data-day="${day}" ${
+              (entry.days || []).includes(day) ? "checked" : ""
+            } />
+            ${label}
+          </label>
+        `
+          )
+          .join("")}
+      </div>
+    `;
+
+    row.querySelector(".blackout-remove").addEventListener("click", () => {
+      row.remove();
+    });
+
+    return row;
+  }
+
+  populateNudgeStages() {
+    const nudges = this.settings.nudges || {
+      stages: [{ unit: "percent", value: 80, channels: ["toast"] }],
+    };
+
+    const enableBadge = document.getElementById("enable-badge");
+    if (enableBadge) {
+      enableBadge.checked = (this.settings.badge || { enabled: true }).enabled;
+    }
+
+    const container = document.getElementById("nudge-stages");
+    if (container) {
+      container.innerHTML = "";
+      nudges.stages.forEach((stage) => {
+        container.appendChild(this.createNudgeStageRow(stage));
+      });
+    }
+  }
+
+  createNudgeStageRow(stage) {
+    const channels = [
+      ["notification", "System notification"],
+      ["toast", "Toast on X"],
+      ["badge", "Toolbar badge"],
+      ["sound", "Sound"],
+    ];
+
+    const row = document.createElement("div");
+    row.className = "nudge-stage space-y-2";
+    row.innerHTML = `
+      <div class="flex items-center gap-2">
+        <input type="number" class="input w-20 text-center nudge-value" min="1" max="240" value="${stage.value}" />
+        <select class="select nudge-unit">
+          <option value="percent" ${
+            stage.unit === "percent" ? "selected" : ""
+          }>% of the limit used</option>
+          <option value="minutes" ${
+            stage.unit === "minutes" ? "selected" : ""
+          }>minutes left</option>
+        </select>
+        <button class="btn btn-ghost btn-sm nudge-remove">Remove</button>
+      </div>
+      <div class="flex gap-3" style="flex-wrap: wrap">
+        ${channels
+          .map(
+            ([channel, label]) => `
+          <label class="flex items-center gap-1 text-sm">
+            <input type="checkbox" class="checkbox nudge-channel" data-channel="${channel}" ${
+              (stage.channels || []).includes(channel) ? "checked" : ""
+            } />
+            ${label}
+          </label>
+        `
+          )
+          .join("")}
+      </div>
+    `;
 
-    const modeRadios = document.querySelectorAll('input[name="mode"]');
-    modeRadios.forEach((radio) => {
-      radio.checked = radio.value === this.settings.mode;
+    row.querySelector(".nudge-remove").addEventListener("click", () => {
+      row.remove();
     });
 
-    const allowSnooze = document.getElementById("allow-snooze");
-    if (allowSnooze) {
-      allowSnooze.checked = this.settings.allowSnooze;
+    return row;
+  }
+
+  populateSchedule() {
+    const schedule = this.settings.schedule || { enabled: false, days: [] };
+
+    const enableSchedule = document.getElementById("enable-schedule");
+    if (enableSchedule) {
+      enableSchedule.checked = schedule.enabled;
+      this.toggleScheduleSettings();
     }
 
-    const themeRadios = document.querySelectorAll('input[name="theme"]');
-    themeRadios.forEach((radio) => {
-      radio.checked = radio.value === this.settings.theme;
+    document.querySelectorAll(".schedule-row").forEach((row) => {
+      const limit = (schedule.days || [])[parseInt(row.dataset.day)];
+      row.querySelector(".schedule-minutes").value =
+        typeof limit === "number" ? limit : "";
     });
+  }
 
-    const toneSelect = document.getElementById("tone-select");
-    if (toneSelect) {
-      toneSelect.value = this.settings.tone;
-    }
+  populateSectionLimits() {
+    const sectionLimits = this.settings.sectionLimits || {
+      enabled: false,
+      limits: {},
+      exempt: ["messages", "compose"],
+    };
 
-    const cooldownMinutes = document.getElementById("cooldown-minutes");
-    if (cooldownMinutes) {
-      cooldownMinutes.value = this.settings.cooldownMin || 5;
+    const enableSectionLimits = document.getElementById(
+      "enable-section-limits"
+    );
+    if (enableSectionLimits) {
+      enableSectionLimits.checked = sectionLimits.enabled;
+      this.toggleSectionLimitSettings();
     }
 
-    this.populateOverlayCustomization();
+    document.querySelectorAll(".section-limit-row").forEach((row) => {
+      const section = row.dataset.section;
+      const limit = (sectionLimits.limits || {})[section];
+      row.querySelector(".section-limit-minutes").value =
+        typeof limit === "number" ? limit : "";
+      row.querySelector(".section-limit-exempt").checked = (
+        sectionLimits.exempt || []
+      ).includes(section);
+    });
   }
 
   populateOverlayCustomization() {
@@ -172,7 +1110,6 @@ class OptionsController {
 
     const resetHour = document.getElementById("reset-hour");
     const toneSelect = document.getElementById("tone-select");
-    const cooldownMinutes = document.getElementById("cooldown-minutes");
 
     const themeRadios = document.querySelectorAll('input[name="theme"]');
     themeRadios.forEach((radio) => {
@@ -211,12 +1148,14 @@ class OptionsController {
         const passcode = document.getElementById("passcode").value;
         if (passcode) {
           try {
-            await chrome.runtime.sendMessage({
-              type: "SET_PASSCODE",
-              passcode,
-            });
+            const response = await this.sendGuardedMessage(
+              { type: "SET_PASSCODE", passcode },
+              "currentPasscode"
+            );
             document.getElementById("passcode").value = "";
-            this.showMessage("Passcode set successfully", "success");
+            if (response && response.success) {
+              this.showMessage("Passcode set successfully", "success");
+            }
           } catch (error) {
             this.showMessage("Failed to set passcode", "error");
           }
@@ -226,6 +1165,31 @@ class OptionsController {
       });
     }
 
+    const clearPasscode = document.getElementById("clear-passcode");
+    if (clearPasscode) {
+      clearPasscode.addEventListener("click", async () => {
+        try {
+          const response = await this.sendGuardedMessage({
+            type: "CLEAR_PASSCODE",
+          });
+          if (response && response.success) {
+            this.showMessage("Passcode cleared", "success");
+          }
+        } catch (error) {
+          this.showMessage("Failed to clear passcode", "error");
+        }
+      });
+    }
+
+    const enableSettingsGuard = document.getElementById(
+      "enable-settings-guard"
+    );
+    if (enableSettingsGuard) {
+      enableSettingsGuard.addEventListener("change", () => {
+        this.toggleSettingsGuardSettings();
+      });
+    }
+
     const saveSettings = document.getElementById("save-settings");
     if (saveSettings) {
       if (saveSettings._hasListener) {
@@ -264,6 +1228,181 @@ class OptionsController {
     }
 
     this.setupOverlayCustomizationListeners();
+
+    const enableSchedule = document.getElementById("enable-schedule");
+    if (enableSchedule) {
+      enableSchedule.addEventListener("change", () => {
+        this.toggleScheduleSettings();
+      });
+    }
+
+    document.querySelectorAll('input[name="budget-mode"]').forEach((radio) => {
+      radio.addEventListener("change", () => {
+        this.toggleWeeklyBudgetSettings();
+      });
+    });
+
+    const enableBlackout = document.getElementById("enable-blackout");
+    if (enableBlackout) {
+      enableBlackout.addEventListener("change", () => {
+        this.toggleBlackoutSettings();
+      });
+    }
+
+    document.querySelectorAll('input[name="mode"]').forEach((radio) => {
+      radio.addEventListener("change", () => {
+        this.toggleFrictionSettings();
+      });
+    });
+
+    const enableEscalation = document.getElementById("enable-escalation");
+    if (enableEscalation) {
+      enableEscalation.addEventListener("change", () => {
+        this.toggleEscalationSettings();
+      });
+    }
+
+    const resetEscalation = document.getElementById("reset-escalation");
+    if (resetEscalation) {
+      resetEscalation.addEventListener("click", () => {
+        this.resetEscalation();
+      });
+    }
+
+    const enableUrlRules = document.getElementById("enable-url-rules");
+    if (enableUrlRules) {
+      enableUrlRules.addEventListener("change", () => {
+        this.toggleUrlRuleSettings();
+      });
+    }
+
+    const addUrlRule = document.getElementById("add-url-rule");
+    if (addUrlRule) {
+      addUrlRule.addEventListener("click", () => {
+        document
+          .getElementById("url-rules")
+          .appendChild(
+            this.createUrlRuleRow({ action: "allow", kind: "glob", pattern: "" })
+          );
+      });
+    }
+
+    const testUrlRule = document.getElementById("url-rule-test");
+    if (testUrlRule) {
+      testUrlRule.addEventListener("click", () => {
+        this.testUrlRule();
+      });
+    }
+
+    const enableAlternatives = document.getElementById("enable-alternatives");
+    if (enableAlternatives) {
+      enableAlternatives.addEventListener("change", async () => {
+        if (
+          enableAlternatives.checked &&
+          !(await this.requestAlternativesPermission())
+        ) {
+          enableAlternatives.checked = false;
+        }
+      });
+    }
+
+    const grantAlternatives = document.getElementById("grant-alternatives");
+    if (grantAlternatives) {
+      grantAlternatives.addEventListener("click", () => {
+        this.requestAlternativesPermission();
+      });
+    }
+
+    const alternativesFile = document.getElementById("alternatives-file");
+    const importAlternatives = document.getElementById("import-alternatives");
+    if (importAlternatives && alternativesFile) {
+      importAlternatives.addEventListener("click", () => {
+        alternativesFile.click();
+      });
+      alternativesFile.addEventListener("change", () => {
+        if (alternativesFile.files.length > 0) {
+          this.importAlternatives(alternativesFile.files[0]);
+        }
+        alternativesFile.value = "";
+      });
+    }
+
+    const alternativeDomains = document.getElementById("alternative-domains");
+    if (alternativeDomains) {
+      alternativeDomains.addEventListener("change", () => {
+        this.updateAlternativesPermission();
+      });
+    }
+
+    document.querySelectorAll(".site-preset").forEach((button) => {
+      button.addEventListener("click", () => {
+        this.addSite(SITE_PRESETS[button.dataset.preset]);
+      });
+    });
+
+    const addCustomSite = document.getElementById("add-custom-site");
+    if (addCustomSite) {
+      addCustomSite.addEventListener("click", () => {
+        const input = document.getElementById("custom-site-domain");
+        const domain = this.normalizeDomain(input.value);
+        if (!/^[a-z0-9.-]+\.[a-z]{2,}$/.test(domain)) {
+          this.showMessage("Enter a domain like example.com", "error");
+          return;
+        }
+        input.value = "";
+        this.addSite({ name: domain, domains: [domain] });
+      });
+    }
+
+    const addGroup = document.getElementById("add-group");
+    if (addGroup) {
+      addGroup.addEventListener("click", () => {
+        const groupList = document.getElementById("group-list");
+        groupList.appendChild(
+          this.createGroupRow({
+            id: `group-${Date.now()}`,
+            name: "Social",
+            members: ["x"],
+            dailyLimitMin: 60,
+          })
+        );
+      });
+    }
+
+    const addNudgeStage = document.getElementById("add-nudge-stage");
+    if (addNudgeStage) {
+      addNudgeStage.addEventListener("click", () => {
+        document.getElementById("nudge-stages").appendChild(
+          this.createNudgeStageRow({
+            unit: "minutes",
+            value: 5,
+            channels: ["notification", "toast"],
+          })
+        );
+      });
+    }
+
+    const addBlackoutWindow = document.getElementById("add-blackout-window");
+    if (addBlackoutWindow) {
+      addBlackoutWindow.addEventListener("click", () => {
+        document.getElementById("blackout-windows").appendChild(
+          this.createBlackoutWindowRow({
+            days: [1, 2, 3, 4, 5],
+            start: "09:00",
+            end: "17:00",
+          })
+        );
+      });
+    }
+
+    const enableSectionLimits = document.getElementById(
+      "enable-section-limits"
+    );
+    if (enableSectionLimits) {
+      enableSectionLimits.addEventListener("change", () => {
+        this.toggleSectionLimitSettings();
+      });
+    }
   }
 
   setupNotificationListeners() {
@@ -327,6 +1466,92 @@ class OptionsController {
     }
   }
 
+  toggleEscalationSettings() {
+    const enableEscalation = document.getElementById("enable-escalation");
+    const escalationSettings = document.getElementById("escalation-settings");
+
+    if (enableEscalation && escalationSettings) {
+      escalationSettings.style.display = enableEscalation.checked
+        ? "block"
+        : "none";
+    }
+  }
+
+  toggleFrictionSettings() {
+    const mode = document.querySelector('input[name="mode"]:checked');
+    const frictionSettings = document.getElementById("friction-settings");
+    const redirectSettings = document.getElementById("redirect-settings");
+
+    if (mode && frictionSettings) {
+      frictionSettings.style.display =
+        mode.value === "friction" ? "block" : "none";
+    }
+    if (mode && redirectSettings) {
+      redirectSettings.style.display =
+        mode.value === "redirect" ? "block" : "none";
+    }
+  }
+
+  toggleWeeklyBudgetSettings() {
+    const budgetMode = document.querySelector(
+      'input[name="budget-mode"]:checked'
+    );
+    const weeklyBudgetSettings = document.getElementById(
+      "weekly-budget-settings"
+    );
+
+    if (budgetMode && weeklyBudgetSettings) {
+      weeklyBudgetSettings.style.display =
+        budgetMode.value === "weekly" ? "block" : "none";
+    }
+  }
+
+  toggleBlackoutSettings() {
+    const enableBlackout = document.getElementById("enable-blackout");
+    const blackoutSettings = document.getElementById("blackout-settings");
+
+    if (enableBlackout && blackoutSettings) {
+      blackoutSettings.style.display = enableBlackout.checked
+        ? "block"
+        : "none";
+    }
+  }
+
+  toggleUrlRuleSettings() {
+    const enableUrlRules = document.getElementById("enable-url-rules");
+    const urlRuleSettings = document.getElementById("url-rule-settings");
+
+    if (enableUrlRules && urlRuleSettings) {
+      urlRuleSettings.style.display = enableUrlRules.checked ? "block" : "none";
+    }
+  }
+
+  toggleScheduleSettings() {
+    const enableSchedule = document.getElementById("enable-schedule");
+    const scheduleSettings = document.getElementById("schedule-settings");
+
+    if (enableSchedule && scheduleSettings) {
+      scheduleSettings.style.display = enableSchedule.checked
+        ? "block"
+        : "none";
+    }
+  }
+
+  toggleSectionLimitSettings() {
+    const enableSectionLimits = document.getElementById(
+      "enable-section-limits"
+    );
+    const sectionLimitSettings = document.getElementById(
+      "section-limit-settings"
+    );
+
+    if (enableSectionLimits && sectionLimitSettings) {
+      sectionLimitSettings.style.display = enableSectionLimits.checked
+        ? "block"
+        : "none";
+    }
+  }
+
   toggleOverlayCustomization() {
     const enableCustomOverlay = document.getElementById(
       "enable-custom-overlay"
@@ -605,7 +1830,7 @@ class OptionsController {
         timestamp: new Date().toISOString(),
       });
 
-      const response = await chrome.runtime.sendMessage({
+      const response = await this.sendGuardedMessage({
         type: "UPDATE_SETTINGS",
         settings: formData,
         resetUsage: shouldResetUsage,
@@ -616,6 +1841,11 @@ class OptionsController {
         throw new Error(response.error || "Failed to save settings");
       }
 
+      if (response && response.held && response.held.length > 0) {
+        await this.loadSettings();
+        return;
+      }
+
       if (shouldResetUsage) {
         this.showMessage(
           "Settings saved and usage counter reset to 0!",
@@ -669,11 +1899,35 @@ class OptionsController {
     const allowSnooze = document.getElementById("allow-snooze").checked;
     const theme = document.querySelector('input[name="theme"]:checked').value;
     const tone = document.getElementById("tone-select").value;
-    const cooldownMin = parseInt(
-      document.getElementById("cooldown-minutes").value
+    const snoozePolicy = this.getSnoozePolicyData();
+    // Older readers of cooldownMin get the shortest snooze length
+    const cooldownMin = snoozePolicy.durations[0];
+    const pauseAllowanceMin = Math.min(
+      Math.max(
+        parseInt(document.getElementById("pause-allowance-minutes").value) || 0,
+        0
+      ),
+      240
     );
 
     const overlayCustomization = this.getOverlayCustomizationData();
+    const sectionLimits = this.getSectionLimitsData();
+    const schedule = this.getScheduleData();
+    const blackout = this.getBlackoutData();
+    const nudges = this.getNudgesData();
+    const badge = {
+      enabled: document.getElementById("enable-badge").checked,
+    };
+    const urlRules = this.getUrlRulesData();
+    const intention = this.getIntentionData();
+    const friction = this.getFrictionData();
+    const redirect = this.getRedirectData();
+    const escalation = this.getEscalationData();
+    const budget = this.getBudgetData();
+    const alternatives = this.getAlternativesData();
+    const settingsGuard = this.getSettingsGuardData();
+    const sites = this.getSitesData();
+    const groups = this.getGroupsData(sites);
 
     
     const enableNotifications = document.getElementById("enable-notifications");
@@ -692,7 +1946,24 @@ class OptionsController {
       theme,
       tone,
       cooldownMin,
+      snoozePolicy,
+      pauseAllowanceMin,
       overlayCustomization,
+      sectionLimits,
+      schedule,
+      blackout,
+      nudges,
+      badge,
+      urlRules,
+      intention,
+      friction,
+      redirect,
+      escalation,
+      budget,
+      alternatives,
+      settingsGuard,
+      sites,
+      groups,
       notifications: {
         enabled: enableNotifications ? enableNotifications.checked : false,
         filterType: notificationFilter ? notificationFilter.value : "following",
@@ -703,6 +1974,230 @@ class OptionsController {
     };
   }
 
+  getScheduleData() {
+    const enableSchedule = document.getElementById("enable-schedule");
+    const days = [null, null, null, null, null, null, null];
+
+    document.querySelectorAll(".schedule-row").forEach((row) => {
+      const minutes = parseInt(row.querySelector(".schedule-minutes").value);
+      if (minutes > 0) {
+        days[parseInt(row.dataset.day)] = Math.min(1440, minutes);
+      }
+    });
+
+    return {
+      enabled: enableSchedule ? enableSchedule.checked : false,
+      days,
+    };
+  }
+
+  getSitesData() {
+    return Array.from(document.querySelectorAll(".site-row")).map((row) => {
+      const limit = parseInt(row.querySelector(".site-limit").value);
+      return {
+        id: row.dataset.siteId,
+        name: row.dataset.name,
+        domains: row.dataset.domains.split(","),
+        enabled: row.querySelector(".site-enabled").checked,
+        dailyLimitMin: limit > 0 ? Math.min(1440, limit) : 30,
+        mode: row.querySelector(".site-mode").value,
+        tone: row.querySelector(".site-tone").value,
+      };
+    });
+  }
+
+  getGroupsData(sites) {
+    const memberIds = ["x", ...sites.map((site) => site.id)];
+
+    return Array.from(document.querySelectorAll(".group-row"))
+      .map((row) => {
+        const limit = parseInt(row.querySelector(".group-limit").value);
+        return {
+          id: row.dataset.groupId,
+          name: row.querySelector(".group-name").value.trim() || "Group",
+          members: Array.from(row.querySelectorAll(".group-member:checked"))
+            .map((input) => input.dataset.member)
+            .filter((member) => memberIds.includes(member)),
+          dailyLimitMin: limit > 0 ? Math.min(1440, limit) : 60,
+        };
+      })
+      .filter((group) => group.members.length > 0);
+  }
+
+  getBudgetData() {
+    const budgetMode = document.querySelector(
+      'input[name="budget-mode"]:checked'
+    );
+    const weeklyHours = parseFloat(
+      document.getElementById("weekly-budget-hours").value
+    );
+    const maxPerDay = parseInt(
+      document.getElementById("weekly-max-per-day").value
+    );
+
+    return {
+      mode: budgetMode ? budgetMode.value : "daily",
+      weeklyMin: weeklyHours > 0 ? Math.round(weeklyHours * 60) : 300,
+      maxPerDayMin: maxPerDay > 0 ? maxPerDay : null,
+      weekStartDay: parseInt(document.getElementById("week-start-day").value),
+    };
+  }
+
+  getEscalationData() {
+    const enableEscalation = document.getElementById("enable-escalation");
+    const readNumber = (id, fallback, max) => {
+      const value = parseInt(document.getElementById(id).value);
+      return value > 0 ? Math.min(max, value) : fallback;
+    };
+
+    return {
+      enabled: enableEscalation ? enableEscalation.checked : false,
+      cooldownMin: readNumber("escalation-cooldown", 30, 720),
+      streakDays: readNumber("escalation-streak-days", 3, 30),
+      closeModeDays: readNumber("escalation-close-days", 7, 30),
+    };
+  }
+
+  getRedirectData() {
+    const target = document.querySelector(
+      'input[name="redirect-target"]:checked'
+    );
+
+    return {
+      target: target ? target.value : "done",
+      url: document.getElementById("redirect-url").value.trim(),
+    };
+  }
+
+  getFrictionData() {
+    const clampSeconds = (id, fallback) => {
+      const seconds = parseInt(document.getElementById(id).value);
+      return seconds >= 0 ? Math.min(300, seconds) : fallback;
+    };
+
+    return {
+      startSeconds: clampSeconds("friction-start-seconds", 5),
+      fullSeconds: clampSeconds("friction-full-seconds", 30),
+    };
+  }
+
+  getIntentionData() {
+    const enableIntention = document.getElementById("enable-intention");
+    const defaultMinutes = parseInt(
+      document.getElementById("intention-default-minutes").value
+    );
+
+    return {
+      enabled: enableIntention ? enableIntention.checked : false,
+      defaultMinutes:
+        defaultMinutes > 0 ? Math.min(120, defaultMinutes) : 10,
+    };
+  }
+
+  getUrlRulesData() {
+    const enableUrlRules = document.getElementById("enable-url-rules");
+    const rules = [];
+
+    document.querySelectorAll(".url-rule").forEach((row) => {
+      const pattern = row.querySelector(".url-rule-pattern").value.trim();
+      if (pattern) {
+        rules.push({
+          pattern,
+          kind: row.querySelector(".url-rule-kind").value,
+          action: row.querySelector(".url-rule-action").value,
+        });
+      }
+    });
+
+    return {
+      enabled: enableUrlRules ? enableUrlRules.checked : false,
+      rules,
+    };
+  }
+
+  getNudgesData() {
+    const stages = [];
+
+    document.querySelectorAll(".nudge-stage").forEach((row) => {
+      const unit = row.querySelector(".nudge-unit").value;
+      const value = parseInt(row.querySelector(".nudge-value").value);
+      const channels = Array.from(
+        row.querySelectorAll(".nudge-channel:checked")
+      ).map((checkbox) => checkbox.dataset.channel);
+
+      if (value > 0 && channels.length > 0) {
+        stages.push({
+          unit,
+          value: unit === "percent" ? Math.min(value, 99) : value,
+          channels,
+        });
+      }
+    });
+
+    return { stages };
+  }
+
+  getBlackoutData() {
+    const enableBlackout = document.getElementById("enable-blackout");
+    const windows = [];
+
+    document.querySelectorAll(".blackout-window").forEach((row) => {
+      const start = row.querySelector(".blackout-start").value;
+      const end = row.querySelector(".blackout-end").value;
+      const days = Array.from(row.querySelectorAll(".blackout-day:checked")).map(
+        (checkbox) => parseInt(checkbox.dataset.day)
+      );
+
+      if (start && end && days.length > 0) {
+        windows.push({ days, start, end });
+      }
+    });
+
+    return {
+      enabled: enableBlackout ? enableBlackout.checked : false,
+      windows,
+    };
+  }
+
+  getLimitForToday(data) {
+    const schedule = data.schedule;
+    if (!schedule || !schedule.enabled) return data.dailyLimitMin;
+
+    const now = new Date();
+    if (now.getHours() < data.resetHourLocal) {
+      now.setDate(now.getDate() - 1);
+    }
+    const scheduled = (schedule.days || [])[now.getDay()];
+    return typeof scheduled === "number" ? scheduled : data.dailyLimitMin;
+  }
+
+  getSectionLimitsData() {
+    const enableSectionLimits = document.getElementById(
+      "enable-section-limits"
+    );
+    const limits = {};
+    const exempt = [];
+
+    document.querySelectorAll(".section-limit-row").forEach((row) => {
+      const section = row.dataset.section;
+      const minutes = parseInt(
+        row.querySelector(".section-limit-minutes").value
+      );
+      if (minutes > 0) {
+        limits[section] = minutes;
+      }
+      if (row.querySelector(".section-limit-exempt").checked) {
+        exempt.push(section);
+      }
+    });
+
+    return {
+      enabled: enableSectionLimits ? enableSectionLimits.checked : false,
+      limits,
+      exempt,
+    };
+  }
+
   getOverlayCustomizationData() {
     const enableCustomOverlay = document.getElementById(
       "enable-custom-overlay"
@@ -723,13 +2218,18 @@ class OptionsController {
   shouldResetUsage(newFormData) {
     if (!this.settings) return false;
 
-    const oldDailyLimit = this.settings.dailyLimitMin;
-    const newDailyLimit = newFormData.dailyLimitMin;
+    const oldDailyLimit = this.getLimitForToday(this.settings);
+    const newDailyLimit = this.getLimitForToday(newFormData);
 
     const oldCooldown = this.settings.cooldownMin;
     const newCooldown = newFormData.cooldownMin;
 
-    const dailyLimitChanged = oldDailyLimit !== newDailyLimit;
+    const oldBudget = this.settings.budget || { mode: "daily" };
+    const budgetChanged =
+      (oldBudget.mode === "weekly" || newFormData.budget.mode === "weekly") &&
+      JSON.stringify(oldBudget) !== JSON.stringify(newFormData.budget);
+
+    const dailyLimitChanged = oldDailyLimit !== newDailyLimit || budgetChanged;
     const cooldownChanged = oldCooldown !== newCooldown;
 
     console.log("Usage reset check:", {
@@ -758,8 +2258,49 @@ class OptionsController {
       return false;
     }
 
-    if (!data.cooldownMin || data.cooldownMin < 1 || data.cooldownMin > 60) {
-      this.showMessage("Cooldown must be between 1 and 60 minutes", "error");
+    if (
+      data.snoozePolicy.durations.length === 0 ||
+      data.snoozePolicy.durations.length > 3 ||
+      data.snoozePolicy.durations.some((minutes) => minutes > 60)
+    ) {
+      this.showMessage(
+        "Enter one to three snooze lengths between 1 and 60 minutes",
+        "error"
+      );
+      return false;
+    }
+
+    if (
+      data.settingsGuard.enabled &&
+      data.settingsGuard.method === "passcode" &&
+      !this.settings.passcodeHash
+    ) {
+      this.showMessage("Set a passcode before locking settings with it", "error");
+      return false;
+    }
+
+    if (
+      data.mode === "redirect" &&
+      data.redirect.target === "url" &&
+      !/^https?:\/\//i.test(data.redirect.url)
+    ) {
+      this.showMessage("Redirect page must start with http:// or https://", "error");
+      return false;
+    }
+
+    const invalidRule = (data.urlRules ? data.urlRules.rules : []).find(
+      (rule) => {
+        if (rule.kind !== "regex") return false;
+        try {
+          new RegExp(rule.pattern);
+          return false;
+        } catch {
+          return true;
+        }
+      }
+    );
+    if (invalidRule) {
+      this.showMessage(`Invalid regex in page rules: ${invalidRule.pattern}`, "error");
       return false;
     }
 
@@ -768,7 +2309,10 @@ class OptionsController {
 
   async resetSettings() {
     try {
-      await chrome.runtime.sendMessage({ type: "RESET_SETTINGS" });
+      const response = await this.sendGuardedMessage({
+        type: "RESET_SETTINGS",
+      });
+      if (response && !response.success) return;
       await this.loadSettings();
       this.showMessage("Settings reset to defaults", "success");
     } catch (error) {
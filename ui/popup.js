@@ -14,6 +14,19 @@
   }
 })();
 
+const ROUTE_LABELS = {
+  home: 'Home timeline',
+  explore: 'Search & Explore',
+  notifications: 'Notifications',
+  messages: 'Messages',
+  compose: 'Compose',
+  profile: 'Profiles',
+  thread: 'Threads',
+  spaces: 'Spaces',
+  lists: 'Lists',
+  other: 'Other',
+}
+
 class PopupController {
   constructor() {
     this.status = null
@@ -78,6 +91,31 @@ class PopupController {
     }
   }
 
+  // Loosening actions may need the passcode or wait in the settings lock queue
+  async sendGuardedMessage(message) {
+    let response = await chrome.runtime.sendMessage(message)
+
+    if (response && response.needsPasscode) {
+      const passcode = prompt(
+        `Enter your passcode to ${response.labels.join(', ').toLowerCase()}:`
+      )
+      if (passcode) {
+        response = await chrome.runtime.sendMessage({ ...message, passcode })
+      }
+    }
+
+    if (response && response.pending) {
+      const applyAt = new Date(response.pending.applyAt).toLocaleTimeString([], {
+        hour: '2-digit',
+        minute: '2-digit',
+      })
+      this.showMessage(`Queued - applies at ${applyAt}`, 'info')
+    } else if (response && response.needsPasscode) {
+      this.showMessage(response.error || 'Passcode required', 'error')
+    }
+    return response
+  }
+
   showMessage(message, type = 'info') {
     const existingToasts = document.querySelectorAll('.toast-notification')
     existingToasts.forEach((toast) => toast.remove())
@@ -224,7 +262,7 @@ class PopupController {
       return
     }
 
-    const limitMs = this.status.settings.dailyLimitMin * 60 * 1000
+    const limitMs = this.getDailyLimitMin() * 60 * 1000
     const tickBuffer = 2000 
     
     
@@ -261,7 +299,7 @@ class PopupController {
         used: realTimeUsage,
         limit: limitMs,
         remaining: remaining,
-        dailyLimitMin: this.status.settings.dailyLimitMin,
+        dailyLimitMin: this.getDailyLimitMin(),
       })
 
       this.updateUI()
@@ -331,8 +369,15 @@ class PopupController {
     this.updateTimeDisplay()
     this.updateStatusText()
     this.updateButtons()
+    this.updatePauseAllowance()
     this.updateResetTime()
     this.updateToggle()
+    this.updateRouteBreakdown()
+    this.updateGroups()
+    this.updateSitesList()
+    this.updateBlackoutInfo()
+    this.updateIntentionInfo()
+    this.updateWeeklyBudget()
   }
 
   forceResetDisplay() {
@@ -345,7 +390,7 @@ class PopupController {
     
     const timeRemainingEl = document.getElementById('time-remaining')
     if (timeRemainingEl && this.status && this.status.settings) {
-      const fullLimit = this.status.settings.dailyLimitMin * 60 * 1000
+      const fullLimit = this.getDailyLimitMin() * 60 * 1000
       timeRemainingEl.textContent = `${this.formatTimeCompact(fullLimit)} left`
       timeRemainingEl.classList.remove('text-red-500', 'text-orange-500')
     }
@@ -411,6 +456,7 @@ class PopupController {
 
     
     this.updateButtons()
+    this.updatePauseAllowance()
     this.updateResetTime()
     this.updateToggle()
   }
@@ -523,7 +569,7 @@ class PopupController {
       
       
       if (Date.now() < this.justResetUntil) {
-        remaining = this.status.settings.dailyLimitMin * 60 * 1000
+        remaining = this.getDailyLimitMin() * 60 * 1000
       }
       
       if (flags.locked) {
@@ -572,6 +618,10 @@ class PopupController {
       statusText.textContent = 'Disabled'
       statusText.className =
         'text-sm font-medium text-gray-600 dark:text-gray-400'
+    } else if (this.status.blackout && this.status.blackout.active) {
+      statusText.textContent = 'Blocked time'
+      statusText.className =
+        'text-sm font-medium text-red-600 dark:text-red-400'
     } else if (this.status.flags.pausedToday) {
       statusText.textContent = 'Paused'
       statusText.className =
@@ -602,6 +652,19 @@ class PopupController {
       pausedStatus.classList.add('hidden')
     }
     
+    const snoozeEnds = document.getElementById('snooze-ends')
+    if (snoozeEnds) {
+      const { snoozed, snoozeUntil } = this.status.flags
+      if (snoozed && snoozeUntil) {
+        snoozeEnds.textContent = `Snooze ends at ${new Date(
+          snoozeUntil
+        ).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+        snoozeEnds.classList.remove('hidden')
+      } else {
+        snoozeEnds.classList.add('hidden')
+      }
+    }
+
     if (nudgeIndicator) {
       const shouldShowNudge = this.status.flags.nudged && !this.status.flags.locked && !this.status.flags.snoozed
       if (shouldShowNudge) {
@@ -655,7 +718,11 @@ class PopupController {
         pauseToggle.className =
           'w-full px-4 py-2.5 bg-gray-600 text-gray-400 font-medium rounded-lg border border-gray-500 cursor-not-allowed opacity-50'
       } else if (this.status.flags.pausedToday) {
-        pauseText.textContent = 'Resume'
+        pauseText.textContent = this.status.flags.pausedUntil
+          ? `Resume (paused until ${new Date(
+              this.status.flags.pausedUntil
+            ).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })})`
+          : 'Resume'
         pauseToggle.disabled = false
         pauseToggle.style.pointerEvents = 'auto' 
         pauseToggle.style.cursor = 'pointer' 
@@ -672,6 +739,204 @@ class PopupController {
     }
   }
 
+  updateRouteBreakdown() {
+    const container = document.getElementById('route-breakdown')
+    const list = document.getElementById('route-breakdown-list')
+    if (!container || !list || !this.status) return
+
+    const routes = Object.entries(this.status.routes || {})
+      .filter(([, millis]) => millis >= 1000)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 4)
+
+    if (routes.length === 0) {
+      container.classList.add('hidden')
+      return
+    }
+
+    const total = Object.values(this.status.routes).reduce(
+      (sum, millis) => sum + millis,
+      0
+    )
+
+    list.innerHTML = ''
+    routes.forEach(([route, millis]) => {
+      const row = document.createElement('div')
+      row.className = 'text-xs text-gray-600 dark:text-gray-400'
+      row.innerHTML = `
+        <div class="flex items-center justify-between">
+          <span>${ROUTE_LABELS[route] || route}</span>
+          <span>${this.formatTimeCompact(millis)}</span>
+        </div>
+        <div style="height: 4px; border-radius: 2px; background: #e5e7eb; overflow: hidden">
+          <div style="height: 100%; width: ${Math.round(
+            (millis / total) * 100
+          )}%; background: #3b82f6"></div>
+        </div>
+      `
+      list.appendChild(row)
+    })
+
+    container.classList.remove('hidden')
+  }
+
+  updateGroups() {
+    const container = document.getElementById('groups-container')
+    const list = document.getElementById('groups-list')
+    if (!container || !list || !this.status) return
+
+    const groups = this.status.groups || []
+    if (groups.length === 0) {
+      container.classList.add('hidden')
+      return
+    }
+
+    const circumference = 2 * Math.PI * 42
+    list.innerHTML = ''
+    groups.forEach((group) => {
+      const percentage =
+        group.limit > 0 ? Math.min(1, group.used / group.limit) : 1
+      const dash = percentage * circumference
+      const item = document.createElement('div')
+      item.className = 'flex flex-col items-center'
+      item.innerHTML = `
+        <div class="relative" style="width: 48px; height: 48px">
+          <svg class="transform -rotate-90" width="48" height="48" viewBox="0 0 100 100">
+            <circle cx="50" cy="50" r="42" stroke="#e5e7eb" stroke-width="10"
+              fill="none" class="dark:stroke-gray-600" />
+            <circle cx="50" cy="50" r="42" stroke="${
+              group.locked ? '#ef4444' : '#3b82f6'
+            }" stroke-width="10" fill="none" stroke-linecap="round"
+              stroke-dasharray="${dash} ${circumference - dash}" />
+          </svg>
+        </div>
+        <div class="text-xs text-gray-600 dark:text-gray-400 group-name"></div>
+        <div class="text-xs text-gray-500">${
+          group.locked
+            ? 'Locked'
+            : `${this.formatTimeCompact(
+                Math.max(0, group.limit - group.used)
+              )} left`
+        }</div>
+      `
+      item.querySelector('.group-name').textContent = group.name
+      list.appendChild(item)
+    })
+
+    container.classList.remove('hidden')
+  }
+
+  updateSitesList() {
+    const container = document.getElementById('sites-list-container')
+    const list = document.getElementById('sites-list')
+    if (!container || !list || !this.status) return
+
+    const sites = this.status.sites || []
+    if (sites.length === 0) {
+      container.classList.add('hidden')
+      return
+    }
+
+    list.innerHTML = ''
+    sites.forEach((site) => {
+      const row = document.createElement('div')
+      row.className =
+        'flex items-center justify-between text-xs text-gray-600 dark:text-gray-400'
+      row.innerHTML = `
+        <span class="site-name"></span>
+        <span>${
+          site.locked
+            ? 'Locked'
+            : site.group
+            ? `${this.formatTimeCompact(site.used)} · ${site.group}`
+            : `${this.formatTimeCompact(site.used)} / ${this.formatTimeCompact(
+                site.limit
+              )}`
+        }</span>
+      `
+      row.querySelector('.site-name').textContent = site.name
+      list.appendChild(row)
+    })
+
+    container.classList.remove('hidden')
+  }
+
+  updateWeeklyBudget() {
+    const track = document.getElementById('week-progress-track')
+    const circle = document.getElementById('week-progress-circle')
+    const weekRemaining = document.getElementById('week-remaining')
+    if (!track || !circle || !weekRemaining) return
+
+    const week = this.status.timeRemaining && this.status.timeRemaining.week
+    if (!week) {
+      track.style.display = 'none'
+      circle.style.display = 'none'
+      weekRemaining.classList.add('hidden')
+      return
+    }
+
+    const circumference = 2 * Math.PI * 34
+    const percentage = week.limit > 0 ? Math.min(1, week.used / week.limit) : 1
+    const dash = percentage * circumference
+    circle.setAttribute('stroke-dasharray', `${dash} ${circumference - dash}`)
+
+    track.style.display = ''
+    circle.style.display = ''
+    weekRemaining.textContent = `${this.formatTimeCompact(
+      week.remaining
+    )} this week`
+    weekRemaining.classList.remove('hidden')
+  }
+
+  updateIntentionInfo() {
+    const currentIntention = document.getElementById('current-intention')
+    if (!currentIntention || !this.status) return
+
+    const active = this.status.intention && this.status.intention.active
+    if (!active) {
+      currentIntention.classList.add('hidden')
+      return
+    }
+
+    const minutesLeft = Math.max(
+      1,
+      Math.ceil((active.endsAt - Date.now()) / 60000)
+    )
+    currentIntention.textContent = `🎯 ${active.label} · ${minutesLeft}m left`
+    currentIntention.classList.remove('hidden')
+  }
+
+  updateBlackoutInfo() {
+    const nextBlackout = document.getElementById('next-blackout')
+    if (!nextBlackout || !this.status) return
+
+    const blackout = this.status.blackout
+    const formatTime = (timestamp) =>
+      new Date(timestamp).toLocaleTimeString([], {
+        hour: '2-digit',
+        minute: '2-digit',
+      })
+    const formatDay = (timestamp) => {
+      const date = new Date(timestamp)
+      return date.toDateString() === new Date().toDateString()
+        ? 'Today'
+        : date.toLocaleDateString([], { weekday: 'short' })
+    }
+
+    if (blackout && blackout.active) {
+      nextBlackout.textContent = `Blocked until ${formatTime(blackout.until)}`
+    } else if (blackout && blackout.next) {
+      nextBlackout.textContent = `Next blocked time: ${formatDay(
+        blackout.next.start
+      )} ${formatTime(blackout.next.start)}–${formatTime(blackout.next.end)}`
+    } else {
+      nextBlackout.classList.add('hidden')
+      return
+    }
+
+    nextBlackout.classList.remove('hidden')
+  }
+
   updateResetTime() {
     const resetTime = document.getElementById('reset-time')
     const nextReset = document.getElementById('next-reset')
@@ -762,7 +1027,59 @@ class PopupController {
     }
   }
 
+  updatePauseAllowance() {
+    const pauseAllowance = document.getElementById('pause-allowance')
+    if (!pauseAllowance || !this.status || !this.status.pause) return
+
+    const { remaining } = this.status.pause
+    pauseAllowance.textContent =
+      remaining > 0
+        ? ` · ${this.formatTimeCompact(remaining)} left today`
+        : ' · none left today'
+
+    if (remaining <= 0 && !this.status.flags.pausedToday) {
+      const pauseToggle = document.getElementById('pause-toggle')
+      if (pauseToggle) pauseToggle.disabled = true
+    }
+  }
+
+  async startPause(request) {
+    const pauseOptions = document.getElementById('pause-options')
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'PAUSE_TOGGLE',
+        ...request,
+      })
+      if (response && !response.success) {
+        this.showMessage(response.error || 'Could not pause', 'error')
+      }
+      if (pauseOptions) pauseOptions.classList.add('hidden')
+      await this.loadStatus()
+    } catch (error) {
+      console.error('Failed to pause:', error)
+    }
+  }
+
   setupEventListeners() {
+    document.querySelectorAll('.pause-duration').forEach((button) => {
+      button.addEventListener('click', () => {
+        this.startPause({ minutes: parseInt(button.dataset.minutes) })
+      })
+    })
+
+    const pauseUntilStart = document.getElementById('pause-until-start')
+    if (pauseUntilStart) {
+      pauseUntilStart.addEventListener('click', () => {
+        const value = document.getElementById('pause-until').value
+        if (!value) return
+
+        const [hours, minutes] = value.split(':').map(Number)
+        const until = new Date()
+        until.setHours(hours, minutes, 0, 0)
+        this.startPause({ until: until.getTime() })
+      })
+    }
+
     const pauseToggle = document.getElementById('pause-toggle')
     if (pauseToggle) {
       pauseToggle.addEventListener('click', async (e) => {
@@ -774,6 +1091,13 @@ class PopupController {
           return
         }
         
+        // Starting a pause asks how long first; resuming is immediate
+        if (!this.status.flags.pausedToday) {
+          const pauseOptions = document.getElementById('pause-options')
+          if (pauseOptions) pauseOptions.classList.toggle('hidden')
+          return
+        }
+
         try {
           pauseToggle.disabled = true
           pauseToggle.style.opacity = '0.5'
@@ -800,6 +1124,12 @@ class PopupController {
         if (manualReset.disabled) return
         
         if (confirm("Reset today's usage? This cannot be undone.")) {
+          const guarded = Boolean(this.status?.settings?.settingsGuard?.enabled)
+          if (guarded) {
+            const response = await this.sendGuardedMessage({ type: 'MANUAL_RESET' })
+            if (!response || !response.success) return
+          }
+
           try {
             manualReset.disabled = true
             manualReset.style.opacity = '0.5'
@@ -817,7 +1147,7 @@ class PopupController {
               timeUsedEl.offsetHeight 
             }
             if (timeRemainingEl && this.status && this.status.settings) {
-              const fullLimit = this.status.settings.dailyLimitMin * 60 * 1000
+              const fullLimit = this.getDailyLimitMin() * 60 * 1000
               timeRemainingEl.style.transition = 'none'
               timeRemainingEl.textContent = `${this.formatTimeCompact(fullLimit)} left`
               timeRemainingEl.classList.remove('text-red-500', 'text-orange-500')
@@ -885,7 +1215,7 @@ class PopupController {
             
             
             const correctRemainingText = this.status && this.status.settings ? 
-              `${this.formatTimeCompact(this.status.settings.dailyLimitMin * 60 * 1000)} left` : 
+              `${this.formatTimeCompact(this.getDailyLimitMin() * 60 * 1000)} left` : 
               '1m 0s left'
               
             const observer = new MutationObserver((mutations) => {
@@ -933,7 +1263,9 @@ class PopupController {
             }, 3000)
             
             
-            chrome.runtime.sendMessage({ type: 'MANUAL_RESET' }).catch(() => {})
+            if (!guarded) {
+              chrome.runtime.sendMessage({ type: 'MANUAL_RESET' }).catch(() => {})
+            }
             
             
             setTimeout(() => {
@@ -982,8 +1314,8 @@ class PopupController {
             timestamp: new Date().toISOString(),
           })
 
-          const response = await chrome.runtime.sendMessage({
-            type: 'UPDATE_SETTINGS', 
+          const response = await this.sendGuardedMessage({
+            type: 'UPDATE_SETTINGS',
             settings: { enabled: !currentEnabled },
             requestId,
           })
@@ -1012,6 +1344,15 @@ class PopupController {
       })
     }
 
+    const openDashboard = document.getElementById('open-dashboard')
+    if (openDashboard) {
+      openDashboard.addEventListener('click', () => {
+        chrome.tabs.create({
+          url: chrome.runtime.getURL('ui/dashboard.html'),
+        })
+      })
+    }
+
     const openFaq = document.getElementById('open-faq')
     if (openFaq) {
       openFaq.addEventListener('click', () => {
@@ -1066,6 +1407,10 @@ class PopupController {
     }
   }
 
+  getDailyLimitMin() {
+    return this.status.dailyLimitMin || this.status.settings.dailyLimitMin
+  }
+
   formatTimeCompact(milliseconds) {
     const totalSeconds = Math.floor(milliseconds / 1000)
     const hours = Math.floor(totalSeconds / 3600)